@@ -1,23 +1,52 @@
 // Main Game Controller
-import { initAudio, startMetronome, stopMetronome, setBeatInterval, playTickSound, getMetronomeStartTime, getBeatTime, getAudioContext } from './modules/audio.js';
+import { initAudio, startMetronome, stopMetronome, setBeatInterval, playTickSound, getMetronomeStartTime, getAudioContext, addBeatListener, removeBeatListener, playFeedbackSound, getSoundBanks, getMetronomeSettings, setMetronomeSettings, configureMetronome, getMetronomeOptions, ACCENT_PRESETS } from './modules/audio.js';
 import SmartLatencyCompensator from './smartLatency.js';
+import { createRhythmEngine, SCORING_PRESETS } from './modules/rhythmEngine.js';
+import { createReplay, saveReplay, analyzeReplay, exportReplay, importReplay } from './modules/replay.js';
+import { initProfiles, getActiveProfile, listProfiles, createProfile, switchProfile, deleteProfile, updateActiveProfile, recordGameResult, getResultHistory, onProfileChange } from './modules/profiles.js';
+import { buildProgressReport } from './modules/progress.js';
+import { renderProgressDashboard } from './modules/progressView.js';
+import { showDetailedSummary } from './modules/performanceView.js';
+import { createPatternScheduler, PATTERN_ORDERS, DEFAULT_PATTERN_ORDER } from './modules/scheduler.js';
+import { generatePatterns, validateGeneratorOptions, DEFAULT_GENERATOR_OPTIONS, GENERATED_LEVEL, RATING_TOLERANCE } from './modules/patternGenerator.js';
+import { ratePattern, sortPatternsByDifficulty, MAX_RATING } from './modules/difficulty.js';
+import { importPatternPack, exportPatternPack, loadPatternPack, createPatternPack, validatePatternPack } from './modules/patternPack.js';
+import { importMusicXml, exportMusicXml, IMPORTED_LEVEL } from './modules/musicXml.js';
+import { exportPatternMidi, exportPerformanceMidi } from './modules/midi.js';
+import { initCustomPatterns, saveCustomPattern, deleteCustomPattern, CUSTOM_LEVEL } from './modules/customPatterns.js';
+import { initPatternEditor } from './modules/patternEditor.js';
 
 // Professional Systems Integration
 import { globalResourceManager } from './utils/ResourceManager.js';
 import { globalErrorBoundary } from './utils/ErrorBoundary.js';
 import { globalPerformanceMonitor } from './utils/PerformanceMonitor.js';
+import { globalClock } from './utils/Clock.js';
 
 import { 
   setSelectedLevel, 
   getCurrentPattern, 
+  getCurrentTimeSignature,
   nextPattern, 
   getPatternInfo,
-  getPatternsForLevel 
+  getPatternsForLevel,
+  getLevels,
+  getMeter,
+  setCurrentPatternIndex,
+  registerPatterns,
+  NOTE_VALUES,
+  TIME_SIGNATURES
 } from './modules/patterns.js';
 import {
   initGameState,
-  setGameMode,
   setSpeed as setGameSpeed,
+  SPEED_PRESETS,
+  MIN_BPM,
+  MAX_BPM,
+  configureSpeedTrainer,
+  startSpeedTrainer,
+  stopSpeedTrainer,
+  recordSpeedTrainerLoop,
+  getSpeedTrainerState,
   setLevel,
   setTotalGames,
   startNewGame,
@@ -37,10 +66,10 @@ import {
   startListening,
   stopListening,
   getInputInstructions,
-  getInputState,
   simulateInput,
-  emergencyStop
-  // setDebugMode - disabled
+  emergencyStop,
+  setTapRecorder
+// setDebugMode - disabled
 } from './modules/inputHandler.js';
 import {
   initNotation,
@@ -58,24 +87,34 @@ import {
   resetGameFlow,
   completePattern,
   showTapFeedback,
+  showNoteResults,
   stopRealTimeTracking,
   cleanupNotation,
   getNotationStats
 } from './modules/notation.js';
+import { startAudition, stopAudition, startReplay, isAuditionPlaying } from './modules/audition.js';
 
 // Game settings
-const SPEEDS = { slow: 70, medium: 100, fast: 140 };
-let speed = 'medium';
-let BPM = SPEEDS[speed];
+let speed = 'medium'; // preset name, or 'custom'
+let BPM = SPEED_PRESETS[speed];
 let BEAT_INTERVAL = 60000 / BPM;
+const DEFAULT_LATENCY_CALIBRATION = 0; // ms - the scheduler already allows for output delay, learning finds the rest
 
 // DOM Elements
 let metronome = null;
 let startButton = null;
+let listenButton = null;
+let listenThenPlay = null;
 let resetButton = null;
 let speedSlow = null;
 let speedMedium = null;
 let speedFast = null;
+let bpmInput = null;
+let speedTrainerToggle = null;
+let speedTrainerStep = null;
+let speedTrainerBackOff = null;
+let speedTrainerTarget = null;
+let speedTrainerStatus = null;
 let levelSelect = null;
 let modeSingle = null;
 let modeMulti = null;
@@ -106,10 +145,18 @@ document.addEventListener('DOMContentLoaded', function() {
   // Get DOM elements
   metronome = document.getElementById('metronome');
   startButton = document.getElementById('startButton');
+  listenButton = document.getElementById('listenButton');
+  listenThenPlay = document.getElementById('listenThenPlay');
   resetButton = document.getElementById('resetButton');
   speedSlow = document.getElementById('speedSlow');
   speedMedium = document.getElementById('speedMedium');
   speedFast = document.getElementById('speedFast');
+  bpmInput = document.getElementById('bpmInput');
+  speedTrainerToggle = document.getElementById('speedTrainerToggle');
+  speedTrainerStep = document.getElementById('speedTrainerStep');
+  speedTrainerBackOff = document.getElementById('speedTrainerBackOff');
+  speedTrainerTarget = document.getElementById('speedTrainerTarget');
+  speedTrainerStatus = document.getElementById('speedTrainerStatus');
   levelSelect = document.getElementById('levelSelect');
   modeSingle = document.getElementById('modeSingle');
   modeMulti = document.getElementById('modeMulti');
@@ -121,6 +168,7 @@ document.addEventListener('DOMContentLoaded', function() {
   const initialConfig = {
     mode: modeSingle && modeSingle.checked ? 'single' : 'multi',
     speed: speed,
+    bpm: BPM,
     selectedLevel: levelSelect ? levelSelect.value : 'beginner',
     totalGames: numGamesInput ? parseInt(numGamesInput.value, 10) || 3 : 3
   };
@@ -149,7 +197,8 @@ document.addEventListener('DOMContentLoaded', function() {
   } else {
     // Render initial pattern
     const initialPattern = getCurrentPattern();
-    renderPattern(initialPattern);
+    renderPattern(initialPattern, getCurrentTimeSignature());
+    updatePatternDifficulty(initialPattern, getCurrentTimeSignature());
     console.log('🎼 Initial pattern rendered');
   }
   
@@ -157,6 +206,7 @@ document.addEventListener('DOMContentLoaded', function() {
   if (levelSelect) {
     setSelectedLevel(levelSelect.value);
   }
+  applyPatternMeter(getCurrentTimeSignature());
   
   // Show reset button for pattern testing
   if (resetButton) {
@@ -172,12 +222,16 @@ document.addEventListener('DOMContentLoaded', function() {
   
   // Initialize smart audio latency compensation
   window.latencyCompensator = new SmartLatencyCompensator();
-  // Auto-calibrate with your optimal negative compensation
-  window.latencyCompensator.calibrateFromExternalTest(-38); // Average of -33 to -43
+  // Start uncalibrated and let the compensator learn from the player's taps
+  window.latencyCompensator.calibrateFromExternalTest(DEFAULT_LATENCY_CALIBRATION);
   
   const compensationInfo = window.latencyCompensator.getInfo();
   console.log(`🎵 Smart latency compensation: ${compensationInfo.total}ms (${compensationInfo.browser})`);
   
+  // Load the player profiles - the active one's settings and calibration
+  // replace the defaults above
+  setupProfileControls();
+  
   // Show initial pattern info
   const patternInfo = getPatternInfo();
   console.log(`📊 ${patternInfo.totalInLevel} patterns available for ${patternInfo.level} level`);
@@ -189,7 +243,11 @@ document.addEventListener('DOMContentLoaded', function() {
 function setupEventListeners() {
   // Set up event listeners with resource management
   if (startButton) {
-    globalResourceManager.addEventListener(startButton, 'click', startProperGame);
+    globalResourceManager.addEventListener(startButton, 'click', () => startProperGame());
+  }
+  
+  if (listenButton) {
+    globalResourceManager.addEventListener(listenButton, 'click', listenToPattern);
   }
   
   if (resetButton) {
@@ -214,12 +272,23 @@ function setupEventListeners() {
     });
   }
   
+  if (bpmInput) {
+    bpmInput.min = MIN_BPM;
+    bpmInput.max = MAX_BPM;
+    bpmInput.value = BPM;
+    globalResourceManager.addEventListener(bpmInput, 'change', function() {
+      if (!setSpeed(Number(bpmInput.value))) {
+        bpmInput.value = BPM; // Out of range - show the tempo still in use
+      }
+    });
+  }
+  
+  setupSpeedTrainer();
+  
   if (levelSelect) {
     globalResourceManager.addEventListener(levelSelect, 'change', function() {
-      const newLevel = levelSelect.value;
-      setLevel(newLevel);
-      setSelectedLevel(newLevel);
-      const patternInfo = getPatternInfo();
+      changeLevel(levelSelect.value);
+      saveProfileSettings({ level: levelSelect.value });
     });
   }
   
@@ -230,30 +299,249 @@ function setupEventListeners() {
     });
   }
   
+  setupMetronomeSettings();
+  setupPatternOrder();
+  setupPatternGenerator();
+  setupPatternPacks();
+  setupMusicXmlImport();
+  setupPatternExport();
+  setupPatternEditor();
+  setupReplayControls();
+  
   // Mark initialization complete
   globalPerformanceMonitor.mark('init-complete');
   globalPerformanceMonitor.measure('initialization', 'dom-ready', 'init-complete');
   
   // Log performance report
-  setTimeout(() => {
+  globalClock.setTimeout(() => {
     globalPerformanceMonitor.logReport();
   }, 2000);
 }
 
+// Switch level and show one of its patterns (the first by default) in its own meter
+function changeLevel(newLevel, patternIndex = 0) {
+  setLevel(newLevel);
+  setSelectedLevel(newLevel);
+  setCurrentPatternIndex(patternIndex);
+  const patternInfo = getPatternInfo();
+  
+  applyPatternMeter(patternInfo.timeSignature);
+  renderPattern(patternInfo.currentPattern, patternInfo.timeSignature);
+  updatePatternDifficulty(patternInfo.currentPattern, patternInfo.timeSignature);
+}
+
+// Difficulty rating of the pattern on the staff, at the current tempo.
+// Called without a pattern it re-rates the last one (after a tempo change).
+let ratedPattern = null;
+
+function updatePatternDifficulty(pattern = null, timeSignature = null) {
+  const display = document.getElementById('patternDifficulty');
+  if (pattern) ratedPattern = { pattern, timeSignature };
+  if (!ratedPattern) return null;
+  
+  const { rating, level, breakdown } = ratePattern(ratedPattern.pattern, { timeSignature: ratedPattern.timeSignature, bpm: BPM });
+  if (display) {
+    display.textContent = `Difficulty ${rating}/${MAX_RATING} (${level})`;
+    display.title = breakdown
+      .filter(item => item.points > 0)
+      .map(item => `${item.label}: ${item.detail} (+${item.points})`)
+      .join('\n') || 'Nothing hard about this one';
+  }
+  return rating;
+}
+
+const VOLUME_SLIDERS = {
+  accent: 'volumeAccent',
+  beat: 'volumeBeat',
+  subdivision: 'volumeSubdivision'
+};
+
+// Bind the click sound selector and per-role volume sliders to the audio module
+function setupMetronomeSettings() {
+  const soundSelect = document.getElementById('metronomeSound');
+  
+  if (soundSelect) {
+    soundSelect.innerHTML = getSoundBanks()
+      .map(bank => `<option value="${bank.id}">${bank.label}</option>`)
+      .join('');
+    
+    globalResourceManager.addEventListener(soundSelect, 'change', function() {
+      setMetronomeSettings({ sound: soundSelect.value });
+      saveProfileSettings({ metronome: getMetronomeSettings() });
+      playTickSound(true); // Preview the new sound
+    });
+  }
+  
+  Object.entries(VOLUME_SLIDERS).forEach(([role, id]) => {
+    const slider = document.getElementById(id);
+    if (!slider) return;
+    
+    globalResourceManager.addEventListener(slider, 'change', function() {
+      setMetronomeSettings({ volumes: { [role]: slider.value / 100 } });
+      saveProfileSettings({ metronome: getMetronomeSettings() });
+    });
+  });
+  
+  // Subdivision clicks and accent map apply from the next metronome start
+  const subdivisionSelect = document.getElementById('metronomeSubdivision');
+  const accentSelect = document.getElementById('metronomeAccents');
+  
+  if (subdivisionSelect) {
+    globalResourceManager.addEventListener(subdivisionSelect, 'change', function() {
+      const subdivision = parseInt(subdivisionSelect.value, 10);
+      configureMetronome({ subdivision });
+      saveProfileSettings({ subdivision });
+    });
+  }
+  
+  if (accentSelect) {
+    accentSelect.innerHTML = Object.entries(ACCENT_PRESETS)
+      .map(([id, preset]) => `<option value="${id}">${preset.label}</option>`)
+      .join('');
+    globalResourceManager.addEventListener(accentSelect, 'change', function() {
+      configureMetronome({ accents: accentSelect.value });
+      saveProfileSettings({ accents: accentSelect.value });
+    });
+  }
+  
+  updateMetronomeControls();
+}
+
+// Show the metronome's current sound, volumes, subdivision and accents
+function updateMetronomeControls() {
+  const settings = getMetronomeSettings();
+  const options = getMetronomeOptions();
+  const soundSelect = document.getElementById('metronomeSound');
+  const subdivisionSelect = document.getElementById('metronomeSubdivision');
+  const accentSelect = document.getElementById('metronomeAccents');
+  
+  if (soundSelect) soundSelect.value = settings.sound;
+  Object.entries(VOLUME_SLIDERS).forEach(([role, id]) => {
+    const slider = document.getElementById(id);
+    if (slider) slider.value = Math.round(settings.volumes[role] * 100);
+  });
+  if (subdivisionSelect) subdivisionSelect.value = String(options.subdivision);
+  if (accentSelect) accentSelect.value = options.accents;
+}
+
+// Set the tempo from a preset name ('slow', 'medium', 'fast') or any BPM
+// from MIN_BPM to MAX_BPM
 function setSpeed(newSpeed) {
-  speed = newSpeed;
-  BPM = SPEEDS[speed];
+  if (!setGameSpeed(newSpeed)) return false; // Update game state (validates the tempo)
+  
+  const state = getStateSnapshot();
+  speed = state.speed;
+  BPM = state.bpm;
   BEAT_INTERVAL = 60000 / BPM;
   setBeatInterval(BEAT_INTERVAL);
-  setGameSpeed(newSpeed); // Update game state
+  
+  // Keep the preset radios and BPM box showing the tempo in use
+  if (bpmInput) bpmInput.value = BPM;
+  if (speedSlow) speedSlow.checked = speed === 'slow';
+  if (speedMedium) speedMedium.checked = speed === 'medium';
+  if (speedFast) speedFast.checked = speed === 'fast';
   
   // Track performance impact of speed changes
-  globalPerformanceMonitor.mark(`speed-change-${newSpeed}`);
+  globalPerformanceMonitor.mark(`speed-change-${BPM}`);
+  saveProfileSettings({ bpm: BPM });
+  updatePatternDifficulty(); // The tempo changes how fast the notes come
+  return true;
+}
+
+// Speed trainer: replay the pattern, raising the tempo after every clean loop
+let speedTrainerTimer = null;
+const SPEED_TRAINER_PAUSE = 2000; // ms between a loop's results and the next count-in
+
+function setupSpeedTrainer() {
+  if (!speedTrainerToggle) return;
+  
+  const config = getSpeedTrainerState().config;
+  if (speedTrainerStep) speedTrainerStep.value = config.step;
+  if (speedTrainerBackOff) speedTrainerBackOff.value = config.backOff;
+  if (speedTrainerTarget) {
+    speedTrainerTarget.min = MIN_BPM;
+    speedTrainerTarget.max = MAX_BPM;
+    speedTrainerTarget.value = config.targetBpm;
+  }
+  
+  globalResourceManager.addEventListener(speedTrainerToggle, 'change', function() {
+    if (!speedTrainerToggle.checked) {
+      cancelSpeedTrainerLoop();
+      stopSpeedTrainer();
+      updateSpeedTrainerStatus();
+      return;
+    }
+    
+    // The ramp starts from the tempo currently selected
+    const configured = configureSpeedTrainer({
+      startBpm: BPM,
+      step: Number(speedTrainerStep ? speedTrainerStep.value : config.step),
+      backOff: Number(speedTrainerBackOff ? speedTrainerBackOff.value : config.backOff),
+      targetBpm: Number(speedTrainerTarget ? speedTrainerTarget.value : config.targetBpm)
+    });
+    if (!configured) {
+      speedTrainerToggle.checked = false;
+      updateSpeedTrainerStatus('⚠️ Target tempo must be at or above the current tempo');
+      return;
+    }
+    
+    setSpeed(startSpeedTrainer());
+    updateSpeedTrainerStatus();
+  });
+}
+
+// Feed a finished loop to the speed trainer and queue the next one
+function advanceSpeedTrainer(overallResult) {
+  if (!getSpeedTrainerState().enabled) return;
+  
+  const passed = overallResult === 'perfect' || overallResult === 'good';
+  const step = recordSpeedTrainerLoop(passed);
+  if (!step) return;
+  
+  setSpeed(step.bpm);
+  
+  if (step.finished) {
+    stopSpeedTrainer();
+    if (speedTrainerToggle) speedTrainerToggle.checked = false;
+    updateSpeedTrainerStatus(`🏆 Target reached - clean at ${getSpeedTrainerState().highestCleanBpm} BPM!`);
+    return;
+  }
+  
+  const change = step.change > 0 ? `up to ${step.bpm} BPM` : step.change < 0 ? `backing off to ${step.bpm} BPM` : `again at ${step.bpm} BPM`;
+  updateSpeedTrainerStatus(`${passed ? '✅ Clean loop' : '❌ Not clean'} - ${change}`);
+  
+  cancelSpeedTrainerLoop();
+  speedTrainerTimer = globalClock.setTimeout(() => {
+    speedTrainerTimer = null;
+    startProperGame();
+  }, SPEED_TRAINER_PAUSE);
+}
+
+function cancelSpeedTrainerLoop() {
+  if (speedTrainerTimer !== null) {
+    globalClock.clearTimeout(speedTrainerTimer);
+    speedTrainerTimer = null;
+  }
+}
+
+// Show the trainer's progress and the highest clean tempo of the session
+function updateSpeedTrainerStatus(message = '') {
+  if (!speedTrainerStatus) return;
+  
+  const trainer = getSpeedTrainerState();
+  const best = getSessionStats().highestCleanBpm;
+  const parts = [];
+  if (message) parts.push(message);
+  if (trainer.loopsPlayed > 0) parts.push(`${trainer.cleanLoops}/${trainer.loopsPlayed} clean loops`);
+  if (best !== null) parts.push(`highest clean tempo: ${best} BPM`);
+  speedTrainerStatus.textContent = parts.join(' · ');
 }
 
 // Test function to cycle through patterns
 function testNextPattern() {
-  const newPattern = nextPattern();
+  const newPattern = patternOrder === 'adaptive' ? scheduleNextPattern()
+    : patternOrder === 'difficulty' ? nextPatternByDifficulty()
+    : nextPattern();
   const patternInfo = getPatternInfo();
 
   
@@ -265,7 +553,10 @@ function testNextPattern() {
   console.log(`📋 Summary: ${noteCount} notes, ${restCount} rests, ${barCount} bar(s)`);
   
   // Render the new pattern with VexFlow and reset highlighting
-  if (renderPattern(newPattern)) {
+  const timeSignature = getCurrentTimeSignature();
+  applyPatternMeter(timeSignature);
+  if (renderPattern(newPattern, timeSignature)) {
+    updatePatternDifficulty(newPattern, timeSignature);
     resetBeatHighlighting(); // Reset highlighting for new pattern
     console.log('🎼 Pattern notation updated');
   } else {
@@ -273,88 +564,504 @@ function testNextPattern() {
   }
 }
 
-// Multiplayer input testing function
-function testMultiplayerInput() {
-  console.log('🎮 Testing Multiplayer Input - Debug Mode');
-  
-  // Force switch to multiplayer mode
-  if (modeMulti) {
-    modeMulti.checked = true;
-    setGameMode('multi');
+// How "Next Pattern" chooses: in library order, easiest first, or by spaced
+// repetition of the player's history (see scheduler.js)
+let patternOrder = DEFAULT_PATTERN_ORDER;
+let patternScheduler = createPatternScheduler();
+let patternOrderSelect = null;
+let patternOrderStatus = null;
+
+function setupPatternOrder() {
+  patternOrderSelect = document.getElementById('patternOrder');
+  patternOrderStatus = document.getElementById('patternOrderStatus');
+  
+  if (patternOrderSelect) {
+    patternOrderSelect.innerHTML = Object.entries(PATTERN_ORDERS)
+      .map(([id, order]) => `<option value="${id}">${order.label}</option>`)
+      .join('');
+    patternOrderSelect.value = patternOrder;
+    globalResourceManager.addEventListener(patternOrderSelect, 'change', function() {
+      setPatternOrder(patternOrderSelect.value);
+      saveProfileSettings({ patternOrder });
+    });
   }
   
-  console.log('🎯 Current mode:', getStateSnapshot().mode);
-  console.log('🎹 Input instructions:', getInputInstructions('multi'));
-  
-  // Start a new game
-  startNewGame();
-  
-  // Start input listening
-  startListening();
-  
-  console.log('✅ Multiplayer test setup complete');
-  console.log('🎹 Try pressing:');
-  console.log('   - A key (Player 1)');
-  console.log('   - Enter key (Player 2)');
-  console.log('🔍 Watch console for detailed input debugging...');
-  
-  // Auto stop after 15 seconds
-  setTimeout(() => {
-    console.log('⏹ Multiplayer test ending...');
-    stopListening();
-    endGame();
-    console.log('📊 Test complete. Check console logs above for any issues.');
-  }, 15000);
+  // Each player's schedule comes from their own history
+  onProfileChange(() => {
+    getResultHistory().then(history => {
+      patternScheduler = createPatternScheduler(history);
+      updatePatternOrderStatus();
+    });
+  });
 }
 
-// Test function for real-time beat tracking without count-in
-function testRealTimeBeatTracking() {
-  console.log('🎯 Testing Real-Time Beat Tracking - Test Mode');
-  
-  // Clear any previous summary
-  const summaryContainer = document.getElementById('performanceSummary');
-  if (summaryContainer) {
-    summaryContainer.innerHTML = '';
+function setPatternOrder(order) {
+  if (!PATTERN_ORDERS[order]) {
+    console.warn('⚠️ Unknown pattern order:', order);
+    return false;
+  }
+  patternOrder = order;
+  if (patternOrderSelect) patternOrderSelect.value = order;
+  updatePatternOrderStatus();
+  return true;
+}
+
+// Let the scheduler choose the next pattern, moving up a level once the
+// current one is mastered
+function scheduleNextPattern() {
+  const { level, currentIndex } = getPatternInfo();
+  const pick = patternScheduler.pickNext(level, { lastIndex: currentIndex });
+  if (!pick) return nextPattern();
+  
+  if (pick.level !== level) {
+    if (levelSelect) levelSelect.value = pick.level;
+    setLevel(pick.level);
+    setSelectedLevel(pick.level);
+    saveProfileSettings({ level: pick.level });
+  }
+  setCurrentPatternIndex(pick.index);
+  updatePatternOrderStatus(pick, level);
+  return getCurrentPattern();
+}
+
+// Move to the next harder pattern of the level (by rating at the current
+// tempo), wrapping round to the easiest
+function nextPatternByDifficulty() {
+  const { level, currentIndex } = getPatternInfo();
+  const list = getPatternsForLevel(level);
+  const order = sortPatternsByDifficulty(list, { bpm: BPM }).map(pattern => list.indexOf(pattern));
+  if (order.length === 0) return nextPattern();
+  
+  setCurrentPatternIndex(order[(order.indexOf(currentIndex) + 1) % order.length]);
+  return getCurrentPattern();
+}
+
+// Show why the scheduler picked the pattern and how much of the level is mastered
+function updatePatternOrderStatus(pick = null, previousLevel = null) {
+  if (!patternOrderStatus) return;
+  if (patternOrder !== 'adaptive') {
+    patternOrderStatus.textContent = '';
+    return;
   }
   
-  // Get current pattern
-  const currentPattern = getCurrentPattern();
-  console.log('🎵 Current pattern:', currentPattern);
-  
-  // Initialize game
-  startNewGame();
-  resetGameFlow();
-  
-  // Clear any highlighting
-  clearAllHighlights();
+  const { level } = getPatternInfo();
+  const mastery = patternScheduler.getLevelMastery(level);
+  const reasons = {
+    promoted: `🎉 ${previousLevel} mastered - moving up to ${level}!`,
+    review: '🔁 Review',
+    new: '🆕 New pattern',
+    ahead: '⏩ Nothing due - practising ahead'
+  };
+  const parts = [];
+  if (pick) parts.push(reasons[pick.reason]);
+  parts.push(`${mastery.mastered}/${mastery.total} ${level} patterns mastered`);
+  patternOrderStatus.textContent = parts.join(' · ');
+}
+
+// Pattern generator: a set of seeded patterns, played as their own level
+const GENERATED_SET_SIZE = 8;
+
+function setupPatternGenerator() {
+  const timeSignatureSelect = document.getElementById('generatorTimeSignature');
+  const noteValues = document.getElementById('generatorNoteValues');
+  const field = id => document.getElementById(id);
+  const defaults = DEFAULT_GENERATOR_OPTIONS;
+  
+  if (timeSignatureSelect) {
+    timeSignatureSelect.innerHTML = Object.keys(TIME_SIGNATURES)
+      .map(timeSignature => `<option value="${timeSignature}">${timeSignature}</option>`)
+      .join('');
+    timeSignatureSelect.value = defaults.timeSignature;
+  }
+  if (noteValues) {
+    noteValues.innerHTML = Object.keys(NOTE_VALUES)
+      .map(type => `<label><input type="checkbox" value="${type}"${defaults.noteValues.includes(type) ? ' checked' : ''}> ${type}</label>`)
+      .join('');
+  }
+  if (field('generatorDotted')) field('generatorDotted').checked = defaults.dotted;
+  if (field('generatorTies')) field('generatorTies').checked = defaults.ties;
+  if (field('generatorRests')) field('generatorRests').value = Math.round(defaults.restDensity * 100);
+  if (field('generatorSyncopation')) field('generatorSyncopation').value = Math.round(defaults.syncopation * 100);
+  if (field('generatorBars')) field('generatorBars').value = defaults.bars;
+  if (field('generatorSeed')) field('generatorSeed').value = defaults.seed;
+  if (field('generatorDifficulty')) field('generatorDifficulty').value = defaults.targetRating ?? '';
+  
+  if (field('generatorNewSeed')) {
+    globalResourceManager.addEventListener(field('generatorNewSeed'), 'click', function() {
+      if (field('generatorSeed')) field('generatorSeed').value = Math.floor(Math.random() * 1000000);
+    });
+  }
+  if (field('generateButton')) {
+    globalResourceManager.addEventListener(field('generateButton'), 'click', () => generatePatternSet(readGeneratorOptions()));
+  }
+}
+
+// Generator options as set in the controls
+function readGeneratorOptions() {
+  const field = id => document.getElementById(id);
+  const noteValues = document.getElementById('generatorNoteValues');
+  
+  return {
+    noteValues: noteValues ? [...noteValues.querySelectorAll('input:checked')].map(input => input.value) : DEFAULT_GENERATOR_OPTIONS.noteValues,
+    dotted: field('generatorDotted') ? field('generatorDotted').checked : DEFAULT_GENERATOR_OPTIONS.dotted,
+    ties: field('generatorTies') ? field('generatorTies').checked : DEFAULT_GENERATOR_OPTIONS.ties,
+    restDensity: field('generatorRests') ? Number(field('generatorRests').value) / 100 : DEFAULT_GENERATOR_OPTIONS.restDensity,
+    syncopation: field('generatorSyncopation') ? Number(field('generatorSyncopation').value) / 100 : DEFAULT_GENERATOR_OPTIONS.syncopation,
+    bars: field('generatorBars') ? Number(field('generatorBars').value) : DEFAULT_GENERATOR_OPTIONS.bars,
+    timeSignature: field('generatorTimeSignature') ? field('generatorTimeSignature').value : DEFAULT_GENERATOR_OPTIONS.timeSignature,
+    seed: field('generatorSeed') ? Number(field('generatorSeed').value) : DEFAULT_GENERATOR_OPTIONS.seed,
+    targetRating: field('generatorDifficulty') && field('generatorDifficulty').value !== '' ? Number(field('generatorDifficulty').value) : DEFAULT_GENERATOR_OPTIONS.targetRating
+  };
+}
+
+// Generate a set of patterns and switch to them
+function generatePatternSet(options) {
+  const status = document.getElementById('generatorStatus');
+  const { valid, issues } = validateGeneratorOptions(options);
+  if (!valid) {
+    if (status) status.textContent = `⚠️ ${issues.join(' · ')}`;
+    return false;
+  }
   
-  // Start input listening
-  startListening();
+  const list = generatePatterns(options, GENERATED_SET_SIZE, { bpm: BPM });
+  if (list.length === 0) {
+    if (status) status.textContent = '❌ No valid pattern fits these settings - try other note values';
+    return false;
+  }
+  registerPatterns('generator', list);
+  
+  // Generated patterns are a level of their own
+  addLevelOption(GENERATED_LEVEL, 'Generated');
+  if (levelSelect) levelSelect.value = GENERATED_LEVEL;
+  changeLevel(GENERATED_LEVEL);
+  
+  const parts = [`🎲 ${list.length} patterns in ${options.timeSignature} from seed ${options.seed}`];
+  if (options.targetRating !== null) {
+    const ratings = list.map(pattern => pattern.rating);
+    const [lowest, highest] = [Math.min(...ratings), Math.max(...ratings)];
+    parts.push(`rated ${lowest === highest ? lowest : `${lowest}-${highest}`}`);
+    if (ratings.some(rating => Math.abs(rating - options.targetRating) > RATING_TOLERANCE)) {
+      parts.push(`not all near ${options.targetRating} - try other note values`);
+    }
+  }
+  parts.push('"Next Pattern" moves through them');
+  if (status) status.textContent = parts.join(' · ');
+  return true;
+}
+
+// Add a level the built-in select doesn't list (generated, from a pack)
+function addLevelOption(level, label = level.charAt(0).toUpperCase() + level.slice(1)) {
+  if (!levelSelect || [...levelSelect.options].some(option => option.value === level)) return;
+  levelSelect.appendChild(new Option(label, level));
+}
+
+// Pattern packs: load a teacher's JSON pack, or save the current level as one
+function setupPatternPacks() {
+  const loadButton = document.getElementById('loadPackButton');
+  const loadFile = document.getElementById('loadPackFile');
+  const saveButton = document.getElementById('savePackButton');
+  
+  if (loadButton && loadFile) {
+    globalResourceManager.addEventListener(loadButton, 'click', () => loadFile.click());
+    globalResourceManager.addEventListener(loadFile, 'change', function() {
+      const file = loadFile.files[0];
+      loadFile.value = ''; // Let the same file be picked again
+      if (file) loadPatternPackFile(file);
+    });
+  }
+  if (saveButton) {
+    globalResourceManager.addEventListener(saveButton, 'click', downloadPatternPack);
+  }
+}
+
+function updatePackStatus(message) {
+  const status = document.getElementById('packStatus');
+  if (status) status.textContent = message;
+}
+
+// Load a pack file picked by the teacher and switch to its first pattern's level
+function loadPatternPackFile(file) {
+  file.text()
+    .then(text => {
+      const { pack, issues } = importPatternPack(text);
+      if (!pack) {
+        console.warn('⚠️ Pattern pack import failed:', issues);
+        updatePackStatus(`❌ ${file.name}: ${issues.join('; ')}`);
+        return;
+      }
+      
+      const entries = loadPatternPack(pack);
+      if (!entries) return;
+      entries.forEach(entry => addLevelOption(entry.level));
+      
+      const first = entries[0];
+      if (levelSelect) levelSelect.value = first.level;
+      changeLevel(first.level, getPatternsForLevel(first.level).indexOf(first));
+      
+      // Start inside the pack's suggested tempo range
+      if (first.tempo && (BPM < first.tempo.min || BPM > first.tempo.max)) {
+        setSpeed(Math.min(first.tempo.max, Math.max(first.tempo.min, BPM)));
+      }
+      
+      const levels = [...new Set(entries.map(entry => entry.level))];
+      const author = pack.author ? ` by ${pack.author}` : '';
+      updatePackStatus(`📦 Loaded "${pack.title}"${author}: ${entries.length} patterns in ${levels.join(', ')}`);
+    })
+    .catch(error => {
+      console.error('❌ Could not read pattern pack:', error);
+      updatePackStatus(`❌ Could not read ${file.name}`);
+    });
+}
+
+// Save the current level's patterns as a pack file
+function downloadPatternPack() {
+  const { level } = getPatternInfo();
+  const list = getPatternsForLevel(level);
+  if (list.length === 0) {
+    updatePackStatus('⚠️ This level has no patterns to save');
+    return;
+  }
   
-  // Start metronome immediately (no count-in)
-  startMetronome();
+  const title = prompt('Pack title:', `${level.charAt(0).toUpperCase() + level.slice(1)} patterns`);
+  if (title === null) return;
+  if (title.trim() === '') {
+    updatePackStatus('⚠️ A pack needs a title');
+    return;
+  }
   
-  console.log('🎼 Test mode started - no count-in, just play along!');
-  console.log('📝 This is for testing the rhythm tracking without the formal game structure');
+  const profile = getActiveProfile();
+  const pack = createPatternPack({ title: title.trim(), author: profile ? profile.name : '' }, list);
+  downloadFile(exportPatternPack(pack), `rhythm-pack-${toFileName(title)}.json`, 'application/json');
   
-  const currentMode = getStateSnapshot().mode;
-  console.log(`🎯 ${getInputInstructions(currentMode)}`);
+  // Library patterns that break the format are saved as they are, but flagged
+  const { valid, issues } = validatePatternPack(pack);
+  if (!valid) {
+    console.warn('⚠️ Saved pattern pack has issues:', issues);
+    updatePackStatus(`⚠️ Saved "${pack.title}", but ${issues.length} issue(s) must be fixed before it loads: ${issues.join('; ')}`);
+    return;
+  }
+  updatePackStatus(`💾 Saved ${list.length} ${level} patterns as "${pack.title}"`);
+}
+
+// Export the pattern on the staff for notation software or a DAW
+function setupPatternExport() {
+  const xmlButton = document.getElementById('exportPatternXmlButton');
+  const midiButton = document.getElementById('exportPatternMidiButton');
+  
+  if (xmlButton) {
+    globalResourceManager.addEventListener(xmlButton, 'click', function() {
+      const { pattern, timeSignature, title } = getShownPattern();
+      downloadFile(exportMusicXml(pattern, { timeSignature, bpm: BPM, title }), `${toFileName(title)}.musicxml`, 'application/vnd.recordare.musicxml+xml');
+    });
+  }
+  if (midiButton) {
+    globalResourceManager.addEventListener(midiButton, 'click', function() {
+      const { pattern, timeSignature, title } = getShownPattern();
+      downloadFile(exportPatternMidi(pattern, { timeSignature, bpm: BPM, title }), `${toFileName(title)}.mid`, 'audio/midi');
+    });
+  }
+}
+
+// The flattened pattern on the staff - a replay's while one is shown
+function getShownPattern() {
+  if (showingReplayPattern && currentReplay) {
+    return { pattern: currentReplay.pattern, timeSignature: currentReplay.timeSignature, title: 'Replay pattern' };
+  }
   
-  // Auto stop after 20 seconds for testing
-  setTimeout(() => {
-    console.log('⏹ Test mode ending...');
-    stopMetronome();
+  const { level, currentIndex, currentPattern, timeSignature } = getPatternInfo();
+  const list = getPatternsForLevel(level);
+  const entry = list.length > 0 ? list[currentIndex % list.length] : null;
+  const title = entry && entry.title ? entry.title : `${level} pattern ${currentIndex + 1}`;
+  return { pattern: currentPattern, timeSignature, title };
+}
+
+// MusicXML import: exercises from notation software, from a file or pasted,
+// played as their own level
+let importedPatterns = [];
+
+function setupMusicXmlImport() {
+  const importButton = document.getElementById('importMusicXmlButton');
+  const importFile = document.getElementById('importMusicXmlFile');
+  const pasteButton = document.getElementById('pasteMusicXmlButton');
+  const pasteText = document.getElementById('musicXmlText');
+  
+  if (importButton && importFile) {
+    globalResourceManager.addEventListener(importButton, 'click', () => importFile.click());
+    globalResourceManager.addEventListener(importFile, 'change', function() {
+      const file = importFile.files[0];
+      importFile.value = ''; // Let the same file be picked again
+      if (!file) return;
+      file.text()
+        .then(text => addImportedPattern(text, file.name))
+        .catch(error => {
+          console.error('❌ Could not read MusicXML file:', error);
+          updateMusicXmlStatus(`❌ Could not read ${file.name}`);
+        });
+    });
+  }
+  if (pasteButton && pasteText) {
+    globalResourceManager.addEventListener(pasteButton, 'click', function() {
+      if (addImportedPattern(pasteText.value, 'Pasted MusicXML')) pasteText.value = '';
+    });
+  }
+}
+
+function updateMusicXmlStatus(message) {
+  const status = document.getElementById('musicXmlStatus');
+  if (status) status.textContent = message;
+}
+
+// Convert a MusicXML document and show it; reports what had to be dropped
+function addImportedPattern(text, name) {
+  const { pattern, dropped, issues } = importMusicXml(text);
+  if (!pattern) {
+    console.warn('⚠️ MusicXML import failed:', issues);
+    updateMusicXmlStatus(`❌ ${name}: ${issues.join('; ')}`);
+    return false;
+  }
+  if (!pattern.title) pattern.title = name;
+  
+  importedPatterns = [...importedPatterns, pattern];
+  registerPatterns('musicxml', importedPatterns);
+  addLevelOption(IMPORTED_LEVEL, 'Imported');
+  if (levelSelect) levelSelect.value = IMPORTED_LEVEL;
+  changeLevel(IMPORTED_LEVEL, importedPatterns.length - 1);
+  
+  const parts = [`🎼 Imported "${pattern.title}" (${pattern.bars.length} bars in ${pattern.timeSignature})`];
+  if (dropped.length > 0) parts.push(`Left out: ${dropped.join('; ')}`);
+  if (issues.length > 0) parts.push(`⚠️ ${issues.join('; ')}`);
+  if (dropped.length > 0 || issues.length > 0) console.warn('⚠️ MusicXML import changes:', dropped, issues);
+  updateMusicXmlStatus(parts.join(' · '));
+  return true;
+}
+
+// Pattern editor: teachers write their own patterns, kept on this device as
+// the custom level
+function setupPatternEditor() {
+  const editorButton = document.getElementById('patternEditorButton');
+  const editorPanel = document.getElementById('patternEditor');
+  
+  if (!initPatternEditor({ onAudition: auditionEditedPattern, onSave: saveEditedPattern, onDelete: deleteEditedPattern })) return;
+  if (editorButton && editorPanel) {
+    globalResourceManager.addEventListener(editorButton, 'click', function() {
+      editorPanel.hidden = !editorPanel.hidden;
+    });
+  }
+}
+
+// Play the pattern being edited (or stop it); the game's staff is left alone
+function auditionEditedPattern(flatPattern, timeSignature) {
+  if (isAuditionPlaying()) {
+    stopAudition();
+    return;
+  }
+  abandonGame();
+  applyPatternMeter(timeSignature);
+  startAudition(flatPattern, { timeSignature, highlight: false });
+}
+
+// Save to the custom level and show the saved pattern in the game
+function saveEditedPattern(pattern) {
+  return saveCustomPattern(pattern).then(record => {
+    if (!record) return null;
+    addLevelOption(CUSTOM_LEVEL, 'Custom');
+    if (levelSelect) levelSelect.value = CUSTOM_LEVEL;
+    changeLevel(CUSTOM_LEVEL, getPatternsForLevel(CUSTOM_LEVEL).indexOf(record));
+    return record;
+  });
+}
+
+function deleteEditedPattern(id) {
+  return deleteCustomPattern(id).then(deleted => {
+    if (!deleted || getPatternInfo().level !== CUSTOM_LEVEL) return deleted;
+    
+    // Leave the custom level once it is empty
+    if (getPatternsForLevel(CUSTOM_LEVEL).length === 0) {
+      const option = levelSelect ? [...levelSelect.options].find(candidate => candidate.value === CUSTOM_LEVEL) : null;
+      if (option) option.remove();
+      const level = getLevels()[0];
+      if (levelSelect) levelSelect.value = level;
+      changeLevel(level);
+    } else {
+      changeLevel(CUSTOM_LEVEL);
+    }
+    return deleted;
+  });
+}
+
+// Stop whatever is playing - a game, a speed trainer loop about to start its
+// next round or an audition - so something else can play
+function abandonGame() {
+  cancelSpeedTrainerLoop();
+  cancelGameAnalysis();
+  if (activeBeatTracker) {
+    removeBeatListener(activeBeatTracker);
+    activeBeatTracker = null;
+    setTapRecorder(null);
     stopListening();
-    endGame();
-    resetGameFlow();
-    console.log('📊 Test complete. This was test mode - no performance analysis.');
-  }, 20000);
+  }
+  resetGameFlow();
+  stopAudition();
+}
+
+// Play the current pattern for the player before they try it. With
+// "then play" ticked the game's count-in follows straight on the same metronome.
+function listenToPattern() {
+  abandonGame();
+  showCurrentPatternAgain();
+  
+  const timeSignature = getCurrentTimeSignature();
+  applyPatternMeter(timeSignature);
+  
+  const rollIntoGame = listenThenPlay && listenThenPlay.checked;
+  startAudition(getCurrentPattern(), {
+    timeSignature,
+    onHandOff: rollIntoGame ? nextBeat => startProperGame({ startBeat: nextBeat }) : null
+  });
+}
+
+// Make the metronome's bar (and accent groups) match a pattern's meter
+function applyPatternMeter(timeSignature) {
+  const meter = getMeter(timeSignature);
+  configureMetronome({ beatsPerBar: meter.beatsPerBar, beatGroups: meter.beatGroups });
+  return meter;
 }
 
-// Simple game flow - back to working basics
-function startProperGame() {
+// Beat listener of the game in progress (so a restart can detach it), and
+// the timer that analyses a game once its pattern is complete
+let activeBeatTracker = null;
+let gameAnalysisTimer = null;
+
+function cancelGameAnalysis() {
+  if (gameAnalysisTimer !== null) {
+    globalClock.clearTimeout(gameAnalysisTimer);
+    gameAnalysisTimer = null;
+  }
+}
+
+// Simple game flow - back to working basics.
+// The round itself (count-in, recording, scoring) is run by the rhythm
+// engine; this follows it on the page and with sound.
+// startBeat: continue on the running metronome, counting in from that beat
+// (used when an audition rolls into the game) instead of restarting it.
+function startProperGame({ startBeat = null } = {}) {
   console.log('🎮 Starting rhythm game with proper beat detection!');
   
+  // Abandon any game that is still running (or a speed trainer loop about to)
+  cancelSpeedTrainerLoop();
+  cancelGameAnalysis();
+  if (activeBeatTracker) {
+    removeBeatListener(activeBeatTracker);
+    activeBeatTracker = null;
+  }
+  const firstBeat = startBeat ?? 0;
+  if (startBeat === null) {
+    stopAudition();
+    stopMetronome();
+    applyPatternMeter(getCurrentTimeSignature());
+  }
+  showCurrentPatternAgain();
+  
   // Clear any previous summary
   const summaryContainer = document.getElementById('performanceSummary');
   if (summaryContainer) {
@@ -365,456 +1072,121 @@ function startProperGame() {
   const currentPattern = getCurrentPattern();
   console.log('🎵 Current pattern:', currentPattern);
   
-  // Count ALL beats in the pattern (notes + rests), not just taps
-  // But properly group 8th notes into quarter note beats
-  const allElements = currentPattern.filter(note => !note.isBarline);
-  
-  // Group elements into quarter note beats (8th notes are subdivisions)
-  const quarterNoteBeats = [];
-  let currentBeat = [];
-  let remainingDuration = 1.0; // Start with a full quarter note duration
-  
-  allElements.forEach((element, index) => {
-    let elementDuration;
-    
-    // Calculate proper duration for each note type
-    switch (element.type) {
-      case 'whole':
-        elementDuration = 4.0;
-        break;
-      case 'half':
-        elementDuration = 2.0;
-        break;
-      case 'quarter':
-        elementDuration = 1.0;
-        break;
-      case 'eighth':
-        elementDuration = 0.5;
-        break;
-      case 'sixteenth':
-        elementDuration = 0.25;
-        break;
-      default:
-        elementDuration = 1.0; // fallback to quarter
-    }
-    
-    // Add this element to the current beat
-    currentBeat.push(element);
-    remainingDuration -= elementDuration;
-    
-    // If we've filled a quarter note worth of duration, complete this beat
-    if (remainingDuration <= 0) {
-      quarterNoteBeats.push({
-        elements: [...currentBeat],
-        beatNumber: quarterNoteBeats.length + 1
-      });
-      currentBeat = [];
-      remainingDuration = 1.0;
-    }
+  // The engine groups ALL elements (notes + rests) by the metronome beat they
+  // start on: quarter notes in simple meters, dotted quarters in 6/8 and 12/8
+  const timeSignature = getCurrentTimeSignature();
+  const { level, currentIndex, patternId } = getPatternInfo();
+  
+  // Smart audio latency compensation of the expected note times
+  const compensateExpectedTime = time => window.latencyCompensator ? window.latencyCompensator.compensateExpectedTime(time) : time;
+  const engine = createRhythmEngine({
+    pattern: currentPattern,
+    timeSignature,
+    bpm: BPM,
+    firstBeat,
+    compensateExpectedTime
   });
+  const { totalBeats, patternBeats, countInBeats } = engine;
   
-  // Handle any remaining partial beat
-  if (currentBeat.length > 0) {
-    quarterNoteBeats.push({
-      elements: [...currentBeat],
-      beatNumber: quarterNoteBeats.length + 1
-    });
-  }
-  
-  console.log(`🎯 Pattern has ${quarterNoteBeats.length} quarter note beats total`);
-  console.log(`📝 Beat structure:`, quarterNoteBeats);
+  console.log(`🎯 Pattern has ${totalBeats} beats of ${timeSignature} (${patternBeats.length} with notes or rests starting on them)`);
+  console.log(`📝 Beat structure:`, patternBeats);
   
   // Initialize game
   startNewGame();
   resetGameFlow();
   clearAllHighlights();
   
-  // Start input listening
+  // Start input listening - taps go to the engine, which only keeps the ones
+  // played while the pattern runs
+  setTapRecorder(engine);
   startListening();
   
-  // Start metronome
-  startMetronome();
-  
-  // Use the existing count-in system
-  startCountIn();
-  
-  console.log('🎼 Count-in starting... Listen for 4 beats, then play along!');
-  console.log('📝 Tap only on the notes (not rests)');
-  
-  const currentMode = getStateSnapshot().mode;
-  console.log(`🎯 ${getInputInstructions(currentMode)}`);
-  
-  // Simple game timing - use existing beat tracking
-  let beatIndex = -4; // Start at -4 for count-in
-  let gameStartTime = 0;
-  let recordedTaps = [];
-  let gamePhase = false;
+  // Simple game timing - driven by the metronome's clicks as they sound
+  const trackBeat = event => {
+    const { type, beatIndex, beat } = engine.handleBeat(event);
   
-  const trackBeat = () => {
-    const currentTime = performance.now();
+    if (type === 'count-in-start') {
+      // First click - show the count-in
+      startCountIn(countInBeats);
     
-    if (beatIndex < 0) {
-      // Count-in phase
-      const countResult = advanceCountIn();
-      
-      if (countResult.complete) {
-        // Count-in finished, start recording
-        gamePhase = true;
-        // Use the metronome's synchronized timing for perfect alignment
-        const metronomeStartTime = getMetronomeStartTime();
-        const countInDuration = 4 * BEAT_INTERVAL; // 4 count-in beats
-        gameStartTime = metronomeStartTime + countInDuration;
-        
-        // Initialize recording and store gameStartTime globally
-        window.recordedTaps = recordedTaps;
-        window.isRecording = true;
-        window.gameStartTime = gameStartTime; // Store globally for analysis
-        
-        console.log('🚀 Recording started! Play along with the metronome...');
-        console.log(`🎵 Pattern has ${quarterNoteBeats.length} quarter note beats - tap on notes, rest on rests!`);
-        console.log(`🕐 Game synchronized with metronome: start=${gameStartTime.toFixed(0)}ms`);
-        console.log(`🎵 Metronome started at: ${metronomeStartTime.toFixed(0)}ms`);
-      }
-      
-      beatIndex++;
-      globalResourceManager.setTimeout(trackBeat, BEAT_INTERVAL);
-      
-    } else if (beatIndex < quarterNoteBeats.length) {
-      // Game phase - track each quarter note beat
-      const currentBeat = quarterNoteBeats[beatIndex];
-      const beatTime = gameStartTime + (beatIndex * BEAT_INTERVAL);
-      
-      // Verify synchronization with metronome
-      const metronomeStartTime = getMetronomeStartTime();
-      const expectedMetronomeBeat = metronomeStartTime + ((4 + beatIndex) * BEAT_INTERVAL); // +4 for count-in
-      const timeDiff = Math.abs(beatTime - expectedMetronomeBeat);
+    } else if (type === 'count-in') {
+      advanceCountIn();
       
-      console.log(`🔄 Beat ${beatIndex + 1}: Game=${beatTime.toFixed(0)}ms, Metronome=${expectedMetronomeBeat.toFixed(0)}ms, Drift=${timeDiff.toFixed(0)}ms`);
+    } else if (type === 'start') {
+      // Count-in finished, the engine is recording
+      advanceCountIn();
       
-      // Describe the beat content
-      const beatDescription = currentBeat.elements.map(el => 
-        `${el.type} ${el.rest ? 'rest' : 'note'}`
-      ).join(' + ');
+      console.log('🚀 Recording started! Play along with the metronome...');
+      console.log(`🎵 Pattern has ${totalBeats} beats - tap on notes, rest on rests!`);
+      console.log(`🕐 Game synchronized with metronome: start=${engine.getStartTime().toFixed(0)}ms`);
+      console.log(`🎵 Metronome started at: ${getMetronomeStartTime().toFixed(0)}ms`);
+    }
+    
+    if (type === 'start' || type === 'beat') {
+      // Game phase - describe the beat content
+      const beatDescription = beat ? beat.elements.map(el =>
+        `${el.type}${el.dotted ? ' (dotted)' : ''}${el.tuplet ? ` (${el.tuplet.num}:${el.tuplet.inSpaceOf})` : ''} ${el.rest ? 'rest' : 'note'}`
+      ).join(' + ') : 'held';
       
-      console.log(`🎵 Beat ${beatIndex + 1}/${quarterNoteBeats.length}: ${beatDescription} at ${beatTime.toFixed(0)}ms`);
+      console.log(`🎵 Beat ${beatIndex + 1}/${totalBeats}: ${beatDescription} at ${event.time.toFixed(0)}ms`);
       
-      beatIndex++;
+    } else if (type === 'complete') {
+      // Pattern complete - the engine has stopped recording
+      console.log('🏁 Pattern complete!');
+      removeBeatListener(trackBeat);
+      activeBeatTracker = null;
       
-      if (beatIndex < quarterNoteBeats.length) {
-        globalResourceManager.setTimeout(trackBeat, BEAT_INTERVAL);
-      } else {
-        // Pattern complete
-        console.log('🏁 Pattern complete!');
+      // Give time for final key releases then analyze (on the game's clock)
+      gameAnalysisTimer = globalClock.setTimeout(() => {
+        gameAnalysisTimer = null;
+        stopMetronome();
+        stopListening();
+        setTapRecorder(null);
+        endGame();
         
-        // Stop recording
-        window.isRecording = false;
+        // Learning from this game moves the compensation, so keep the one
+        // the notes were judged with for the replay
+        const startTime = engine.getStartTime();
+        const latencyCompensation = startTime !== null ? startTime - compensateExpectedTime(startTime) : 0;
         
-        // Give time for final taps then analyze
-        globalResourceManager.setTimeout(() => {
-          stopMetronome();
-          stopListening();
-          endGame();
-          
-          // Simple analysis
-          analyzeSimplePerformance(currentPattern, recordedTaps);
-          
-        }, 300);
-      }
+        const analysis = showPerformanceAnalysis(engine.analyze());
+        if (analysis) {
+          const source = { level, patternIndex: currentIndex, patternId };
+          const replay = createReplay(engine, { source, analysis, latencyCompensation });
+          recordReplay(replay);
+          saveGameToProfile(analysis, replay, source);
+          advanceSpeedTrainer(analysis.overallResult);
+        }
+        
+      }, 300);
     }
   };
   
-  // Set up recording
-  window.recordedTaps = recordedTaps;
-  window.isRecording = false;
-  
-  // Start the count-in
-  setTimeout(trackBeat, BEAT_INTERVAL);
-}
-
-// Simple performance analysis - now tracks ALL beats with proper tap matching
-function analyzeSimplePerformance(pattern, taps) {
-  console.log('📊 ADVANCED PERFORMANCE ANALYSIS');
-  console.log('==============================');
-  
-  // Get ALL elements in the pattern (notes + rests), excluding barlines
-  const allElements = pattern.filter(note => !note.isBarline);
-  console.log(`🎵 Pattern elements:`, allElements);
-  
-  // Group elements into quarter note beats (8th notes are subdivisions)
-  const quarterNoteBeats = [];
-  let currentBeat = [];
-  let remainingDuration = 1.0; // Start with a full quarter note duration
+  console.log(`🎼 Count-in starting... Listen for ${countInBeats} beats, then play along!`);
+  console.log('📝 Tap only on the notes (not rests)');
   
-  allElements.forEach((element, index) => {
-    let elementDuration;
-    
-    // Calculate proper duration for each note type
-    switch (element.type) {
-      case 'whole':
-        elementDuration = 4.0;
-        break;
-      case 'half':
-        elementDuration = 2.0;
-        break;
-      case 'quarter':
-        elementDuration = 1.0;
-        break;
-      case 'eighth':
-        elementDuration = 0.5;
-        break;
-      case 'sixteenth':
-        elementDuration = 0.25;
-        break;
-      default:
-        elementDuration = 1.0; // fallback to quarter
-    }
-    
-    // Add this element to the current beat
-    currentBeat.push(element);
-    remainingDuration -= elementDuration;
-    
-    console.log(`📝 Element ${index + 1}: ${element.type} ${element.rest ? 'rest' : 'note'} (${elementDuration} beats), remaining duration: ${remainingDuration}`);
-    
-    // If we've filled a quarter note worth of duration, complete this beat
-    if (remainingDuration <= 0) {
-      quarterNoteBeats.push({
-        elements: [...currentBeat],
-        beatNumber: quarterNoteBeats.length + 1
-      });
-      currentBeat = [];
-      remainingDuration = 1.0;
-    }
-  });
+  const currentMode = getStateSnapshot().mode;
+  console.log(`🎯 ${getInputInstructions(currentMode)}`);
   
-  // Handle any remaining partial beat
-  if (currentBeat.length > 0) {
-    quarterNoteBeats.push({
-      elements: [...currentBeat],
-      beatNumber: quarterNoteBeats.length + 1
-    });
+  // Start metronome - the count-in follows its clicks
+  activeBeatTracker = trackBeat;
+  addBeatListener(trackBeat);
+  if (startBeat === null) {
+    startMetronome();
   }
-  
-  console.log(`🎯 Grouped into ${quarterNoteBeats.length} quarter note beats:`, quarterNoteBeats);
-  
-  // Count notes that need taps (all non-rest elements)
-  const totalTapsNeeded = allElements.filter(element => !element.rest).length;
-  const totalRests = allElements.filter(element => element.rest).length;
-  
-  console.log(`📝 Pattern: ${quarterNoteBeats.length} quarter note beats (${totalTapsNeeded} taps needed, ${totalRests} rests)`);
-  console.log(`🎹 You tapped: ${taps.length} times`);
-  
-  // Audio compensation temporarily disabled for testing
-  // const compensation = window.rhythmTracker ? window.rhythmTracker.getCompensationInfo().current : 0;
-  // if (compensation > 0) {
-  //   console.log(`🎵 Applying ${compensation}ms audio latency compensation to beat timing`);
-  // }
-  
-  // Create results for each quarter note beat with advanced analysis
-  const gameStartTime = window.gameStartTime;
-  if (!gameStartTime) {
-    console.error('❌ Game start time not found! Cannot perform timing analysis.');
+}
+
+// Show the engine's analysis of a round: feedback sound, message, summary
+// and per-note colours on the staff
+function showPerformanceAnalysis(analysis) {
+  if (!analysis) {
     showCompletionMessage('❌ Timing analysis failed - please try again!');
-    return;
+    return null;
   }
   
-  console.log(`🕐 Game started at: ${gameStartTime.toFixed(0)}ms`);
-  
-  // Sequential tap matching to prevent double-counting
-  let usedTaps = new Set();
-  
-  const results = quarterNoteBeats.map((beat, beatIndex) => {
-    const { elements, beatNumber } = beat;
-    // Apply smart audio latency compensation
-    const rawExpectedTime = gameStartTime + (beatIndex * BEAT_INTERVAL);
-    const expectedBeatTime = window.latencyCompensator ? 
-      window.latencyCompensator.compensateExpectedTime(rawExpectedTime) : 
-      rawExpectedTime;
-    
-    // Check what's in this beat
-    const notes = elements.filter(el => !el.rest);
-    const rests = elements.filter(el => el.rest);
-    const noteCount = notes.length;
-    const isAllRests = elements.every(el => el.rest);
-    
-    // Calculate expected duration for this beat
-    let expectedDuration = 0;
-    elements.forEach(el => {
-      switch (el.type) {
-        case 'whole': expectedDuration += BEAT_INTERVAL * 4; break;
-        case 'half': expectedDuration += BEAT_INTERVAL * 2; break;
-        case 'quarter': expectedDuration += BEAT_INTERVAL; break;
-        case 'eighth': expectedDuration += BEAT_INTERVAL * 0.5; break;
-        case 'sixteenth': expectedDuration += BEAT_INTERVAL * 0.25; break;
-        default: expectedDuration += BEAT_INTERVAL;
-      }
-    });
-    
-    // Find taps that match this beat's timing
-    // Use tighter tolerance for rest beats to avoid false matches
-    const tolerance = isAllRests ? 150 : 300; // ms tolerance - tighter for rests
-    
-    // Find best unused tap for this beat
-    let bestTap = null;
-    let bestScore = Infinity;
-    
-    taps.forEach((tap, tapIndex) => {
-      if (usedTaps.has(tapIndex)) return; // Skip already used taps
-      
-      const timeDiff = Math.abs(tap.time - expectedBeatTime);
-      if (timeDiff <= tolerance) {
-        // Special logic for rest beats - don't match taps that are clearly meant for other beats
-        if (isAllRests) {
-          // Check if this tap is much closer to any nearby note beat
-          let closerToOtherBeat = false;
-          
-          // Check previous beat (if it exists and is a note)
-          if (beatIndex > 0) {
-            const prevBeat = quarterNoteBeats[beatIndex - 1];
-            const prevIsNote = !prevBeat.elements.every(el => el.rest);
-            if (prevIsNote) {
-              const prevBeatTime = gameStartTime + ((beatIndex - 1) * BEAT_INTERVAL);
-              const prevTimeDiff = Math.abs(tap.time - prevBeatTime);
-              // If the tap is closer to the previous beat or within a reasonable range of it, don't match to rest
-              if (prevTimeDiff < timeDiff * 0.8 || prevTimeDiff < 200) { // More lenient threshold
-                closerToOtherBeat = true;
-              }
-            }
-          }
-          
-          // Check next beat (if it exists and is a note)
-          if (beatIndex < quarterNoteBeats.length - 1) {
-            const nextBeat = quarterNoteBeats[beatIndex + 1];
-            const nextIsNote = !nextBeat.elements.every(el => el.rest);
-            if (nextIsNote) {
-              const nextBeatTime = gameStartTime + ((beatIndex + 1) * BEAT_INTERVAL);
-              const nextTimeDiff = Math.abs(tap.time - nextBeatTime);
-              // If the tap is closer to the next beat or within a reasonable range of it, don't match to rest
-              if (nextTimeDiff < timeDiff * 0.8 || nextTimeDiff < 200) { // More lenient threshold
-                closerToOtherBeat = true;
-              }
-            }
-          }
-          
-          // Additional check: if this tap is very close in time to any other tap, it might be a duplicate/hold event
-          const tooCloseToOtherTap = taps.some((otherTap, otherIndex) => {
-            if (otherIndex === tapIndex) return false;
-            return Math.abs(tap.time - otherTap.time) < 100; // Within 100ms of another tap
-          });
-          
-          // Skip this tap if it's clearly meant for another beat or is a duplicate
-          if (closerToOtherBeat || tooCloseToOtherTap) {
-            console.log(`   Skipping tap at ${tap.time.toFixed(0)}ms for rest beat (closer to other beat: ${closerToOtherBeat}, too close to other tap: ${tooCloseToOtherTap})`);
-            return;
-          }
-        }
-        
-        // Score based on timing accuracy and sequential order
-        let score = timeDiff;
-        
-        // Bonus for sequential order
-        const previouslyUsedTaps = Array.from(usedTaps);
-        const highestUsedIndex = previouslyUsedTaps.length > 0 ? Math.max(...previouslyUsedTaps) : -1;
-        if (tapIndex > highestUsedIndex) {
-          score -= 25; // Bonus for sequential order
-        }
-        
-        if (score < bestScore) {
-          bestTap = { tap, index: tapIndex, timeDiff: tap.time - expectedBeatTime };
-          bestScore = score;
-        }
-      }
-    });
-    
-    const matchingTaps = bestTap ? [bestTap.tap] : [];
-    
-    console.log(`🔍 Beat ${beatNumber}: Expected at ${expectedBeatTime.toFixed(0)}ms, found ${matchingTaps.length} matching taps (tolerance: ${tolerance}ms)`);
-    console.log(`   Beat elements:`, elements.map(el => `${el.type} ${el.rest ? 'rest' : 'note'}`).join(', '));
-    console.log(`   isAllRests: ${isAllRests}, notes: ${notes.length}, rests: ${rests.length}`);
-    if (matchingTaps.length > 0) {
-      console.log(`   Best tap: ${matchingTaps[0].time.toFixed(0)}ms (${bestTap.timeDiff.toFixed(0)}ms diff)`);
-      if (matchingTaps[0].duration !== undefined) {
-        console.log(`   Duration: ${matchingTaps[0].duration.toFixed(0)}ms (expected: ${expectedDuration.toFixed(0)}ms)`);
-      }
-      // Mark this tap as used
-      usedTaps.add(bestTap.index);
-    }
-    
-    let beatType, result, timingPrecision = 0, durationScore = 0;
-    
-    if (isAllRests) {
-      // Pure rest beat - should have no taps
-      beatType = 'rest';
-      result = matchingTaps.length === 0 ? 'perfect' : 'miss';
-      timingPrecision = matchingTaps.length === 0 ? 100 : 0; // Perfect timing if no taps, 0 if tapped
-      durationScore = matchingTaps.length === 0 ? 100 : 0;   // Perfect duration if no taps, 0 if tapped
-      console.log(`   REST BEAT: ${matchingTaps.length} taps found, result: ${result}`);
-    } else {
-      // Beat with notes - analyze timing and duration
-      if (matchingTaps.length === 0) {
-        // No taps for this beat
-        beatType = getSimpleBeatType(elements);
-        result = 'miss';
-        timingPrecision = 0;
-        durationScore = 0;
-      } else {
-        // Has taps - analyze quality
-        const bestTap = matchingTaps[0]; // Take the first matching tap
-        const timeDiff = Math.abs(bestTap.time - expectedBeatTime);
-        
-        // Calculate timing precision (0-100)
-        const noteTolerancePrecision = 300; // Use full tolerance for precision calculation
-        timingPrecision = Math.max(0, Math.round(100 - (timeDiff / noteTolerancePrecision * 100)));
-        
-        // Calculate duration score if tap has duration data
-        if (bestTap.duration !== undefined && bestTap.isComplete) {
-          const durationDiff = Math.abs(bestTap.duration - expectedDuration);
-          const durationTolerance = expectedDuration * 0.6; // 60% tolerance (more forgiving)
-          
-          // More forgiving scoring curve
-          let durationPercent = Math.max(0, 100 - (durationDiff / durationTolerance * 100));
-          
-          // Give bonus for being close to expected duration
-          if (durationDiff < expectedDuration * 0.2) // Within 20% of expected
-            durationPercent = Math.min(100, durationPercent + 10); // Bonus points
-          
-          // More generous minimum score
-          durationScore = Math.max(60, Math.round(durationPercent));
-        } else {
-          durationScore = 75; // Better score if no duration data (tap completed normally)
-        }
-        
-        // Determine result based on timing precision (more forgiving thresholds)
-        if (timingPrecision >= 75) {
-          result = 'perfect';
-        } else if (timingPrecision >= 60) {
-          result = 'good';
-        } else if (timingPrecision >= 40) {
-          result = 'close';
-        } else {
-          result = 'miss';
-        }
-        
-        beatType = getSimpleBeatType(elements);
-      }
-    }
-    
-    return {
-      beat: beatNumber,
-      type: beatType,
-      result: result,
-      timing: timingPrecision,
-      durationScore: durationScore,
-      expectedTime: expectedBeatTime,
-      actualTime: matchingTaps.length > 0 ? matchingTaps[0].time : null,
-      elements: elements,
-      expectedDuration: expectedDuration,
-      actualDuration: matchingTaps.length > 0 && matchingTaps[0].duration !== undefined ? matchingTaps[0].duration : null
-    };
-  });
-  
   // Feed results to smart latency compensator for learning
   if (window.latencyCompensator) {
-    results.forEach(result => {
+    analysis.results.forEach(result => {
       if (result.actualTime && result.expectedTime) {
         const wasAccurate = result.result === 'perfect' || result.result === 'good';
         window.latencyCompensator.learnFromTap(result.actualTime, result.expectedTime, wasAccurate);
@@ -822,255 +1194,325 @@ function analyzeSimplePerformance(pattern, taps) {
     });
   }
   
-  // Helper function to determine beat type
-  function getSimpleBeatType(elements) {
-    if (elements.every(el => el.rest)) return 'rest';
-    if (elements.length === 1 && elements[0].type === 'quarter') return 'quarter-note';
-    if (elements.length === 1 && elements[0].type === 'half') return 'half-note';
-    if (elements.length === 2 && elements.every(el => el.type === 'eighth')) return 'eighth-notes';
-    return 'mixed';
+  playFeedbackSound(analysis.overallResult);
+  showCompletionMessage(analysis.message);
+  
+  showDetailedSummary(analysis.results);
+  showNoteResults(analysis.results);
+  return analysis;
+}
+
+// Player profiles: each keeps its own settings, latency calibration and
+// result history (see profiles.js)
+let profileSelect = null;
+let deleteProfileButton = null;
+let profileStatus = null;
+let applyingProfile = false; // Settings changed by applyProfile() are not saved back
+
+// Bind the player controls and load the profiles
+function setupProfileControls() {
+  profileSelect = document.getElementById('profileSelect');
+  deleteProfileButton = document.getElementById('deleteProfileButton');
+  profileStatus = document.getElementById('profileStatus');
+  const newProfileButton = document.getElementById('newProfileButton');
+  
+  if (profileSelect) {
+    globalResourceManager.addEventListener(profileSelect, 'change', function() {
+      if (activeBeatTracker || gameAnalysisTimer !== null) {
+        // Settings can't change under a running game, and a finished one
+        // still waiting to be scored belongs to the current player
+        updateProfileControls('⚠️ Finish the current game first');
+        return;
+      }
+      switchProfile(profileSelect.value);
+    });
   }
   
-  // Advanced scoring with timing precision and duration analysis
-  const perfectBeats = results.filter(r => r.result === 'perfect').length;
-  const goodBeats = results.filter(r => r.result === 'good').length;
-  const closeBeats = results.filter(r => r.result === 'close').length;
-  const missedBeats = results.filter(r => r.result === 'miss').length;
+  if (newProfileButton) {
+    globalResourceManager.addEventListener(newProfileButton, 'click', function() {
+      const name = prompt('Name of the new player:');
+      if (name && name.trim()) createProfile(name);
+    });
+  }
   
-  // Calculate overall timing precision
-  const avgTimingPrecision = results.reduce((sum, r) => sum + r.timing, 0) / results.length;
-  const avgDurationScore = results.reduce((sum, r) => sum + r.durationScore, 0) / results.length;
+  if (deleteProfileButton) {
+    globalResourceManager.addEventListener(deleteProfileButton, 'click', function() {
+      const profile = getActiveProfile();
+      if (profile && confirm(`Delete ${profile.name} and all of their results?`)) {
+        deleteProfile(profile.id);
+      }
+    });
+  }
   
-  let message = '';
+  onProfileChange(applyProfile);
+  setupProgressDashboard();
+  
+  // Custom patterns first, so a profile last playing them gets their level back
+  initCustomPatterns()
+    .then(list => {
+      if (list.length > 0) addLevelOption(CUSTOM_LEVEL, 'Custom');
+      return initProfiles();
+    })
+    .then(profile => {
+      if (!profile) updateProfileControls('❌ Profiles could not be loaded');
+    });
+}
+
+// Put a profile's settings and latency calibration into effect
+function applyProfile(profile) {
+  const { settings } = profile;
   
-  if (perfectBeats === quarterNoteBeats.length) {
-    message = `🌟 PERFECT! All ${quarterNoteBeats.length} beats with ${avgTimingPrecision.toFixed(0)}% timing precision and ${avgDurationScore.toFixed(0)}% duration accuracy!`;
-  } else if (perfectBeats + goodBeats >= quarterNoteBeats.length * 0.8) {
-    message = `🎵 GREAT! ${perfectBeats} perfect, ${goodBeats} good beats. Timing: ${avgTimingPrecision.toFixed(0)}%, Duration: ${avgDurationScore.toFixed(0)}%`;
-  } else if (perfectBeats + goodBeats + closeBeats >= quarterNoteBeats.length * 0.6) {
-    message = `👍 GOOD! ${perfectBeats} perfect, ${goodBeats} good, ${closeBeats} close. Work on timing precision!`;
-  } else {
-    message = `💪 KEEP PRACTICING! ${missedBeats} missed beats. Focus on timing and note duration!`;
+  applyingProfile = true;
+  if (settings.bpm !== null) {
+    setSpeed(settings.bpm);
+  }
+  if (settings.level !== null && levelSelect && [...levelSelect.options].some(option => option.value === settings.level)) {
+    levelSelect.value = settings.level;
+    changeLevel(settings.level);
   }
+  if (settings.metronome) {
+    setMetronomeSettings(settings.metronome);
+  }
+  if (settings.subdivision !== null) {
+    configureMetronome({ subdivision: settings.subdivision });
+  }
+  if (settings.accents !== null) {
+    configureMetronome({ accents: settings.accents });
+  }
+  if (settings.patternOrder) {
+    setPatternOrder(settings.patternOrder);
+  }
+  applyingProfile = false;
+  updateMetronomeControls();
   
-  console.log(message);
-  console.log(`📊 Advanced metrics: Timing ${avgTimingPrecision.toFixed(1)}%, Duration ${avgDurationScore.toFixed(1)}%`);
-  showCompletionMessage(message);
+  // A new player starts from the default calibration
+  if (window.latencyCompensator && !window.latencyCompensator.applyCalibration(profile.latency)) {
+    window.latencyCompensator.calibrateFromExternalTest(DEFAULT_LATENCY_CALIBRATION);
+  }
   
-  showDetailedSummary(results);
+  updateProfileControls(`👤 Playing as ${profile.name}`);
+}
+
+function updateProfileControls(message = '') {
+  const active = getActiveProfile();
+  const profiles = listProfiles();
+  
+  if (profileSelect) {
+    // Names are typed by players, so set them as text
+    profileSelect.replaceChildren(...profiles.map(profile => new Option(profile.name, profile.id)));
+    if (active) profileSelect.value = active.id;
+  }
+  if (deleteProfileButton) deleteProfileButton.disabled = profiles.length <= 1;
+  if (profileStatus) profileStatus.textContent = message;
+}
+
+// Remember a setting for the active player
+function saveProfileSettings(settings) {
+  if (applyingProfile) return;
+  updateActiveProfile({ settings });
+}
+
+// Remember the latency calibration for the active player
+function saveLatencyCalibration() {
+  if (window.latencyCompensator) {
+    updateActiveProfile({ latency: window.latencyCompensator.getCalibration() });
+  }
 }
 
-// Analyze recorded performance and show results
-function analyzePerformance(expectedTimes, recordedTaps, totalBeats) {
-  console.log('🔍 ANALYZING PERFORMANCE...');
-  console.log('=================================');
+// Add a finished game to the active player's history (the calibration has
+// just learnt from it too)
+function saveGameToProfile(analysis, replay, source) {
+  patternScheduler.recordResult({ ...source, overallResult: analysis.overallResult });
+  updatePatternOrderStatus();
+  saveLatencyCalibration();
+  recordGameResult({ analysis, replay, source, timeSignature: replay ? replay.timeSignature : getCurrentTimeSignature(), bpm: BPM })
+    .then(() => updateProgressDashboard());
+}
+
+// Progress dashboard of the active player, built from their result history
+let progressPanel = null;
+
+function setupProgressDashboard() {
+  progressPanel = document.getElementById('progressPanel');
+  const progressButton = document.getElementById('progressButton');
+  
+  if (progressButton && progressPanel) {
+    globalResourceManager.addEventListener(progressButton, 'click', function() {
+      progressPanel.hidden = !progressPanel.hidden;
+      updateProgressDashboard();
+    });
+  }
   
-  // Extract just the tap times
-  const tapTimes = recordedTaps.map(tap => tap.time);
+  onProfileChange(() => updateProgressDashboard());
+}
+
+// Redraw the dashboard (only while it is open)
+function updateProgressDashboard() {
+  if (!progressPanel || progressPanel.hidden) return Promise.resolve(false);
   
-  console.log(`📊 Expected quarter note beats: ${expectedTimes.length}`);
-  console.log(`📊 Your taps: ${tapTimes.length}`);
-  console.log(`📊 Pattern has ${totalBeats} quarter note beats (${totalBeats/4} bars)`);
+  const profile = getActiveProfile();
+  return getResultHistory().then(history =>
+    renderProgressDashboard(progressPanel, buildProgressReport(history), { playerName: profile ? profile.name : '' }));
+}
+
+// Replay of the last game played (or imported), shown by the replay controls
+let currentReplay = null;
+let showingReplayPattern = false; // The staff shows a replay's pattern instead of the current one
+let replayButton = null;
+let replayScoring = null;
+let exportReplayButton = null;
+let exportPerformanceMidiButton = null;
+let replayStatus = null;
+
+// Bind the replay, export and import controls
+function setupReplayControls() {
+  replayButton = document.getElementById('replayButton');
+  replayScoring = document.getElementById('replayScoring');
+  exportReplayButton = document.getElementById('exportReplayButton');
+  exportPerformanceMidiButton = document.getElementById('exportPerformanceMidiButton');
+  replayStatus = document.getElementById('replayStatus');
+  const importButton = document.getElementById('importReplayButton');
+  const importFile = document.getElementById('importReplayFile');
+  
+  if (replayScoring) {
+    replayScoring.innerHTML = Object.entries(SCORING_PRESETS)
+      .map(([id, preset]) => `<option value="${id}">${preset.label}</option>`)
+      .join('');
+  }
   
-  // Show detailed tap timing
-  console.log('🕐 Tap timing details:');
-  recordedTaps.forEach((tap, index) => {
-    console.log(`  Tap ${index + 1}: ${tap.time.toFixed(0)}ms (Player ${tap.player})`);
-  });
+  if (replayButton) {
+    globalResourceManager.addEventListener(replayButton, 'click', () => playReplay(currentReplay));
+  }
   
-  console.log('🎯 Expected beat timing:');
-  expectedTimes.forEach((time, index) => {
-    const beatNumber = index + 1;
-    const timeSinceStart = time - expectedTimes[0];
-    const secondsFromStart = (timeSinceStart / 1000).toFixed(1);
-    console.log(`  Beat ${beatNumber}: ${time.toFixed(0)}ms (+${secondsFromStart}s from start)`);
-  });
+  if (exportReplayButton) {
+    globalResourceManager.addEventListener(exportReplayButton, 'click', () => downloadReplay(currentReplay));
+  }
+  
+  if (exportPerformanceMidiButton) {
+    globalResourceManager.addEventListener(exportPerformanceMidiButton, 'click', () => downloadPerformanceMidi(currentReplay));
+  }
+  
+  if (importButton && importFile) {
+    globalResourceManager.addEventListener(importButton, 'click', () => importFile.click());
+    globalResourceManager.addEventListener(importFile, 'change', function() {
+      const file = importFile.files[0];
+      importFile.value = ''; // Let the same file be picked again
+      if (file) loadReplayFile(file);
+    });
+  }
   
-  console.log('🎵 Rhythm guidance:');
-  console.log(`  At ${BPM} BPM, beats should be exactly ${BEAT_INTERVAL}ms apart`);
-  console.log(`  Try counting: "1... 2... 3... 4..." with the metronome`);
-  console.log(`  🎯 TIMING TIP: You're tapping about 500ms early on each beat!`);
-  console.log(`  💡 Wait for the metronome "tick" sound, THEN tap immediately after`);
-  console.log(`  🎼 The metronome tick IS the beat - don't tap before it!`);
-  console.log('');
-  
-  if (tapTimes.length === 0) {
-    console.log('❌ No taps recorded! Try tapping spacebar during the pattern.');
-    showCompletionMessage('No taps detected - try again!');
-    showDetailedSummary([]); // Empty results
+  updateReplayControls();
+}
+
+// Keep a finished game's replay and make it the one the controls use
+function recordReplay(replay) {
+  if (!saveReplay(replay)) return;
+  currentReplay = replay;
+  updateReplayControls(`🎬 Game recorded (${replay.keyEvents.length} key events)`);
+}
+
+function updateReplayControls(message = '') {
+  if (replayButton) replayButton.disabled = !currentReplay;
+  if (exportReplayButton) exportReplayButton.disabled = !currentReplay;
+  if (exportPerformanceMidiButton) exportPerformanceMidiButton.disabled = !currentReplay;
+  if (replayStatus) replayStatus.textContent = message;
+}
+
+// Re-analyse a replay with the selected scoring and play it back on the staff
+function playReplay(replay) {
+  if (!replay) return;
+  
+  const scoring = SCORING_PRESETS[replayScoring ? replayScoring.value : 'standard'] || SCORING_PRESETS.standard;
+  const analysis = analyzeReplay(replay, scoring);
+  if (!analysis) {
+    updateReplayControls('❌ This replay could not be analysed');
     return;
   }
   
-  // Match taps to quarter note beats
-  let hits = 0;
-  let perfect = 0;
-  let good = 0;
-  let misses = 0;
-  let beatResults = []; // Store detailed results for visual display
+  // Stop anything that is playing and show the replay's own pattern
+  abandonGame();
+  stopMetronome();
+  renderPattern(replay.pattern, replay.timeSignature);
+  updatePatternDifficulty(replay.pattern, replay.timeSignature);
+  showingReplayPattern = true;
+  
+  showCompletionMessage(analysis.message);
+  showDetailedSummary(analysis.results);
+  updateReplayControls(`▶️ Replaying at ${replay.bpm} BPM with ${scoring.label.toLowerCase()} scoring`);
+  
+  startReplay(replay, analysis, {
+    meter: getMeter(replay.timeSignature),
+    totalBeats: analysis.engine.totalBeats,
+    onEnd: () => updateReplayControls(`🏁 Replay finished - ${analysis.overallResult} with ${scoring.label.toLowerCase()} scoring`)
+  });
+}
+
+// Put the current pattern back on the staff after a replay showed its own
+function showCurrentPatternAgain() {
+  if (!showingReplayPattern) return;
+  showingReplayPattern = false;
   
-  const tolerance = { perfect: 100, good: 200 }; // More generous for analysis
+  const patternInfo = getPatternInfo();
+  renderPattern(patternInfo.currentPattern, patternInfo.timeSignature);
+  updatePatternDifficulty(patternInfo.currentPattern, patternInfo.timeSignature);
+}
+
+// Save a replay as a JSON file
+function downloadReplay(replay) {
+  if (!replay) return;
   
-  // Sequential tap matching - match taps in order they were played
-  let usedTaps = new Set(); // Track which taps have been used
+  downloadFile(exportReplay(replay), `rhythm-replay-${getReplayFileName(replay)}.json`, 'application/json');
+  updateReplayControls('💾 Replay exported');
+}
+
+// Save a replay's taps, with the pattern and count-in, as a MIDI file
+function downloadPerformanceMidi(replay) {
+  if (!replay) return;
   
-  expectedTimes.forEach((expectedTime, beatIndex) => {
-    console.log(`🔍 Matching beat ${beatIndex + 1} (expected at ${expectedTime.toFixed(0)}ms)`);
-    
-    let bestMatch = null;
-    let bestScore = Infinity;
-    
-    // Look for the best unused tap for this beat
-    tapTimes.forEach((tapTime, tapIndex) => {
-      if (usedTaps.has(tapIndex)) {
-        console.log(`  ⏭️ Tap ${tapIndex + 1} at ${tapTime.toFixed(0)}ms already used, skipping`);
-        return; // Skip already used taps
-      }
-      
-      const diff = Math.abs(tapTime - expectedTime);
-      const timeDiff = tapTime - expectedTime; // Positive = late, negative = early
-      
-      console.log(`  🎯 Checking tap ${tapIndex + 1} at ${tapTime.toFixed(0)}ms (${timeDiff >= 0 ? '+' : ''}${timeDiff.toFixed(0)}ms from expected)`);
-      
-      // Use generous tolerance but prefer taps that are closer in time
-      const maxTolerance = 700; // More generous tolerance
-      const finalBeatTolerance = 900; // Even more generous for final beat
-      const tolerance = (beatIndex === expectedTimes.length - 1) ? finalBeatTolerance : maxTolerance;
-      
-      if (diff < tolerance) {
-        // Score based on timing accuracy and sequential order preference
-        // Prefer taps that are closer to expected time
-        // Also prefer taps that come in the right sequential order
-        let score = diff;
-        
-        // Bonus for sequential order - prefer taps that haven't been "jumped over"
-        const previouslyUsedTaps = Array.from(usedTaps);
-        const highestUsedIndex = previouslyUsedTaps.length > 0 ? Math.max(...previouslyUsedTaps) : -1;
-        
-        if (tapIndex > highestUsedIndex) {
-          score -= 50; // Bonus for sequential order
-        }
-        
-        // Slight preference for slightly early taps over late taps (more musical)
-        if (timeDiff < 0 && timeDiff > -200) {
-          score -= 25; // Bonus for being slightly early
-        }
-        
-        console.log(`    📊 Score: ${score.toFixed(0)} (tolerance: ${tolerance}ms)`);
-        
-        if (score < bestScore) {
-          bestMatch = { time: tapTime, index: tapIndex, diff: timeDiff };
-          bestScore = score;
-        }
-      } else {
-        console.log(`    ❌ Outside tolerance (${diff.toFixed(0)}ms > ${tolerance}ms)`);
-      }
-    });
-    
-    if (bestMatch) {
-      // Mark this tap as used
-      usedTaps.add(bestMatch.index);
-      console.log(`  ✅ Matched tap ${bestMatch.index + 1} to beat ${beatIndex + 1} (${bestMatch.diff >= 0 ? '+' : ''}${bestMatch.diff.toFixed(0)}ms)`);
-    }
-    
-    let result = 'miss';
-    let timingMs = 0;
-    
-    if (bestMatch) {
-      hits++;
-      timingMs = Math.abs(bestMatch.diff);
-      
-      if (timingMs <= tolerance.perfect) {
-        perfect++;
-        result = 'perfect';
-        console.log(`✅ Beat ${beatIndex + 1}: PERFECT (${bestMatch.diff >= 0 ? '+' : ''}${bestMatch.diff.toFixed(0)}ms)`);
-      } else if (timingMs <= tolerance.good) {
-        good++;
-        result = 'good';
-        console.log(`👍 Beat ${beatIndex + 1}: GOOD (${bestMatch.diff >= 0 ? '+' : ''}${bestMatch.diff.toFixed(0)}ms)`);
-      } else {
-        misses++;
-        result = 'close';
-        console.log(`⚠️ Beat ${beatIndex + 1}: CLOSE (${bestMatch.diff >= 0 ? '+' : ''}${bestMatch.diff.toFixed(0)}ms)`);
+  downloadFile(exportPerformanceMidi(replay), `rhythm-performance-${getReplayFileName(replay)}.mid`, 'audio/midi');
+  updateReplayControls(`🎹 Performance exported as MIDI at ${replay.bpm} BPM`);
+}
+
+function getReplayFileName(replay) {
+  const source = replay.source ? `${replay.source.level}-${replay.source.patternIndex + 1}-` : '';
+  return `${source}${replay.recordedAt.slice(0, 19).replace(/[:T]/g, '-')}`;
+}
+
+// Offer text or bytes to the player as a file download
+function downloadFile(content, fileName, type) {
+  const blob = new Blob([content], { type });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+}
+
+function toFileName(text) {
+  return text.trim().toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'pattern';
+}
+
+// Load a replay file picked by the player
+function loadReplayFile(file) {
+  file.text()
+    .then(text => {
+      const { replay, issues } = importReplay(text);
+      if (!replay) {
+        console.warn('⚠️ Replay import failed:', issues);
+        updateReplayControls(`❌ ${file.name}: ${issues.join('; ')}`);
+        return;
       }
-    } else {
-      misses++;
-      console.log(`❌ Beat ${beatIndex + 1}: MISSED (no suitable tap found)`);
       
-      // Provide helpful feedback for missed beats
-      if (beatIndex === expectedTimes.length - 1) {
-        console.log(`💡 Tip: The final beat (${beatIndex + 1}) is important! Make sure to tap all beats in the pattern.`);
-        console.log(`🔍 Debug: Beat ${beatIndex + 1} timing analysis:`);
-        console.log(`   Expected: ${expectedTime.toFixed(0)}ms`);
-        console.log(`   Available unused taps: ${tapTimes.filter((_, idx) => !usedTaps.has(idx)).map(t => t.toFixed(0) + 'ms').join(', ')}`);
-        console.log(`   ⚠️  Check if you're rushing or missing the final beat!`);
-      }
-    }
-    
-    // Store result for visual display
-    beatResults.push({
-      beat: beatIndex + 1,
-      result: result,
-      timing: timingMs,
-      expectedTime: expectedTime,
-      actualTime: bestMatch ? bestMatch.time : null
+      currentReplay = replay;
+      updateReplayControls(`📂 Loaded ${file.name} (${replay.timeSignature} at ${replay.bpm} BPM) - press Replay to watch it`);
+    })
+    .catch(error => {
+      console.error('❌ Could not read replay file:', error);
+      updateReplayControls(`❌ Could not read ${file.name}`);
     });
-  });
-  
-  // Calculate overall performance
-  const accuracy = Math.round((hits / totalBeats) * 100);
-  const timing = perfect > 0 ? Math.round((perfect / hits) * 100) : 0;
-  
-  // Analyze timing patterns
-  const earlyTaps = beatResults.filter(b => b.actualTime && b.actualTime < b.expectedTime);
-  const lateTaps = beatResults.filter(b => b.actualTime && b.actualTime > b.expectedTime);
-  const avgEarlyAmount = earlyTaps.length > 0 ? earlyTaps.reduce((sum, b) => sum + (b.expectedTime - b.actualTime), 0) / earlyTaps.length : 0;
-  const avgLateAmount = lateTaps.length > 0 ? lateTaps.reduce((sum, b) => sum + (b.actualTime - b.expectedTime), 0) / lateTaps.length : 0;
-  
-  console.log('🎵 TIMING ANALYSIS:');
-  if (earlyTaps.length > lateTaps.length) {
-    console.log(`  ⚠️  You're RUSHING! ${earlyTaps.length} early taps vs ${lateTaps.length} late taps`);
-    console.log(`  ⏰ Average early by: ${avgEarlyAmount.toFixed(0)}ms`);
-    console.log(`  💡 Tip: Slow down! Wait for the metronome tick before tapping`);
-    console.log(`  🎯 IMPORTANT: The metronome tick IS the beat - tap right after you hear it!`);
-  } else if (lateTaps.length > earlyTaps.length) {
-    console.log(`  🐌 You're DRAGGING! ${lateTaps.length} late taps vs ${earlyTaps.length} early taps`);
-    console.log(`  ⏰ Average late by: ${avgLateAmount.toFixed(0)}ms`);
-    console.log(`  💡 Tip: Try to anticipate the beat slightly`);
-  } else {
-    console.log(`  ✅ Good timing balance! ${earlyTaps.length} early, ${lateTaps.length} late`);
-  }
-  
-  console.log('=================================');
-  console.log('🎯 PERFORMANCE SUMMARY:');
-  console.log(`   Quarter note beats hit: ${hits}/${totalBeats} (${accuracy}%)`);
-  console.log(`   Perfect timing: ${perfect}`);
-  console.log(`   Good timing: ${good}`);
-  console.log(`   Missed: ${misses}`);
-  
-  // Show encouraging feedback
-  let message = '';
-  if (accuracy >= 75 && timing >= 50) {
-    message = '🌟 EXCELLENT! Great rhythm and timing!';
-  } else if (accuracy >= 75) {
-    message = '🎵 GREAT! You hit the beats - work on timing precision';
-  } else if (accuracy >= 50) {
-    message = '👍 GOOD START! Keep practicing the rhythm';
-  } else {
-    message = '💪 KEEP TRYING! Listen to the metronome and count along';
-  }
-  
-  console.log(message);
-  console.log('=================================');
-  console.log('✅ Click "Start Game" to try again or "Next Pattern" for a new challenge!');
-  
-  // Show completion message and detailed summary
-  showCompletionMessage(message);
-  showDetailedSummary(beatResults);
-  
-  // Clean up
-  window.recordedTaps = null;
-  window.gameStartTime = null;
-  window.isRecording = false;
 }
 
 // Show completion message overlay
@@ -1113,7 +1555,7 @@ function showCompletionMessage(message) {
   console.log('🎉 Showing completion message:', message);
   
   // Hide after 4 seconds
-  setTimeout(() => {
+  globalClock.setTimeout(() => {
     if (overlay) {
       overlay.style.display = 'none';
       console.log('🎉 Completion message hidden');
@@ -1121,285 +1563,6 @@ function showCompletionMessage(message) {
   }, 4000);
 }
 
-// Show detailed summary below the staff
-function showDetailedSummary(beatResults) {
-  // Find or create summary container
-  let summaryContainer = document.getElementById('performanceSummary');
-  
-  if (!summaryContainer) {
-    summaryContainer = document.createElement('div');
-    summaryContainer.id = 'performanceSummary';
-    summaryContainer.style.marginTop = '20px';
-    summaryContainer.style.padding = '15px';
-    summaryContainer.style.backgroundColor = '#f8f9fa';
-    summaryContainer.style.border = '1px solid #dee2e6';
-    summaryContainer.style.borderRadius = '8px';
-    summaryContainer.style.fontFamily = 'Arial, sans-serif';
-    summaryContainer.style.fontSize = '14px';
-    
-    // Add below the notation display
-    const notationDisplay = document.getElementById('notationDisplay');
-    if (notationDisplay) {
-      notationDisplay.parentNode.insertBefore(summaryContainer, notationDisplay.nextSibling);
-    }
-  }
-  
-  if (beatResults.length === 0) {
-    summaryContainer.innerHTML = '<h4>No Performance Data</h4><p>No taps were recorded during the pattern.</p>';
-    return;
-  }
-  
-  // Create summary HTML
-  let summaryHTML = '<h4>🎯 Beat-by-Beat Performance</h4>';
-  summaryHTML += '<div style="display: flex; flex-wrap: wrap; gap: 8px; margin-bottom: 10px;">';
-  
-  beatResults.forEach(beat => {
-    let color, symbol, description;
-    
-    // Handle different results with proper colors
-    switch (beat.result) {
-      case 'perfect':
-        color = '#28a745'; // Green
-        symbol = '🌟';
-        description = `Perfect! (${beat.timing}% timing, ${beat.durationScore}% duration)`;
-        break;
-      case 'good':
-        color = '#17a2b8'; // Blue
-        symbol = '�';
-        description = `Good! (${beat.timing}% timing, ${beat.durationScore}% duration)`;
-        break;
-      case 'close':
-        color = '#ffc107'; // Yellow
-        symbol = '⚠️';
-        description = `Close (${beat.timing}% timing, ${beat.durationScore}% duration)`;
-        break;
-      case 'miss':
-        color = '#dc3545'; // Red
-        symbol = '❌';
-        description = 'Missed';
-        break;
-      default:
-        color = '#6c757d'; // Gray
-        symbol = '❓';
-        description = 'Unknown';
-        break;
-    }
-    
-    // Override for rest beats
-    if (beat.type === 'rest') {
-      color = '#17a2b8';
-      symbol = '🔇';
-      description = beat.result === 'perfect' ? 'Rest (correct)' : 'Rest (tapped incorrectly)';
-    }
-    
-    // Create detailed beat display with timing and duration info
-    const timingDisplay = beat.timing !== undefined ? `${beat.timing}%` : 'N/A';
-    const durationDisplay = beat.durationScore !== undefined ? `${beat.durationScore}%` : 'N/A';
-    
-    summaryHTML += `
-      <div style="
-        display: inline-flex;
-        flex-direction: column;
-        align-items: center;
-        padding: 8px 10px;
-        background: ${color}20;
-        border: 1px solid ${color};
-        border-radius: 6px;
-        color: ${color};
-        font-weight: bold;
-        font-size: 12px;
-        min-width: 120px;
-        margin-bottom: 5px;
-      " title="${description}">
-        <div style="display: flex; align-items: center; margin-bottom: 4px;">
-          <span style="margin-right: 6px;">${symbol}</span>
-          <span>Beat ${beat.beat}</span>
-          <span style="font-size: 10px; margin-left: 4px;">${beat.result}</span>
-        </div>
-        ${beat.type !== 'rest' ? `
-          <div style="font-size: 10px; color: ${color}; opacity: 0.8;">
-            <span style="margin-right: 8px;">T: ${timingDisplay}</span>
-            <span>D: ${durationDisplay}</span>
-          </div>
-        ` : ''}
-      </div>
-    `;
-  });
-  
-  summaryHTML += '</div>';
-  
-  // Split beat results into notes and rests
-  const noteBeats = beatResults.filter(b => !b.isRest);
-  const restBeats = beatResults.filter(b => b.isRest);
-  
-  // Add statistics
-  const perfectBeats = beatResults.filter(b => b.result === 'perfect').length;
-  const goodBeats = beatResults.filter(b => b.result === 'good').length;
-  const closeBeats = beatResults.filter(b => b.result === 'close').length;
-  const missedNoteBeats = noteBeats.filter(b => b.result === 'miss').length;
-  const missedRestBeats = restBeats.filter(b => b.result === 'miss').length;
-  
-  const totalBeats = beatResults.length;
-  const beatAccuracy = totalBeats > 0 ? Math.round((perfectBeats / totalBeats) * 100) : 100;
-  
-  // Calculate average timing and duration scores (only for note beats)
-  const beatsWithTiming = noteBeats.filter(b => b.timing !== undefined);
-  const beatsWithDuration = noteBeats.filter(b => b.durationScore !== undefined);
-  
-  const avgTiming = beatsWithTiming.length > 0 ? 
-    Math.round(beatsWithTiming.reduce((sum, b) => sum + b.timing, 0) / beatsWithTiming.length) : 0;
-  const avgDuration = beatsWithDuration.length > 0 ? 
-    Math.round(beatsWithDuration.reduce((sum, b) => sum + b.durationScore, 0) / beatsWithDuration.length) : 0;
-  
-  // Calculate overall performance score (weighted average)
-  const overallScore = Math.round((beatAccuracy * 0.5) + (avgTiming * 0.3) + (avgDuration * 0.2));
-  
-  summaryHTML += `
-    <div style="margin-top: 15px; padding: 10px; background: #f8f9fa; border-radius: 5px;">
-      <h5 style="margin: 0 0 10px 0; color: #333;">📊 Performance Summary</h5>
-      <div style="display: grid; grid-template-columns: repeat(auto-fit, minmax(200px, 1fr)); gap: 10px; font-size: 13px;">
-        <div>
-          <strong>Beat Accuracy:</strong>
-          <span style="color: #28a745; margin-left: 5px;">✅ ${perfectBeats}/${totalBeats} perfect (${beatAccuracy}%)</span>
-        </div>
-        <div>
-          <strong>Timing Precision:</strong>
-          <span style="color: #17a2b8; margin-left: 5px;">⏱️ ${avgTiming}% average</span>
-        </div>
-        <div>
-          <strong>Duration Accuracy:</strong>
-          <span style="color: #6f42c1; margin-left: 5px;">⏳ ${avgDuration}% average</span>
-        </div>
-        <div>
-          <strong>Overall Score:</strong>
-          <span style="color: #fd7e14; margin-left: 5px; font-weight: bold;">🎯 ${overallScore}/100</span>
-        </div>
-      </div>
-      ${goodBeats > 0 || closeBeats > 0 || missedNoteBeats > 0 || missedRestBeats > 0 ? `
-        <div style="margin-top: 10px; font-size: 12px; color: #666;">
-          <strong>Breakdown:</strong>
-          <span style="margin-left: 10px;">Perfect: ${perfectBeats}</span>
-          ${goodBeats > 0 ? `<span style="margin-left: 10px;">Good: ${goodBeats}</span>` : ''}
-          ${closeBeats > 0 ? `<span style="margin-left: 10px;">Close: ${closeBeats}</span>` : ''}
-          ${missedNoteBeats > 0 ? `<span style="margin-left: 10px;">Missed Notes: ${missedNoteBeats}</span>` : ''}
-          ${missedRestBeats > 0 ? `<span style="margin-left: 10px;">Missed Rests: ${missedRestBeats}</span>` : ''}
-        </div>
-      ` : ''}
-    </div>
-  `;
-  
-  // Add tips based on performance
-  let tip = '';
-  
-  if (beatAccuracy >= 90) {
-    tip = '🌟 Excellent! Perfect rhythm with all beats correctly played!';
-  } else if (beatAccuracy >= 75) {
-    tip = '🎵 Good job! Focus on matching the rhythm pattern correctly.';
-  } else if (beatAccuracy >= 50) {
-    tip = '👍 Keep practicing! Listen closely to the pattern and count the notes in each beat.';
-  } else {
-    tip = '💪 Don\'t give up! Start with simpler patterns and focus on one beat at a time.';
-  }
-  
-  summaryHTML += `
-    <div style="margin-top: 15px; padding: 10px; background: #e7f3ff; border-left: 4px solid #007bff; font-style: italic;">
-      <strong>💡 Tip:</strong> ${tip}
-      <br><br>
-      <strong>🎼 Remember:</strong> The metronome ticks on every beat. 
-      Tap on notes (♪) and stay silent on rests (𝄽). 
-      Both are equally important for good rhythm!
-    </div>
-  `;
-  
-  summaryContainer.innerHTML = summaryHTML;
-  
-  // Scroll to summary
-  summaryContainer.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
-}
-
-// Test function to see if metronome and input work together
-function testMetronome() {
-  console.log('🎯 Testing metronome with input...');
-  startButton.textContent = 'Stop Test';
-  startButton.removeEventListener('click', testMetronome);
-  startButton.addEventListener('click', stopTestMetronome);
-  
-  // Start a mini game
-  startNewGame();
-  startListening();
-  startMetronome();
-  
-  const currentMode = getStateSnapshot().mode;
-  console.log(`🎹 ${getInputInstructions(currentMode)}`);
-  console.log('🎵 Tap along to the beat!');
-}
-
-function stopTestMetronome() {
-  console.log('⏹ Stopping test...');
-  startButton.textContent = 'Start Game';
-  startButton.removeEventListener('click', stopTestMetronome);
-  startButton.addEventListener('click', startProperGame); // Use the new proper game function
-  
-  stopMetronome();
-  stopListening();
-  endGame();
-  resetGameFlow(); // Reset any count-in state
-  
-  console.log('📊 Test results:', getSessionStats());
-  console.log('🎹 Input results:', getInputState());
-  
-  metronome.style.background = '#ccc';
-  metronome.textContent = '1';
-}
-
-// Test function to verify beat counting
-function testBeatCounting() {
-  const currentPattern = getCurrentPattern();
-  console.log('🧪 Testing beat counting logic...');
-  console.log('🎵 Current pattern:', currentPattern);
-  
-  // Count using old method (individual notes)
-  const nonBarlineNotes = currentPattern.filter(note => !note.isBarline);
-  console.log(`📝 Individual notes (old method): ${nonBarlineNotes.length}`);
-  
-  // Count using new method (quarter note beats)
-  const patternBars = currentPattern.filter(note => note.isBarline).length + 1;
-  const totalBeats = patternBars * 4;
-  console.log(`📝 Quarter note beats (new method): ${totalBeats} (${patternBars} bars × 4 beats)`);
-  
-  // Check if this makes sense
-  console.log('🔍 Pattern structure detailed analysis:');
-  console.log(`   - Total elements in pattern: ${currentPattern.length}`);
-  console.log(`   - Barlines found: ${currentPattern.filter(n => n.isBarline).length}`);
-  console.log(`   - Non-barline notes: ${nonBarlineNotes.length}`);
-  console.log(`   - Expected beats for ${patternBars} bars: ${totalBeats}`);
-  
-  // Analyze the pattern structure
-  let currentBar = 1;
-  let noteIndex = 0;
-  
-  currentPattern.forEach((note, index) => {
-    if (note.isBarline) {
-      console.log(`📏 --- End of Bar ${currentBar} ---`);
-      currentBar++;
-    } else {
-      noteIndex++;
-      console.log(`🎵 Note ${noteIndex}: ${note.type} ${note.rest ? 'rest' : 'note'} (Bar ${currentBar}) - Element ${index + 1}`);
-    }
-  });
-  
-  console.log(`✅ Beat counting test complete.`);
-  console.log(`📊 Summary: ${patternBars} bar(s) with ${totalBeats} quarter note beats should be tracked.`);
-  
-  // Test what the game would actually track
-  console.log('🎮 What the game will track:');
-  for (let i = 0; i < totalBeats; i++) {
-    const barNum = Math.floor(i / 4) + 1;
-    const beatInBar = (i % 4) + 1;
-    console.log(`   Beat ${i + 1}: Bar ${barNum}, Beat ${beatInBar}`);
-  }
-}
-
 // Simple latency optimization controls
 function addLatencyTestButton() {
   const testButton = document.createElement('button');
@@ -1422,10 +1585,11 @@ function addLatencyTestButton() {
   testButton.addEventListener('dblclick', (e) => {
     e.preventDefault();
     if (window.latencyCompensator) {
-      const userInput = prompt('Enter your optimal latency compensation (ms):\n(Positive = expect taps earlier for audio delay)\n(Negative = expect taps later for fast reflexes)', '-38');
+      const userInput = prompt('Enter your optimal latency compensation (ms):\n(Positive = expect taps earlier for audio delay)\n(Negative = expect taps later for fast reflexes)', String(DEFAULT_LATENCY_CALIBRATION));
       if (userInput && !isNaN(userInput)) {
         const latency = parseFloat(userInput);
         window.latencyCompensator.calibrateFromExternalTest(latency);
+        saveLatencyCalibration();
         
         const info = window.latencyCompensator.getInfo();
         console.log(`🎵 Calibrated to ${latency}ms. Current total: ${info.total}ms`);
@@ -1441,6 +1605,7 @@ function addLatencyTestButton() {
       if (userInput && !isNaN(userInput)) {
         const latency = parseFloat(userInput);
         window.latencyCompensator.calibrateFromExternalTest(latency);
+        saveLatencyCalibration();
         
         const info = window.latencyCompensator.getInfo();
         console.log(`🎵 Calibrated to ${latency}ms. Current total: ${info.total}ms`);
@@ -1451,12 +1616,13 @@ function addLatencyTestButton() {
   // Long press for mobile/touch devices
   let pressTimer;
   testButton.addEventListener('touchstart', (e) => {
-    pressTimer = setTimeout(() => {
+    pressTimer = globalClock.setTimeout(() => {
       if (window.latencyCompensator) {
         const userInput = prompt('Enter your external latency test result (ms):', '165.2');
         if (userInput && !isNaN(userInput)) {
           const latency = parseFloat(userInput);
           window.latencyCompensator.calibrateFromExternalTest(latency);
+          saveLatencyCalibration();
           
           const info = window.latencyCompensator.getInfo();
           console.log(`🎵 Calibrated to ${latency}ms. Current total: ${info.total}ms`);
@@ -1466,7 +1632,7 @@ function addLatencyTestButton() {
   });
 
   testButton.addEventListener('touchend', () => {
-    clearTimeout(pressTimer);
+    globalClock.clearTimeout(pressTimer);
   });
   
   testButton.addEventListener('click', () => {
@@ -1,10 +1,77 @@
 // Audio Module - Handles all sound and metronome functionality
+//
+// The metronome is a lookahead scheduler: a cheap timer wakes up every
+// SCHEDULER_INTERVAL ms and queues every click that falls inside the next
+// SCHEDULE_AHEAD_TIME seconds at an exact AudioContext time. Main-thread
+// stalls (VexFlow renders, logging) can delay the timer, but never the
+// clicks themselves, because the audio thread plays them.
+//
+// Every sound plays through one shared AudioContext and a fixed node graph:
+//   voice (pooled gain envelope) -> bus (click / feedback / pattern) -> master -> speakers
+//
+// Times and timers come from globalClock; clicks are placed on the audio
+// hardware's timeline, read through an AudioContextClock. With a virtual clock
+// the scheduler runs on that clock instead of the audio context and nothing is
+// played, so beat listeners can be driven faster than real time.
+
+import { globalResourceManager } from '../utils/ResourceManager.js';
+import { globalClock, AudioContextClock } from '../utils/Clock.js';
+
+// Scheduler tuning
+const SCHEDULER_INTERVAL = 25;    // ms between scheduler wake-ups
+const SCHEDULE_AHEAD_TIME = 0.1;  // seconds of clicks queued ahead of currentTime
+const START_DELAY = 0.05;         // seconds between startMetronome() and the first click
+
 let metronomeTimer = null;
-let metronomeBeat = 0; // counts from 0 to 3 for each bar
+let metronomeBeat = 0; // counts from 0 to beatsPerBar - 1 for each bar
+let metronomeSubdivision = 0; // subdivision (0 = on the beat) of the last tick heard
 let BEAT_INTERVAL = 600; // Will be set by main.js
-let metronomeStartTime = 0; // High-precision start time
-let expectedBeatTime = 0; // When the next beat should occur
-let audioContext = null; // Web Audio API context
+let metronomeStartTime = 0; // globalClock time at which the first click sounded
+let metronomeStartAudioTime = 0; // AudioContext time of the first click
+let nextTickAudioTime = 0; // AudioContext time of the next grid tick to schedule
+let nextTickIndex = 0; // Number of grid ticks scheduled since the metronome started
+
+// Metronome grid: which ticks of the bar click, and which are accented
+const SUBDIVISIONS = { none: 1, quarter: 1, eighth: 2, triplet: 3, sixteenth: 4 };
+
+// Accent presets; beats are 1-based, patterns mark accented grid slots with 'x'.
+// 'groups' accents the first beat of each beat group (e.g. 2+2+3 in 7/8).
+export const ACCENT_PRESETS = {
+  downbeat: { label: 'Beat 1', beats: [1] },
+  groups: { label: 'Beat groups (e.g. 2+2+3)', groups: true },
+  'one-three': { label: 'Beats 1 and 3', beats: [1, 3] },
+  backbeat: { label: 'Backbeat (2 and 4)', beats: [2, 4] },
+  'son-clave-3-2': { label: 'Son clave 3-2', pattern: 'x..x..x...x.x...' },
+  'son-clave-2-3': { label: 'Son clave 2-3', pattern: '..x.x...x..x..x.' },
+  'rumba-clave-3-2': { label: 'Rumba clave 3-2', pattern: 'x..x...x..x.x...' },
+  none: { label: 'No accents', beats: [] }
+};
+
+let metronomeOptions = { subdivision: 1, accents: 'downbeat', beatsPerBar: 4, beatGroups: null };
+let metronomeGrid = resolveMetronomeGrid(metronomeOptions);
+let audioContext = null; // Web Audio API context (the only one the game creates)
+let audioClock = null; // AudioContextClock reading audioContext's time
+
+// Shared node graph
+const VOICE_POOL_SIZE = 8; // Voices per bus - more than can overlap at 240 BPM sixteenths
+let masterGain = null;
+let buses = {}; // { click: GainNode, feedback: GainNode, pattern: GainNode }
+let voicePools = {}; // { click: [voice], feedback: [voice], pattern: [voice] }
+let busLevels = { master: 1, click: 1, feedback: 0.8, pattern: 0.9 };
+
+// Offset (ms) between the audio clock and globalClock, sampled when the
+// metronome starts so every click is mapped with the same stable value
+let audioClockOffset = 0;
+
+// Timers that fire when a scheduled click actually sounds (visuals + listeners)
+let pendingClickTimers = new Set();
+let beatListeners = new Set();
+
+// Sources queued on the audio thread, so stopMetronome() can silence them
+let scheduledSources = new Set();
+
+// Incremented on every start/stop so a start waiting on resume() can be cancelled
+let metronomeRunId = 0;
 
 // DOM elements (will be set by main.js)
 let metronome = null;
@@ -15,33 +82,56 @@ export function initAudio(metronomeElement, beatInterval) {
   BEAT_INTERVAL = beatInterval;
   
   // Initialize Web Audio API context
+  const ctx = ensureAudioContext();
+  if (!ctx) return;
+  
+  // Auto-resume audio context if suspended (required by browsers)
+  if (ctx.state === 'suspended') {
+    console.log('🎵 Audio context suspended, will resume on first user interaction');
+    
+    // Add click listener to resume audio context
+    const resumeAudio = () => {
+      if (audioContext && audioContext.state === 'suspended') {
+        audioContext.resume().then(() => {
+          console.log('🎵 Audio context resumed:', audioContext.state);
+          
+          // Update timing diagnostics with audio context
+          if (window.timingDiagnostics) {
+            window.timingDiagnostics.audioContext = audioContext;
+          }
+        });
+      }
+    };
+    
+    // Try to resume on various user interactions
+    document.addEventListener('click', resumeAudio, { once: true });
+    document.addEventListener('keydown', resumeAudio, { once: true });
+    document.addEventListener('touchstart', resumeAudio, { once: true });
+  }
+}
+
+// Get the shared audio context, creating it (and its node graph) on first use.
+// A context the browser has closed is replaced transparently.
+export function ensureAudioContext() {
+  if (audioContext && audioContext.state !== 'closed') {
+    return audioContext;
+  }
+  
+  const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+  if (!AudioContextClass) {
+    return null;
+  }
+  
   try {
-    audioContext = new (window.AudioContext || window.webkitAudioContext)();
+    audioContext = new AudioContextClass();
+    audioClock = new AudioContextClock(audioContext);
     console.log('🎵 Audio context initialized:', audioContext.state);
     
-    // Auto-resume audio context if suspended (required by browsers)
-    if (audioContext.state === 'suspended') {
-      console.log('🎵 Audio context suspended, will resume on first user interaction');
-      
-      // Add click listener to resume audio context
-      const resumeAudio = () => {
-        if (audioContext.state === 'suspended') {
-          audioContext.resume().then(() => {
-            console.log('🎵 Audio context resumed:', audioContext.state);
-            
-            // Update timing diagnostics with audio context
-            if (window.timingDiagnostics) {
-              window.timingDiagnostics.audioContext = audioContext;
-            }
-          });
-        }
-      };
-      
-      // Try to resume on various user interactions
-      document.addEventListener('click', resumeAudio, { once: true });
-      document.addEventListener('keydown', resumeAudio, { once: true });
-      document.addEventListener('touchstart', resumeAudio, { once: true });
-    }
+    audioContext.addEventListener('statechange', () => {
+      console.log('🎵 Audio context state:', audioContext.state);
+    });
+    
+    buildAudioGraph(audioContext);
     
     // Update timing diagnostics with audio context
     if (window.timingDiagnostics) {
@@ -49,7 +139,373 @@ export function initAudio(metronomeElement, beatInterval) {
     }
   } catch (error) {
     console.warn('⚠️ Web Audio API not available:', error);
+    audioContext = null;
+    audioClock = null;
+  }
+  
+  return audioContext;
+}
+
+// Build master gain, buses and voice pools on a fresh context
+function buildAudioGraph(ctx) {
+  masterGain = ctx.createGain();
+  masterGain.gain.value = busLevels.master;
+  masterGain.connect(ctx.destination);
+  globalResourceManager.registerAudioNode(masterGain);
+  
+  buses = {};
+  voicePools = {};
+  ['click', 'feedback', 'pattern'].forEach(name => {
+    const bus = ctx.createGain();
+    bus.gain.value = busLevels[name];
+    bus.connect(masterGain);
+    globalResourceManager.registerAudioNode(bus);
+    buses[name] = bus;
+    
+    // Each voice is a persistent gain envelope; sources are one-shot by spec
+    voicePools[name] = [];
+    for (let i = 0; i < VOICE_POOL_SIZE; i++) {
+      const gain = ctx.createGain();
+      gain.gain.value = 0;
+      gain.connect(bus);
+      globalResourceManager.registerAudioNode(gain);
+      voicePools[name].push({ gain, busyUntil: 0 });
+    }
+  });
+}
+
+// Pick a free voice on a bus, stealing the one that frees up soonest if needed
+function acquireVoice(busName, startTime) {
+  const pool = voicePools[busName];
+  let voice = pool.find(v => v.busyUntil <= startTime);
+  if (!voice) {
+    voice = pool.reduce((a, b) => (a.busyUntil <= b.busyUntil ? a : b));
+  }
+  return voice;
+}
+
+// Play a one-shot source through a pooled voice envelope.
+// createSource(ctx) must return an unstarted AudioScheduledSourceNode.
+// 'percussive' shapes a raw oscillator; 'flat' plays a sample at its own shape.
+function triggerVoice(busName, createSource, { when = 0, peak = 0.2, duration = 0.055, shape = 'percussive' } = {}) {
+  if (globalClock.isVirtual) return null; // Virtual time is never heard
+  const ctx = ensureAudioContext();
+  if (!ctx || !buses[busName] || peak <= 0) return null;
+  
+  const startTime = Math.max(when, audioClock.now() / 1000);
+  const endTime = startTime + duration;
+  const voice = acquireVoice(busName, startTime);
+  voice.busyUntil = endTime;
+  
+  // Short attack and release avoid clicks between pooled voices
+  const envelope = voice.gain.gain;
+  envelope.cancelScheduledValues(startTime);
+  envelope.setValueAtTime(0, startTime);
+  envelope.linearRampToValueAtTime(peak, startTime + 0.002);
+  if (shape === 'flat') {
+    envelope.setValueAtTime(peak, Math.max(startTime + 0.002, endTime - 0.005));
+    envelope.linearRampToValueAtTime(0, endTime);
+  } else {
+    envelope.exponentialRampToValueAtTime(0.001, endTime);
+    envelope.setValueAtTime(0, endTime);
+  }
+  
+  const source = createSource(ctx);
+  source.connect(voice.gain);
+  source.start(startTime);
+  source.stop(endTime);
+  source.onended = () => source.disconnect();
+  return source;
+}
+
+// Create a one-shot oscillator source
+function oscillatorSource(frequency, type = 'sine') {
+  return ctx => {
+    const osc = ctx.createOscillator();
+    osc.type = type;
+    osc.frequency.value = frequency;
+    return osc;
+  };
+}
+
+// Create a one-shot buffer source
+function bufferSource(buffer) {
+  return ctx => {
+    const source = ctx.createBufferSource();
+    source.buffer = buffer;
+    return source;
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Sound banks
+//
+// A bank provides one buffer per click role (accent, beat, subdivision), or
+// for counting banks one buffer per count word ('one' ... 'twelve', 'and').
+// Buffers come from sample files when the bank lists them, otherwise (or when a
+// file is missing or fails to decode) they are synthesized on the spot, so a
+// bank is always playable the moment it is selected.
+// ---------------------------------------------------------------------------
+
+const COUNT_WORDS = ['one', 'two', 'three', 'four', 'five', 'six',
+  'seven', 'eight', 'nine', 'ten', 'eleven', 'twelve'];
+
+const SOUND_BANKS = {
+  click: {
+    label: 'Electronic click',
+    synthesize: (ctx, role) => synthesizeTone(ctx, { frequencies: [role === 'accent' ? 1400 : role === 'beat' ? 1000 : 800], decay: 0.012, length: 0.055 })
+  },
+  woodblock: {
+    label: 'Woodblock',
+    synthesize: (ctx, role) => synthesizeTone(ctx, { frequencies: role === 'accent' ? [1050, 1690] : role === 'beat' ? [880, 1420] : [740, 1190], decay: 0.018, length: 0.09 })
+  },
+  cowbell: {
+    label: 'Cowbell',
+    synthesize: (ctx, role) => synthesizeTone(ctx, { frequencies: role === 'subdivision' ? [480, 710] : [562, 845], wave: 'square', decay: role === 'accent' ? 0.09 : 0.06, length: 0.3, lowpass: 0.35 })
+  },
+  hihat: {
+    label: 'Hi-hat',
+    synthesize: (ctx, role) => synthesizeNoise(ctx, { decay: role === 'accent' ? 0.05 : 0.025, length: role === 'accent' ? 0.2 : 0.1 })
+  },
+  count: {
+    label: 'Spoken count',
+    counting: true,
+    // Spoken count words: sounds/count/one.wav ... twelve.wav, and.wav
+    samples: Object.fromEntries(
+      [...COUNT_WORDS, 'and'].map(word => [word, `sounds/count/${word}.wav`])
+    ),
+    // Until the words have loaded, each count gets its own pitch so bars stay audible
+    synthesize: (ctx, word) => word === 'and'
+      ? synthesizeTone(ctx, { frequencies: [330, 660], decay: 0.03, length: 0.1 })
+      : synthesizeTone(ctx, { frequencies: [220 + 30 * COUNT_WORDS.indexOf(word), 660], wave: 'triangle', decay: 0.06, length: 0.18 })
   }
+};
+
+// Decoded buffers per bank, per context: { bankId: { key: AudioBuffer } }
+let bankBuffers = {};
+let bankBuffersContext = null;
+let bankLoads = {};
+
+// Metronome sound settings (what the UI binds to)
+let metronomeSettings = {
+  sound: 'click',
+  volumes: { accent: 1, beat: 0.65, subdivision: 0.4 }
+};
+let settingsListeners = new Set();
+
+// Peak gain of a click at full role volume
+const CLICK_PEAK = 0.22;
+
+// Render a short decaying tone (sum of partials) into a buffer
+function synthesizeTone(ctx, { frequencies, wave = 'sine', decay, length, lowpass = 1 }) {
+  const rate = ctx.sampleRate;
+  const buffer = ctx.createBuffer(1, Math.ceil(length * rate), rate);
+  const data = buffer.getChannelData(0);
+  let smoothed = 0;
+  
+  for (let i = 0; i < data.length; i++) {
+    const t = i / rate;
+    let sample = 0;
+    frequencies.forEach(frequency => {
+      const phase = Math.sin(2 * Math.PI * frequency * t);
+      sample += wave === 'square' ? Math.sign(phase) : wave === 'triangle' ? Math.asin(phase) * 2 / Math.PI : phase;
+    });
+    // One-pole lowpass tames the square wave's harshness
+    smoothed += lowpass * (sample - smoothed);
+    data[i] = (smoothed / frequencies.length) * Math.exp(-t / decay);
+  }
+  return buffer;
+}
+
+// Render a decaying burst of high-passed noise into a buffer
+function synthesizeNoise(ctx, { decay, length }) {
+  const rate = ctx.sampleRate;
+  const buffer = ctx.createBuffer(1, Math.ceil(length * rate), rate);
+  const data = buffer.getChannelData(0);
+  let previous = 0;
+  
+  for (let i = 0; i < data.length; i++) {
+    const noise = Math.random() * 2 - 1;
+    // First difference removes the low end, leaving the metallic hiss
+    data[i] = (noise - previous) * 0.5 * Math.exp(-(i / rate) / decay);
+    previous = noise;
+  }
+  return buffer;
+}
+
+// Keys a bank needs buffers for
+function getBankKeys(bank) {
+  return bank.counting ? [...COUNT_WORDS, 'and'] : ['accent', 'beat', 'subdivision'];
+}
+
+// Get the buffers of a bank, synthesizing anything not loaded yet
+function getBankBuffers(bankId) {
+  const ctx = ensureAudioContext();
+  if (!ctx) return null;
+  
+  // Buffers belong to the context that made them
+  if (bankBuffersContext !== ctx) {
+    bankBuffers = {};
+    bankLoads = {};
+    bankBuffersContext = ctx;
+  }
+  
+  const bank = SOUND_BANKS[bankId];
+  if (!bankBuffers[bankId]) {
+    bankBuffers[bankId] = {};
+    getBankKeys(bank).forEach(key => {
+      bankBuffers[bankId][key] = bank.synthesize(ctx, key);
+    });
+  }
+  return bankBuffers[bankId];
+}
+
+// Load a bank's bundled samples, replacing synthesized buffers as they decode.
+// Resolves with the number of samples that were loaded.
+export function loadSoundBank(bankId) {
+  const bank = SOUND_BANKS[bankId];
+  if (!bank) {
+    return Promise.reject(new Error(`Unknown sound bank: ${bankId}`));
+  }
+  
+  const buffers = getBankBuffers(bankId);
+  if (!buffers || !bank.samples) {
+    return Promise.resolve(0);
+  }
+  if (bankLoads[bankId]) {
+    return bankLoads[bankId];
+  }
+  
+  const ctx = audioContext;
+  const loads = Object.entries(bank.samples).map(([key, url]) =>
+    fetch(url)
+      .then(response => {
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        return response.arrayBuffer();
+      })
+      .then(data => ctx.decodeAudioData(data))
+      .then(buffer => {
+        buffers[key] = buffer;
+        return true;
+      })
+      .catch(() => false)
+  );
+  
+  bankLoads[bankId] = Promise.all(loads).then(results => {
+    const loaded = results.filter(Boolean).length;
+    if (loaded < results.length) {
+      console.warn(`⚠️ Sound bank "${bankId}": ${results.length - loaded} sample(s) missing, using synthesized sounds`);
+    } else {
+      console.log(`🎵 Sound bank "${bankId}" loaded (${loaded} samples)`);
+    }
+    return loaded;
+  });
+  return bankLoads[bankId];
+}
+
+// List the available sound banks for a settings menu
+export function getSoundBanks() {
+  return Object.entries(SOUND_BANKS).map(([id, bank]) => ({
+    id,
+    label: bank.label,
+    counting: !!bank.counting
+  }));
+}
+
+// Add or replace a sound bank. samples maps keys to URLs; synthesize(ctx, key)
+// must return an AudioBuffer and is used for anything not loaded from a file.
+export function registerSoundBank(id, { label, samples = null, counting = false, synthesize }) {
+  if (typeof synthesize !== 'function') {
+    console.warn('⚠️ Sound bank needs a synthesize(ctx, key) fallback:', id);
+    return false;
+  }
+  
+  SOUND_BANKS[id] = { label: label || id, samples, counting, synthesize };
+  delete bankBuffers[id];
+  delete bankLoads[id];
+  return true;
+}
+
+// Get the metronome sound settings
+export function getMetronomeSettings() {
+  return {
+    sound: metronomeSettings.sound,
+    volumes: { ...metronomeSettings.volumes }
+  };
+}
+
+// Update the metronome sound settings, e.g. { sound: 'cowbell' } or
+// { volumes: { subdivision: 0.2 } }. Volumes are 0-1 per click role.
+export function setMetronomeSettings(changes = {}) {
+  if (changes.sound !== undefined) {
+    if (!SOUND_BANKS[changes.sound]) {
+      console.warn('⚠️ Unknown metronome sound:', changes.sound);
+      return false;
+    }
+    metronomeSettings.sound = changes.sound;
+    loadSoundBank(changes.sound);
+  }
+  
+  if (changes.volumes) {
+    Object.entries(changes.volumes).forEach(([role, level]) => {
+      if (role in metronomeSettings.volumes && Number.isFinite(level)) {
+        metronomeSettings.volumes[role] = Math.max(0, Math.min(1, level));
+      }
+    });
+  }
+  
+  const settings = getMetronomeSettings();
+  settingsListeners.forEach(listener => listener(settings));
+  console.log('🎵 Metronome settings:', settings);
+  return true;
+}
+
+// Subscribe to metronome settings changes. Returns an unsubscribe function.
+export function onMetronomeSettingsChange(listener) {
+  settingsListeners.add(listener);
+  return () => settingsListeners.delete(listener);
+}
+
+// Play one metronome sound. role is 'accent', 'beat' or 'subdivision';
+// count (1-based) picks the word for counting banks.
+export function playMetronomeSound({ role = 'beat', count = 1, when = 0 } = {}) {
+  if (globalClock.isVirtual) return null;
+  const bankId = metronomeSettings.sound;
+  const buffers = getBankBuffers(bankId);
+  if (!buffers) return null;
+  
+  const bank = SOUND_BANKS[bankId];
+  const key = !bank.counting ? role
+    : role === 'subdivision' ? 'and'
+    : COUNT_WORDS[(count - 1) % COUNT_WORDS.length];
+  const buffer = buffers[key];
+  
+  return triggerVoice('click', bufferSource(buffer), {
+    when,
+    peak: CLICK_PEAK * metronomeSettings.volumes[role],
+    duration: buffer.duration,
+    shape: 'flat'
+  });
+}
+
+// Set the level (0-1) of 'master', 'click' or 'feedback'
+export function setBusVolume(name, level) {
+  if (!(name in busLevels)) {
+    console.warn('⚠️ Unknown audio bus:', name);
+    return false;
+  }
+  
+  busLevels[name] = Math.max(0, Math.min(1, level));
+  const node = name === 'master' ? masterGain : buses[name];
+  if (node && audioContext) {
+    node.gain.setTargetAtTime(busLevels[name], audioClock.now() / 1000, 0.01);
+  }
+  return true;
+}
+
+// Get the current bus levels
+export function getBusVolumes() {
+  return { ...busLevels };
 }
 
 // Get audio context for timing diagnostics
@@ -62,91 +518,411 @@ export function setBeatInterval(interval) {
   BEAT_INTERVAL = interval;
 }
 
-// Start the metronome with drift-free timing
-export function startMetronome() {
+// Current time on the scheduler's clock, in seconds. Without Web Audio, or
+// with a virtual clock, the scheduler still runs (silently) on globalClock so
+// game flow works.
+function getSchedulerTime() {
+  return (audioClock && !globalClock.isVirtual ? audioClock : globalClock).now() / 1000;
+}
+
+// Sample the offset between the audio clock and globalClock.
+// getOutputTimestamp() describes the sample currently leaving the speakers,
+// so the mapping includes output latency; older browsers fall back to the
+// audio clock plus the reported latency.
+function syncAudioClock() {
+  if (!audioContext || globalClock.isVirtual) {
+    audioClockOffset = 0;
+    return;
+  }
+  
+  if (typeof audioContext.getOutputTimestamp === 'function') {
+    const stamp = audioContext.getOutputTimestamp();
+    if (stamp && stamp.performanceTime > 0) {
+      // The stamp is in performance.now() time - shift it onto the active clock
+      const clockShift = globalClock.now() - performance.now();
+      audioClockOffset = stamp.performanceTime + clockShift - stamp.contextTime * 1000;
+      return;
+    }
+  }
+  
+  const latency = audioContext.outputLatency || audioContext.baseLatency || 0;
+  audioClockOffset = globalClock.now() - audioClock.now() + latency * 1000;
+}
+
+// Convert an AudioContext time (seconds) to the globalClock time (ms)
+// at which it is heard
+export function audioTimeToPerformanceTime(audioTime) {
+  return audioTime * 1000 + audioClockOffset;
+}
+
+// Convert a globalClock time (ms) to an AudioContext time (seconds)
+export function performanceTimeToAudioTime(performanceTime) {
+  return (performanceTime - audioClockOffset) / 1000;
+}
+
+// Get the current audio/performance clock mapping (for diagnostics)
+export function getAudioClockMapping() {
+  return {
+    offset: audioClockOffset,
+    audioTime: getSchedulerTime(),
+    performanceTime: globalClock.now(),
+    clock: globalClock.clock.name || 'custom'
+  };
+}
+
+// Normalise a subdivision option (number of clicks per beat, or a name)
+function parseSubdivision(subdivision) {
+  const ticks = typeof subdivision === 'string' ? SUBDIVISIONS[subdivision] : subdivision;
+  return [1, 2, 3, 4, 6].includes(ticks) ? ticks : null;
+}
+
+// Resolve an accent option into { resolution, positions }: positions are the
+// accented slots of a bar divided into beatsPerBar * resolution slots.
+// Accepts a preset name, an array of 1-based beats, an 'x..x' pattern string
+// or { beats } / { pattern } / { groups: true }.
+function resolveAccents(accents, beatsPerBar, beatGroups = null) {
+  let spec = accents;
+  if (typeof accents === 'string') {
+    spec = ACCENT_PRESETS[accents] || { pattern: accents };
+  } else if (Array.isArray(accents)) {
+    spec = { beats: accents };
+  }
+  spec = spec || {};
+  
+  if (spec.groups) {
+    const positions = new Set([0]);
+    let beat = 0;
+    (beatGroups || []).forEach(size => {
+      beat += size;
+      if (beat < beatsPerBar) positions.add(beat);
+    });
+    return { resolution: 1, positions };
+  }
+  
+  if (spec.pattern) {
+    const pattern = spec.pattern.replace(/[\s|]/g, '');
+    if (pattern.length > 0 && pattern.length % beatsPerBar === 0) {
+      const positions = new Set();
+      [...pattern].forEach((slot, i) => {
+        if (slot === 'x' || slot === 'X') positions.add(i);
+      });
+      return { resolution: pattern.length / beatsPerBar, positions };
+    }
+    console.warn(`⚠️ Accent pattern "${spec.pattern}" does not divide into ${beatsPerBar} beats, accenting beat 1`);
+    return { resolution: 1, positions: new Set([0]) };
+  }
+  
+  const beats = (spec.beats || []).map(beat => beat - 1).filter(beat => beat >= 0 && beat < beatsPerBar);
+  return { resolution: 1, positions: new Set(beats) };
+}
+
+// Build the tick grid the scheduler walks: fine enough for both the
+// subdivision clicks and the accent pattern
+function resolveMetronomeGrid({ subdivision, accents, beatsPerBar, beatGroups }) {
+  const accentMap = resolveAccents(accents, beatsPerBar, beatGroups);
+  const gcd = (a, b) => (b === 0 ? a : gcd(b, a % b));
+  const ticksPerBeat = subdivision * accentMap.resolution / gcd(subdivision, accentMap.resolution);
+  
+  return {
+    beatsPerBar,
+    subdivision,
+    ticksPerBeat,
+    subdivisionStep: ticksPerBeat / subdivision,
+    accentStep: ticksPerBeat / accentMap.resolution,
+    accentPositions: accentMap.positions
+  };
+}
+
+// Describe one grid tick: its beat, whether it clicks and with which role
+function describeTick(tickIndex) {
+  const grid = metronomeGrid;
+  const beatIndex = Math.floor(tickIndex / grid.ticksPerBeat);
+  const tickInBeat = tickIndex % grid.ticksPerBeat;
+  const tickInBar = tickIndex % (grid.beatsPerBar * grid.ticksPerBeat);
+  
+  const isBeat = tickInBeat === 0;
+  const isSubdivision = tickInBeat % grid.subdivisionStep === 0;
+  const isAccent = tickInBar % grid.accentStep === 0 && grid.accentPositions.has(tickInBar / grid.accentStep);
+  
+  return {
+    beatIndex,
+    beatInBar: beatIndex % grid.beatsPerBar,
+    subdivisionIndex: isSubdivision ? tickInBeat / grid.subdivisionStep : null,
+    tickInBeat,
+    isBeat,
+    audible: isBeat || isSubdivision || isAccent,
+    role: isAccent ? 'accent' : isBeat ? 'beat' : 'subdivision'
+  };
+}
+
+// Configure subdivision clicks and accents without starting the metronome.
+// options: { subdivision: 1-4 | 'eighth' | 'triplet' | 'sixteenth',
+//            accents: preset | [beats] | 'x..x' pattern, beatsPerBar,
+//            beatGroups: [beats per group] adding up to beatsPerBar, or null }
+// Changing beatsPerBar without beatGroups clears the groups.
+export function configureMetronome(options = {}) {
+  const next = { ...metronomeOptions };
+  
+  if (options.subdivision !== undefined) {
+    const ticks = parseSubdivision(options.subdivision);
+    if (ticks === null) {
+      console.warn('⚠️ Invalid metronome subdivision:', options.subdivision);
+      return false;
+    }
+    next.subdivision = ticks;
+  }
+  if (options.beatsPerBar !== undefined) {
+    if (!Number.isInteger(options.beatsPerBar) || options.beatsPerBar < 1) {
+      console.warn('⚠️ Invalid beats per bar:', options.beatsPerBar);
+      return false;
+    }
+    next.beatsPerBar = options.beatsPerBar;
+    if (options.beatGroups === undefined) next.beatGroups = null;
+  }
+  if (options.beatGroups !== undefined && options.beatGroups !== null) {
+    const groups = options.beatGroups;
+    if (!Array.isArray(groups) || !groups.every(size => Number.isInteger(size) && size > 0) ||
+        groups.reduce((sum, size) => sum + size, 0) !== next.beatsPerBar) {
+      console.warn('⚠️ Beat groups must add up to the beats per bar:', groups);
+      return false;
+    }
+    next.beatGroups = [...groups];
+  } else if (options.beatGroups === null) {
+    next.beatGroups = null;
+  }
+  if (options.accents !== undefined) {
+    next.accents = options.accents;
+  }
+  
+  metronomeOptions = next;
+  metronomeGrid = resolveMetronomeGrid(metronomeOptions);
+  console.log('🎵 Metronome grid:', { subdivision: next.subdivision, accents: next.accents, beatsPerBar: next.beatsPerBar, beatGroups: next.beatGroups, ticksPerBeat: metronomeGrid.ticksPerBeat });
+  return true;
+}
+
+// Get the current metronome grid options
+export function getMetronomeOptions() {
+  return { ...metronomeOptions };
+}
+
+// Start the metronome, optionally reconfiguring it first (see configureMetronome).
+// Resolves once the first click has been scheduled.
+export function startMetronome(options = null) {
   stopMetronome();
+  const runId = metronomeRunId;
+  
+  if (options) {
+    configureMetronome(options);
+  }
+  
+  // A suspended context does not advance currentTime, so wait for it to run
+  if (audioContext && audioContext.state === 'suspended' && !globalClock.isVirtual) {
+    return audioContext.resume()
+      .catch(error => console.warn('⚠️ Could not resume audio context:', error))
+      .then(() => {
+        if (runId === metronomeRunId) beginScheduling();
+      });
+  }
+  
+  beginScheduling();
+  return Promise.resolve();
+}
+
+// Reset the click grid and start the scheduler loop
+function beginScheduling() {
+  syncAudioClock();
+  
   metronomeBeat = 0;
-  metronomeStartTime = performance.now();
-  expectedBeatTime = metronomeStartTime;
+  metronomeSubdivision = 0;
+  nextTickIndex = 0;
+  metronomeStartAudioTime = getSchedulerTime() + START_DELAY;
+  nextTickAudioTime = metronomeStartAudioTime;
+  metronomeStartTime = audioTimeToPerformanceTime(metronomeStartAudioTime);
   
-  // Play first beat immediately
-  metronomeTick();
+  console.log(`🎵 Metronome scheduled to start at ${metronomeStartTime.toFixed(0)}ms (audio time ${metronomeStartAudioTime.toFixed(3)}s)`);
   
-  // Schedule subsequent beats using precise timing
-  scheduleNextBeat();
+  scheduler();
 }
 
-// Stop the metronome
+// Stop the metronome and cancel any clicks that have not sounded yet
 export function stopMetronome() {
+  metronomeRunId++;
+  
   if (metronomeTimer !== null) {
-    clearTimeout(metronomeTimer);
+    globalClock.clearTimeout(metronomeTimer);
     metronomeTimer = null;
   }
+  
+  pendingClickTimers.forEach(timer => globalClock.clearTimeout(timer));
+  pendingClickTimers.clear();
+  
+  scheduledSources.forEach(source => {
+    try {
+      source.stop();
+    } catch (error) {
+      // Already stopped
+    }
+  });
+  scheduledSources.clear();
 }
 
-// Schedule the next beat with drift correction
-function scheduleNextBeat() {
-  expectedBeatTime += BEAT_INTERVAL;
-  const currentTime = performance.now();
-  const timeUntilBeat = expectedBeatTime - currentTime;
+// Queue every tick inside the lookahead window, then sleep
+function scheduler() {
+  const horizon = getSchedulerTime() + SCHEDULE_AHEAD_TIME;
+  
+  while (nextTickAudioTime < horizon) {
+    scheduleTick(nextTickIndex, nextTickAudioTime);
+    nextTickIndex++;
+    nextTickAudioTime = getBeatAudioTime(nextTickIndex / metronomeGrid.ticksPerBeat);
+  }
   
-  // Schedule the next beat, correcting for any drift
-  metronomeTimer = setTimeout(() => {
-    metronomeTick();
-    scheduleNextBeat();
-  }, Math.max(0, timeUntilBeat));
+  metronomeTimer = globalClock.setTimeout(scheduler, SCHEDULER_INTERVAL);
 }
 
-// Handle each metronome tick
-function metronomeTick() {
-  if (!metronome) return; // Safety check
+// Schedule one grid tick at an exact audio time, plus its visual update
+function scheduleTick(tickIndex, audioTime) {
+  const tick = describeTick(tickIndex);
+  if (!tick.audible) return;
   
-  const currentTime = performance.now();
-  console.log(`🎵 Metronome tick at ${currentTime.toFixed(0)}ms (expected: ${expectedBeatTime.toFixed(0)}ms, drift: ${(currentTime - expectedBeatTime).toFixed(0)}ms)`);
+  scheduleClickSound(tick.role, tick.beatInBar + 1, audioTime);
   
-  if (metronomeBeat === 0) {
-    metronome.style.background = "#ff0";
-    playTickSound(true); // Accent on beat 1
-  } else {
-    metronome.style.background = "#ccc";
-    playTickSound(false);
+  // The DOM and listeners are updated when the click is heard, not when queued
+  const soundTime = audioTimeToPerformanceTime(audioTime);
+  const timer = globalClock.setTimeout(() => {
+    pendingClickTimers.delete(timer);
+    metronomeTick(tick, soundTime);
+  }, Math.max(0, soundTime - globalClock.now()));
+  pendingClickTimers.add(timer);
+}
+
+// Handle each metronome tick as it sounds
+function metronomeTick(tick, soundTime) {
+  metronomeSubdivision = tick.subdivisionIndex || 0;
+  
+  // Only beats move the visual metronome and notify beat listeners
+  if (!tick.isBeat) return;
+  
+  const currentTime = globalClock.now();
+  console.log(`🎵 Metronome tick at ${currentTime.toFixed(0)}ms (sounded: ${soundTime.toFixed(0)}ms, visual lag: ${(currentTime - soundTime).toFixed(0)}ms)`);
+  
+  metronomeBeat = (tick.beatInBar + 1) % metronomeGrid.beatsPerBar;
+  
+  if (metronome) {
+    metronome.style.background = tick.role === 'accent' ? "#ff0" : "#ccc";
+    metronome.textContent = (tick.beatInBar + 1);
   }
   
-  metronome.textContent = (metronomeBeat + 1);
-  metronomeBeat = (metronomeBeat + 1) % 4;
+  const event = { index: tick.beatIndex, beatInBar: tick.beatInBar, accent: tick.role === 'accent', time: soundTime };
+  beatListeners.forEach(listener => {
+    try {
+      listener(event);
+    } catch (error) {
+      console.error('❌ Metronome beat listener failed:', error);
+    }
+  });
 }
 
-// Get the metronome start time for synchronization
+// Subscribe to metronome beats. The listener receives
+// { index, beatInBar, accent, time } where time is the globalClock
+// time at which the beat's click sounded. Subdivision clicks do not notify.
+// Returns an unsubscribe function.
+export function addBeatListener(listener) {
+  beatListeners.add(listener);
+  return () => beatListeners.delete(listener);
+}
+
+// Remove a metronome click listener
+export function removeBeatListener(listener) {
+  beatListeners.delete(listener);
+}
+
+// Get the metronome start time for synchronization (when click 0 sounded)
 export function getMetronomeStartTime() {
   return metronomeStartTime;
 }
 
-// Get the current beat number (0-3)
+// Get the current beat number (0 to beatsPerBar - 1)
 export function getCurrentBeat() {
   return metronomeBeat;
 }
 
-// Calculate the time of a specific beat
+// Get the subdivision (0 = on the beat) of the last tick heard
+export function getCurrentSubdivision() {
+  return metronomeSubdivision;
+}
+
+// Calculate the globalClock time of a beat. beatIndex counts beats
+// since the metronome started and may be fractional (2.5 = the '&' of beat 3).
 export function getBeatTime(beatIndex) {
-  return metronomeStartTime + (beatIndex * BEAT_INTERVAL);
+  return audioTimeToPerformanceTime(getBeatAudioTime(beatIndex));
 }
 
-// Play a metronome tick sound
-export function playTickSound(accent = false) {
-  if (!window.AudioContext && !window.webkitAudioContext) return;
+// Calculate the globalClock time of a subdivision click of a beat
+export function getSubdivisionTime(beatIndex, subdivisionIndex) {
+  return getBeatTime(beatIndex + subdivisionIndex / metronomeGrid.subdivision);
+}
+
+// Calculate the AudioContext time of a beat (fractional beats allowed)
+export function getBeatAudioTime(beatIndex) {
+  return metronomeStartAudioTime + beatIndex * (BEAT_INTERVAL / 1000);
+}
+
+// Queue a click on the shared context at an exact audio time
+function scheduleClickSound(role, count, audioTime) {
+  const source = playMetronomeSound({ role, count, when: audioTime });
+  if (!source) return;
+  
+  scheduledSources.add(source);
+  source.addEventListener('ended', () => scheduledSources.delete(source));
+}
+
+// Play a metronome tick sound (in the selected voice), now or at an AudioContext time
+export function playTickSound(accent = false, when = 0) {
+  return playMetronomeSound({ role: accent ? 'accent' : 'beat', count: 1, when });
+}
+
+// Feedback sounds, one short figure per result
+const FEEDBACK_SOUNDS = {
+  perfect: [{ frequency: 880, offset: 0 }, { frequency: 1320, offset: 0.07 }],
+  good: [{ frequency: 660, offset: 0 }],
+  close: [{ frequency: 520, offset: 0, type: 'triangle' }],
+  miss: [{ frequency: 220, offset: 0, type: 'triangle' }]
+};
+
+// Play a feedback sound ('perfect', 'good', 'close' or 'miss') on the feedback bus
+export function playFeedbackSound(result, when = 0) {
+  const figure = FEEDBACK_SOUNDS[result];
+  if (!figure) return false;
   
-  const ctx = new (window.AudioContext || window.webkitAudioContext)();
-  const osc = ctx.createOscillator();
-  const gainNode = ctx.createGain();
+  const ctx = ensureAudioContext();
+  if (!ctx) return false;
   
-  // Higher pitch and volume for accented beats
-  osc.frequency.value = accent ? 1400 : 1000;
-  gainNode.gain.value = accent ? 0.22 : 0.14;
+  const startTime = Math.max(when, audioClock.now() / 1000);
+  figure.forEach(({ frequency, offset, type }) => {
+    triggerVoice('feedback', oscillatorSource(frequency, type), {
+      when: startTime + offset,
+      peak: 0.18,
+      duration: 0.12
+    });
+  });
+  return true;
+}
+
+// Play one note of a pattern on the pattern bus at an AudioContext time: a
+// woodblock-like hit whose tail rings for the note's length (in seconds), so
+// long notes can be told from short ones. Stops along with the metronome.
+export function playPatternHit(when, length = 0.1) {
+  const duration = Math.min(Math.max(length * 0.9, 0.06), 1.5);
+  const sources = [
+    triggerVoice('pattern', oscillatorSource(784, 'triangle'), { when, peak: 0.35, duration }),
+    triggerVoice('pattern', oscillatorSource(1568), { when, peak: 0.12, duration: 0.03 })
+  ].filter(Boolean);
   
-  osc.connect(gainNode).connect(ctx.destination);
-  osc.start();
-  osc.stop(ctx.currentTime + 0.055);
-  osc.onended = () => ctx.close();
+  sources.forEach(source => {
+    scheduledSources.add(source);
+    source.addEventListener('ended', () => scheduledSources.delete(source));
+  });
+  return sources.length > 0;
 }
 
 // Get current metronome state (for debugging)
@@ -154,6 +930,14 @@ export function getMetronomeState() {
   return {
     isRunning: metronomeTimer !== null,
     currentBeat: metronomeBeat,
-    beatInterval: BEAT_INTERVAL
+    currentSubdivision: metronomeSubdivision,
+    beatInterval: BEAT_INTERVAL,
+    options: getMetronomeOptions(),
+    ticksScheduled: nextTickIndex,
+    pendingClicks: pendingClickTimers.size,
+    audioClockOffset,
+    contextState: audioContext ? audioContext.state : 'unavailable',
+    busLevels: getBusVolumes(),
+    settings: getMetronomeSettings()
   };
-}
\ No newline at end of file
+}
@@ -0,0 +1,203 @@
+// Audition Module - "Listen first" playback of a pattern
+//
+// Plays the pattern as percussive hits over the metronome after one bar of
+// lead-in clicks, highlighting each note on the staff as it sounds. Rests are
+// silent but still highlighted (in grey) so the eye can follow along.
+// Hits are scheduled on the audio clock through the metronome's beat grid,
+// so they line up with the clicks exactly.
+//
+// The same machinery plays back a recorded game (startReplay): the player's
+// own key presses are heard with their original timing and each note takes
+// its result colour as it is judged.
+
+import {
+  startMetronome,
+  stopMetronome,
+  setBeatInterval,
+  configureMetronome,
+  getMetronomeState,
+  addBeatListener,
+  removeBeatListener,
+  getBeatTime,
+  getBeatAudioTime,
+  getMetronomeOptions,
+  playPatternHit
+} from './audio.js';
+import { highlightBeat, clearAllHighlights, showNoteResults } from './notation.js';
+import { getReplayTaps } from './replay.js';
+import { getPatternTimeline, getPatternBeatCount, getMeter, DEFAULT_TIME_SIGNATURE } from './patterns.js';
+import { globalClock } from '../utils/Clock.js';
+
+const NOTE_COLOR = '#2196F3';
+const REST_COLOR = '#9E9E9E';
+
+let isAuditioning = false;
+let auditionRunId = 0; // Incremented on every start/stop to cancel a pending start
+let auditionListener = null;
+let highlightTimers = new Set();
+let restoreMetronome = null; // Puts back the tempo and meter a replay changed
+
+// Play a flattened pattern for the player to listen to.
+// Options:
+//   timeSignature - the pattern's meter (note positions are converted to
+//     metronome beats with it, e.g. dotted quarters in 6/8)
+//   leadInBeats - metronome clicks before the pattern (default: one bar)
+//   onHandOff(nextBeat) - when given, the metronome keeps running after the
+//     pattern and this is called one beat before it ends, with the metronome
+//     beat index that follows the pattern (for rolling into a count-in).
+//     Without it the metronome stops when the pattern is over.
+//   onEnd() - called when the audition finishes on its own
+//   highlight - follow the notes on the game's staff (default true; off for
+//     a pattern that isn't shown there, like the editor's)
+// Resolves once the pattern has been scheduled.
+export function startAudition(flatPattern, { timeSignature = DEFAULT_TIME_SIGNATURE, leadInBeats = null, onHandOff = null, onEnd = null, highlight = true } = {}) {
+  stopAudition();
+  
+  const timeline = getPatternTimeline(flatPattern);
+  if (timeline.length === 0) {
+    console.warn('⚠️ Nothing to audition');
+    return Promise.resolve(false);
+  }
+  
+  const { beatLength } = getMeter(timeSignature);
+  const leadIn = leadInBeats ?? getMetronomeOptions().beatsPerBar;
+  const endBeat = leadIn + getPatternBeatCount(flatPattern, timeSignature);
+  const runId = ++auditionRunId;
+  isAuditioning = true;
+  
+  console.log(`👂 Audition: ${timeline.length} notes after ${leadIn} lead-in beats`);
+  
+  return startMetronome().then(() => {
+    if (runId !== auditionRunId) return false;
+    
+    timeline.forEach(({ index, element, start, tiedFromPrevious, holdDuration }) => {
+      const beat = leadIn + start / beatLength;
+      // A tied note sounds once, for the length of its whole tie chain
+      if (!element.rest && !tiedFromPrevious) {
+        playPatternHit(getBeatAudioTime(beat), getBeatAudioTime(beat + holdDuration / beatLength) - getBeatAudioTime(beat));
+      }
+      if (highlight) {
+        scheduleAt(getBeatTime(beat), () => highlightBeat(index, element.rest ? REST_COLOR : NOTE_COLOR));
+      }
+    });
+    if (highlight) scheduleAt(getBeatTime(endBeat), clearAllHighlights);
+    
+    auditionListener = ({ index }) => {
+      if (onHandOff && index === endBeat - 1) {
+        // Leave the metronome running for whoever takes over
+        removeBeatListener(auditionListener);
+        auditionListener = null;
+        isAuditioning = false;
+        onHandOff(endBeat);
+      } else if (!onHandOff && index === endBeat) {
+        stopAudition();
+        if (onEnd) onEnd();
+      }
+    };
+    addBeatListener(auditionListener);
+    return true;
+  });
+}
+
+// Stop an audition in progress (and the metronome with it)
+export function stopAudition() {
+  auditionRunId++;
+  
+  if (auditionListener) {
+    removeBeatListener(auditionListener);
+    auditionListener = null;
+  }
+  
+  highlightTimers.forEach(timer => globalClock.clearTimeout(timer));
+  highlightTimers.clear();
+  
+  if (isAuditioning) {
+    isAuditioning = false;
+    stopMetronome();
+    clearAllHighlights();
+  }
+  
+  if (restoreMetronome) {
+    restoreMetronome();
+    restoreMetronome = null;
+  }
+}
+
+// Play back a recorded game (see replay.js) on the staff, which must already
+// show the replay's pattern. The metronome counts in at the replay's tempo,
+// every recorded key press is heard at its original time, and each note turns
+// its result colour (from analysis, e.g. analyzeReplay()) once it has been
+// played or missed. The metronome's tempo and meter are put back afterwards.
+// Options:
+//   meter - the replay's meter (getMeter of its time signature)
+//   totalBeats - metronome beats in the pattern
+//   onEnd() - called when the replay finishes on its own
+export function startReplay(replay, analysis, { meter, totalBeats, onEnd = null }) {
+  stopAudition();
+  
+  const previous = getMetronomeState();
+  restoreMetronome = () => {
+    setBeatInterval(previous.beatInterval);
+    configureMetronome({ beatsPerBar: previous.options.beatsPerBar, beatGroups: previous.options.beatGroups });
+  };
+  
+  const beatInterval = 60000 / replay.bpm;
+  const leadIn = replay.countIn.beats;
+  const endBeat = leadIn + totalBeats;
+  const beatAt = at => leadIn + at / beatInterval; // Metronome beat of a time from the downbeat
+  const runId = ++auditionRunId;
+  isAuditioning = true;
+  
+  setBeatInterval(beatInterval);
+  configureMetronome({ beatsPerBar: meter.beatsPerBar, beatGroups: meter.beatGroups });
+  
+  // A note's result shows once it was tapped, or once its window has passed
+  const revealAt = result => result.isRest ? result.expectedTime + result.expectedDuration
+    : result.actualTime ?? result.expectedTime + analysis.scoring.precisionWindow;
+  const revealed = [];
+  
+  console.log(`🎬 Replay: ${replay.keyEvents.length} key events at ${replay.bpm} BPM`);
+  
+  return startMetronome().then(() => {
+    if (runId !== auditionRunId) return false;
+    
+    getReplayTaps(replay).forEach(({ at, duration }) => {
+      const beat = beatAt(at);
+      if (beat < 0) return;
+      const length = duration !== null ? getBeatAudioTime(beatAt(at + duration)) - getBeatAudioTime(beat) : 0.1;
+      playPatternHit(getBeatAudioTime(beat), length);
+    });
+    
+    analysis.results.forEach(result => {
+      const beat = beatAt(revealAt(result) - analysis.startTime);
+      scheduleAt(getBeatTime(beat), () => {
+        revealed.push(result);
+        showNoteResults(revealed);
+      });
+    });
+    
+    auditionListener = ({ index }) => {
+      if (index === endBeat) {
+        stopAudition();
+        showNoteResults(analysis.results);
+        if (onEnd) onEnd();
+      }
+    };
+    addBeatListener(auditionListener);
+    return true;
+  });
+}
+
+// Check whether an audition is playing
+export function isAuditionPlaying() {
+  return isAuditioning;
+}
+
+// Run a callback when a globalClock time is reached
+function scheduleAt(time, callback) {
+  const timer = globalClock.setTimeout(() => {
+    highlightTimers.delete(timer);
+    callback();
+  }, Math.max(0, time - globalClock.now()));
+  highlightTimers.add(timer);
+}
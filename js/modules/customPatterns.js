@@ -0,0 +1,104 @@
+// Custom Patterns Module - The teacher's own patterns, kept on this device
+//
+// Patterns written in the pattern editor are saved to local storage (see
+// ProfileStorage.js) and registered as their own level, so they are played
+// like any other. The library belongs to the device, not to a player.
+
+import { openProfileStorage, createRecordId, STORAGE_SCHEMA_VERSION } from '../utils/ProfileStorage.js';
+import { globalClock } from '../utils/Clock.js';
+import { registerPatterns, validatePattern, flattenPattern, TIME_SIGNATURES, DEFAULT_TIME_SIGNATURE } from './patterns.js';
+
+export const CUSTOM_LEVEL = 'custom';
+
+const STORE = 'customPatterns';
+
+let storage = null;
+let customPatterns = []; // Oldest first, the order they are played in
+
+// Open storage and register the saved patterns. Resolves with them.
+export function initCustomPatterns() {
+  return openProfileStorage()
+    .then(backend => {
+      storage = backend;
+      return storage.getAll(STORE);
+    })
+    .then(records => {
+      customPatterns = records.sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+      registerPatterns('custom', customPatterns);
+      console.log(`✏️ ${customPatterns.length} custom patterns loaded`);
+      return getCustomPatterns();
+    })
+    .catch(error => {
+      console.error('❌ Could not load custom patterns:', error);
+      return [];
+    });
+}
+
+// Every saved pattern, oldest first
+export function getCustomPatterns() {
+  return [...customPatterns];
+}
+
+// Save a pattern ({ title, timeSignature, bars }); with the id of a saved one
+// it is replaced. The pattern must pass validatePattern(). Resolves with the
+// stored record, or null if it was not saved.
+export function saveCustomPattern({ id = null, title = '', timeSignature = DEFAULT_TIME_SIGNATURE, bars }) {
+  if (!storage) {
+    console.warn('⚠️ Custom patterns are not loaded yet');
+    return Promise.resolve(null);
+  }
+  if (!TIME_SIGNATURES[timeSignature] || !Array.isArray(bars) || bars.length === 0) {
+    console.warn('⚠️ A custom pattern needs bars in a supported time signature');
+    return Promise.resolve(null);
+  }
+  const { valid, issues } = validatePattern(flattenPattern(bars), timeSignature);
+  if (!valid) {
+    console.warn('⚠️ Custom pattern not saved:', issues);
+    return Promise.resolve(null);
+  }
+  
+  const existing = id ? customPatterns.find(pattern => pattern.id === id) : null;
+  const now = new Date(globalClock.wallTime()).toISOString();
+  const record = {
+    id: existing ? existing.id : createRecordId(),
+    schemaVersion: STORAGE_SCHEMA_VERSION,
+    level: CUSTOM_LEVEL,
+    title: String(title).trim() || (existing ? existing.title : `Custom pattern ${customPatterns.length + 1}`),
+    timeSignature,
+    bars: JSON.parse(JSON.stringify(bars)),
+    createdAt: existing ? existing.createdAt : now,
+    updatedAt: now
+  };
+  
+  return storage.put(STORE, record)
+    .then(() => {
+      customPatterns = existing
+        ? customPatterns.map(pattern => pattern.id === record.id ? record : pattern)
+        : [...customPatterns, record];
+      registerPatterns('custom', customPatterns);
+      console.log(`💾 Saved custom pattern "${record.title}"`);
+      return record;
+    })
+    .catch(error => {
+      console.error('❌ Could not save custom pattern:', error);
+      return null;
+    });
+}
+
+// Delete a saved pattern. Resolves true once it is gone.
+export function deleteCustomPattern(id) {
+  if (!storage || !customPatterns.some(pattern => pattern.id === id)) {
+    return Promise.resolve(false);
+  }
+  
+  return storage.delete(STORE, id)
+    .then(() => {
+      customPatterns = customPatterns.filter(pattern => pattern.id !== id);
+      registerPatterns('custom', customPatterns);
+      return true;
+    })
+    .catch(error => {
+      console.error('❌ Could not delete custom pattern:', error);
+      return false;
+    });
+}
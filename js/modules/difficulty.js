@@ -0,0 +1,154 @@
+// Difficulty Module - Rate how hard a pattern is to read and play
+//
+// Scores a pattern from its structure rather than its hand-written level:
+// the shortest subdivision, how many notes start off the beat, syncopation
+// (off-beat notes held over the beat or entered after a rest on it), rests on
+// strong beats, tuplets,
+// dots and ties, the meter and - at a given tempo - how fast the quickest
+// notes come. Each factor adds points; the rating is their sum on a 0-10
+// scale, returned with the breakdown so players can see why.
+
+import {
+  DEFAULT_TIME_SIGNATURE,
+  getMeter,
+  getPatternOnsets,
+  getPatternTimeline,
+  flattenPattern
+} from './patterns.js';
+
+export const MAX_RATING = 10;
+const DEFAULT_RATING_BPM = 100;
+
+// Ratings each built-in level is expected to fall in ([min, max))
+export const LEVEL_RATINGS = {
+  beginner: [0, 2],
+  intermediate: [2, 4.3],
+  advanced: [4.3, Infinity]
+};
+
+// Rate a pattern. pattern is a library entry ({ bars, timeSignature }) or a
+// flattened pattern; options.timeSignature applies to flattened ones and
+// options.bpm sets the tempo the speed factor is judged at.
+// Returns { rating, level, breakdown: [{ factor, label, detail, points }] }
+export function ratePattern(pattern, { timeSignature = null, bpm = DEFAULT_RATING_BPM } = {}) {
+  const flat = Array.isArray(pattern) ? pattern : flattenPattern(pattern.bars);
+  const signature = timeSignature || (Array.isArray(pattern) ? null : pattern.timeSignature) || DEFAULT_TIME_SIGNATURE;
+  const meter = getMeter(signature);
+  
+  const timeline = getPatternTimeline(flat);
+  const onsets = getPatternOnsets(flat, signature);
+  const notes = onsets.filter(onset => !onset.element.rest);
+  const rests = onsets.filter(onset => onset.element.rest);
+  const breakdown = [];
+  const add = (factor, label, detail, points) => {
+    breakdown.push({ factor, label, detail, points: round(points) });
+  };
+  
+  if (notes.length === 0) {
+    return { rating: 0, level: getLevelForRating(0), breakdown };
+  }
+  
+  // Shortest subdivision a note is played on (in quarter notes)
+  const shortest = Math.min(...timeline.filter(entry => !entry.element.rest).map(entry => entry.duration));
+  const subdivisionPoints = shortest >= 1 - 1e-6 ? 0 : shortest >= 0.5 - 1e-6 ? 1 : shortest >= 1 / 3 - 1e-6 ? 2 : shortest >= 0.25 - 1e-6 ? 2.5 : 3;
+  add('subdivision', 'Shortest note', describeLength(shortest), subdivisionPoints);
+  
+  // Notes that start between the beats
+  const offBeat = notes.filter(onset => onset.offset > 1e-6);
+  add('offbeat', 'Off-beat notes', `${offBeat.length} of ${notes.length}`, 2 * offBeat.length / notes.length);
+  
+  // Syncopation: off-beat notes held over the next beat, so it is not
+  // played, and off-beat notes coming in after a rest on the beat
+  const syncopated = offBeat.filter(onset => onset.start + onset.hold > onset.beatIndex + 1 + 1e-6);
+  const restEntries = offBeat.filter(onset =>
+    !onsets.some(other => other.beatIndex === onset.beatIndex && other.offset < 1e-6 && !other.element.rest) &&
+    rests.some(rest => rest.beatIndex === onset.beatIndex && rest.offset < 1e-6));
+  add('syncopation', 'Syncopation', `${syncopated.length} held over the beat, ${restEntries.length} after a rest`,
+    Math.min(2, syncopated.length * 0.75 + restEntries.length * 0.4));
+  
+  // Rests where the bar's weight falls (the downbeat and each group's start)
+  const strongBeats = getStrongBeats(meter);
+  const strongRests = rests.filter(onset => onset.offset < 1e-6 && strongBeats.has(onset.beatIndex % meter.beatsPerBar));
+  const bars = Math.max(1, flat.filter(element => element.isBarline).length + 1);
+  add('strong-rests', 'Rests on strong beats', `${strongRests.length}`, Math.min(1.5, strongRests.length / bars * 0.75));
+  
+  // Written extras: tuplets, dots and ties
+  const elements = timeline.map(entry => entry.element);
+  const tuplets = elements.some(element => element.tuplet);
+  const dotted = elements.some(element => element.dotted && !element.rest);
+  const ties = elements.some(element => element.tieToNext);
+  const notationPoints = (tuplets ? 1 : 0) + (dotted ? 0.5 : 0) + (ties ? 0.5 : 0);
+  add('notation', 'Tuplets, dots and ties', [tuplets && 'tuplets', dotted && 'dots', ties && 'ties'].filter(Boolean).join(', ') || 'none', notationPoints);
+  
+  // Uneven and compound meters
+  const meterPoints = meter.beatGroups ? 1 : meter.compound ? 0.5 : 0;
+  add('meter', 'Meter', signature, meterPoints);
+  
+  // How fast the quickest notes follow each other at this tempo
+  const gaps = notes.slice(1).map((onset, i) => onset.start - notes[i].start).filter(gap => gap > 1e-6);
+  const fastest = gaps.length > 0 ? Math.min(...gaps) * meter.beatLength * 60000 / bpm : Infinity;
+  const tempoPoints = fastest < 150 ? 1.5 : fastest < 200 ? 1 : fastest < 300 ? 0.5 : 0;
+  add('tempo', 'Fastest notes', Number.isFinite(fastest) ? `${Math.round(fastest)}ms apart at ${bpm} BPM` : 'single note', tempoPoints);
+  
+  const rating = round(Math.min(MAX_RATING, breakdown.reduce((sum, item) => sum + item.points, 0)));
+  return { rating, level: getLevelForRating(rating), breakdown };
+}
+
+// The built-in level a rating belongs to
+export function getLevelForRating(rating) {
+  const match = Object.entries(LEVEL_RATINGS).find(([, [min, max]]) => rating >= min && rating < max);
+  return match ? match[0] : null;
+}
+
+// Sort patterns from easiest to hardest (stable; the list is not changed)
+export function sortPatternsByDifficulty(list, options = {}) {
+  return list
+    .map((pattern, index) => ({ pattern, index, rating: ratePattern(pattern, options).rating }))
+    .sort((a, b) => a.rating - b.rating || a.index - b.index)
+    .map(entry => entry.pattern);
+}
+
+// Check hand-labelled levels against their ratings: { valid, issues }
+// with one issue per pattern rated outside its level's range
+export function validateLevelLabels(list, options = {}) {
+  const issues = [];
+  const levelIndex = {};
+  
+  list.forEach(pattern => {
+    const index = levelIndex[pattern.level] = (levelIndex[pattern.level] ?? -1) + 1;
+    const range = LEVEL_RATINGS[pattern.level];
+    if (!range) return; // Only built-in levels have an expected range
+    
+    const { rating, level } = ratePattern(pattern, options);
+    if (rating < range[0] || rating >= range[1]) {
+      issues.push(`${pattern.level} pattern ${index + 1} rates ${rating} - that is ${level}`);
+    }
+  });
+  
+  return { valid: issues.length === 0, issues };
+}
+
+// Beats of a bar that carry weight: the downbeat, the start of each accent
+// group in uneven meters and the middle of an even bar of four
+function getStrongBeats(meter) {
+  const strong = new Set([0]);
+  if (meter.beatGroups) {
+    meter.beatGroups.reduce((start, group) => {
+      strong.add(start);
+      return start + group;
+    }, 0);
+  } else if (meter.beatsPerBar === 4) {
+    strong.add(2);
+  }
+  return strong;
+}
+
+function describeLength(quarters) {
+  const names = [[4, 'whole'], [3, 'dotted half'], [2, 'half'], [1.5, 'dotted quarter'], [1, 'quarter'], [0.75, 'dotted eighth'], [0.5, 'eighth'], [1 / 3, 'triplet eighth'], [0.25, 'sixteenth']];
+  const match = names.find(([length]) => Math.abs(length - quarters) < 1e-6);
+  return match ? match[1] : `${round(quarters)} beats`;
+}
+
+function round(value) {
+  return Math.round(value * 10) / 10;
+}
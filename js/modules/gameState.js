@@ -1,10 +1,28 @@
 // Game State Module - Manages scores, timing, and game flow
 
+import { globalClock } from '../utils/Clock.js';
+
+// Tempo limits and the named speed presets
+export const MIN_BPM = 30;
+export const MAX_BPM = 240;
+export const SPEED_PRESETS = { slow: 70, medium: 100, fast: 140 };
+
+// Speed trainer defaults: start slow, add `step` BPM after every clean loop,
+// drop `backOff` BPM after `failuresBeforeBackOff` failed loops in a row
+const SPEED_TRAINER_DEFAULTS = {
+  startBpm: 70,
+  step: 5,
+  targetBpm: MAX_BPM,
+  backOff: 5,
+  failuresBeforeBackOff: 2
+};
+
 // Game state object - this is our "single source of truth"
 let gameState = {
   // Game configuration
   mode: 'single', // 'single' or 'multi'
-  speed: 'medium',
+  speed: 'medium', // preset name, or 'custom' for any other BPM
+  bpm: SPEED_PRESETS.medium,
   selectedLevel: 'beginner',
   totalGames: 3,
   
@@ -36,6 +54,9 @@ let gameState = {
   accArray1: [],
   accArray2: [],
   
+  // Speed trainer (tempo ramp) progress
+  speedTrainer: createSpeedTrainerState(),
+  
   // Input tracking
   keyIsDown: { 'a': false, 'Enter': false, ' ': false },
   lastTapTime: { 'a': 0, 'Enter': 0, ' ': 0 },
@@ -91,7 +112,7 @@ export function startNewGame() {
   
   // Reset current game data but keep session data
   gameState.isActive = true;
-  gameState.gameStartTime = performance.now();
+  gameState.gameStartTime = globalClock.now();
   gameState.beatCount = 0;
   gameState.beatActiveIdx = -1;
   gameState.score = 0;
@@ -148,16 +169,41 @@ export function setGameMode(mode) {
   return true;
 }
 
+// Set the tempo from a preset name ('slow', 'medium', 'fast') or a BPM number
 export function setSpeed(speed) {
-  if (!['slow', 'medium', 'fast'].includes(speed)) {
+  if (typeof speed === 'number') {
+    return setBpm(speed);
+  }
+  if (!(speed in SPEED_PRESETS)) {
     console.warn('⚠️ Invalid speed:', speed);
     return false;
   }
   gameState.speed = speed;
+  gameState.bpm = SPEED_PRESETS[speed];
   console.log('⚡ Speed changed to:', speed);
   return true;
 }
 
+// Set any tempo from MIN_BPM to MAX_BPM
+export function setBpm(bpm) {
+  if (!isValidBpm(bpm)) {
+    console.warn(`⚠️ Invalid BPM (must be ${MIN_BPM}-${MAX_BPM}):`, bpm);
+    return false;
+  }
+  gameState.bpm = bpm;
+  gameState.speed = Object.keys(SPEED_PRESETS).find(name => SPEED_PRESETS[name] === bpm) || 'custom';
+  console.log('⚡ Tempo changed to:', bpm, 'BPM');
+  return true;
+}
+
+export function getBpm() {
+  return gameState.bpm;
+}
+
+export function isValidBpm(bpm) {
+  return typeof bpm === 'number' && Number.isFinite(bpm) && bpm >= MIN_BPM && bpm <= MAX_BPM;
+}
+
 export function setLevel(level) {
   gameState.selectedLevel = level;
   console.log('🎯 Level changed to:', level);
@@ -187,9 +233,103 @@ export function resetSession() {
   gameState.cumulativeScore2 = 0;
   gameState.accArray1 = [];
   gameState.accArray2 = [];
+  gameState.speedTrainer = createSpeedTrainerState(gameState.speedTrainer);
   console.log('🔄 Session reset');
 }
 
+// Speed trainer (tempo ramp) functions
+function createSpeedTrainerState(previous = null) {
+  return {
+    enabled: previous ? previous.enabled : false,
+    config: previous ? { ...previous.config } : { ...SPEED_TRAINER_DEFAULTS },
+    currentBpm: null,
+    consecutiveFailures: 0,
+    highestCleanBpm: null,
+    loops: [] // { bpm, passed } for every loop played
+  };
+}
+
+// Change the speed trainer settings (any subset of SPEED_TRAINER_DEFAULTS)
+export function configureSpeedTrainer(options = {}) {
+  const config = { ...gameState.speedTrainer.config, ...options };
+  
+  if (!isValidBpm(config.startBpm) || !isValidBpm(config.targetBpm) || config.targetBpm < config.startBpm) {
+    console.warn('⚠️ Invalid speed trainer tempo range:', config.startBpm, '-', config.targetBpm);
+    return false;
+  }
+  if (!(config.step > 0) || !(config.backOff >= 0) || !(config.failuresBeforeBackOff >= 1)) {
+    console.warn('⚠️ Invalid speed trainer steps:', config);
+    return false;
+  }
+  
+  gameState.speedTrainer.config = config;
+  return true;
+}
+
+// Start a tempo ramp from the configured start BPM. Returns that BPM.
+export function startSpeedTrainer() {
+  const trainer = createSpeedTrainerState(gameState.speedTrainer);
+  trainer.enabled = true;
+  trainer.currentBpm = trainer.config.startBpm;
+  gameState.speedTrainer = trainer;
+  setBpm(trainer.currentBpm);
+  console.log('🏋️ Speed trainer started at', trainer.currentBpm, 'BPM');
+  return trainer.currentBpm;
+}
+
+export function stopSpeedTrainer() {
+  gameState.speedTrainer.enabled = false;
+  console.log('🏋️ Speed trainer stopped');
+}
+
+// Record the outcome of one loop at the current tempo and move the tempo on.
+// Returns { bpm, change, passed, finished } where bpm is the tempo for the next
+// loop and finished is true once a clean loop has been played at the target.
+export function recordSpeedTrainerLoop(passed) {
+  const trainer = gameState.speedTrainer;
+  if (!trainer.enabled || trainer.currentBpm === null) {
+    console.warn('⚠️ Speed trainer is not running');
+    return null;
+  }
+  
+  const { step, targetBpm, backOff, failuresBeforeBackOff, startBpm } = trainer.config;
+  const playedBpm = trainer.currentBpm;
+  trainer.loops.push({ bpm: playedBpm, passed });
+  
+  let nextBpm = playedBpm;
+  if (passed) {
+    trainer.consecutiveFailures = 0;
+    trainer.highestCleanBpm = Math.max(trainer.highestCleanBpm || 0, playedBpm);
+    nextBpm = Math.min(targetBpm, playedBpm + step);
+  } else {
+    trainer.consecutiveFailures++;
+    if (trainer.consecutiveFailures >= failuresBeforeBackOff) {
+      trainer.consecutiveFailures = 0;
+      nextBpm = Math.max(startBpm, playedBpm - backOff);
+    }
+  }
+  
+  trainer.currentBpm = nextBpm;
+  setBpm(nextBpm);
+  
+  const finished = passed && playedBpm >= targetBpm;
+  console.log(`🏋️ Loop at ${playedBpm} BPM ${passed ? 'clean' : 'failed'} -> next ${nextBpm} BPM`);
+  return { bpm: nextBpm, change: nextBpm - playedBpm, passed, finished };
+}
+
+export function getSpeedTrainerState() {
+  const trainer = gameState.speedTrainer;
+  return {
+    enabled: trainer.enabled,
+    config: { ...trainer.config },
+    currentBpm: trainer.currentBpm,
+    consecutiveFailures: trainer.consecutiveFailures,
+    highestCleanBpm: trainer.highestCleanBpm,
+    loopsPlayed: trainer.loops.length,
+    cleanLoops: trainer.loops.filter(loop => loop.passed).length
+  };
+}
+
 // Scoring functions
 export function updateScore(points, player = 1) {
   if (gameState.mode === 'single') {
@@ -223,7 +363,7 @@ export function recordHit(result, beatIndex, player = 1) {
 export function setKeyDown(key, isDown) {
   gameState.keyIsDown[key] = isDown;
   if (isDown) {
-    gameState.lastTapTime[key] = performance.now();
+    gameState.lastTapTime[key] = globalClock.now();
   }
 }
 
@@ -287,6 +427,7 @@ export function getStateSnapshot() {
   return {
     mode: gameState.mode,
     speed: gameState.speed,
+    bpm: gameState.bpm,
     level: gameState.selectedLevel,
     isActive: gameState.isActive,
     gamesPlayed: gameState.gamesPlayed,
@@ -296,10 +437,13 @@ export function getStateSnapshot() {
 }
 
 export function getSessionStats() {
+  const highestCleanBpm = gameState.speedTrainer.highestCleanBpm;
+  
   if (gameState.mode === 'single') {
     return {
       gamesPlayed: gameState.gamesPlayed,
-      currentScore: gameState.score
+      currentScore: gameState.score,
+      highestCleanBpm
     };
   } else {
     const avgAcc1 = gameState.accArray1.length ? Math.round(gameState.accArray1.reduce((a, b) => a + b, 0) / gameState.accArray1.length) : 0;
@@ -319,7 +463,8 @@ export function getSessionStats() {
         currentScore: gameState.score2,
         averageAccuracy: avgAcc2,
         accuracyHistory: [...gameState.accArray2]
-      }
+      },
+      highestCleanBpm
     };
   }
 }
@@ -1,4 +1,7 @@
 // Input Handler Module - Manages keyboard and touch events
+// Tap times are read from globalClock, so they share a timeline with the metronome
+
+import { globalClock } from '../utils/Clock.js';
 
 // Debug mode toggle
 let DEBUG_INPUT = false;
@@ -26,6 +29,9 @@ const INPUT_CONFIG = {
 // Active listeners (for cleanup)
 let activeListeners = [];
 
+// Where taps go for analysis - the rhythm engine of the round being played
+let tapRecorder = null;
+
 // Initialize the input handler
 export function initInputHandler(gameStateModule, tapIndicators) {
   console.log('🎹 Initializing Input Handler...');
@@ -105,7 +111,7 @@ function handleKeyDown(e) {
   if (!state.isActive) return;
   
   const mode = state.mode;
-  const currentTime = performance.now();
+  const currentTime = globalClock.now();
   
   // Measure input latency for timing diagnostics
   if (window.recordTap) {
@@ -163,7 +169,7 @@ function handleKeyDown(e) {
 // Handle keyboard release events
 function handleKeyUp(e) {
   const state = gameState();
-  const currentTime = performance.now();
+  const currentTime = globalClock.now();
   
   // Measure input latency for timing diagnostics
   if (window.recordTap) {
@@ -210,7 +216,7 @@ function handleTouchStart(e) {
   // Only handle touch if game is active
   if (!state.isActive) return;
   
-  const currentTime = performance.now();
+  const currentTime = globalClock.now();
   const mode = state.mode;
   
   if (mode === 'single') {
@@ -231,7 +237,7 @@ function handleTouchStart(e) {
 // Handle touch end events (mobile)
 function handleTouchEnd(e) {
   const state = gameState();
-  const currentTime = performance.now();
+  const currentTime = globalClock.now();
   const mode = state.mode;
   
   if (mode === 'single' && state.currentlyHolding) {
@@ -270,41 +276,28 @@ function processTap(key, currentTime, player) {
   recordTapForAnalysis(currentTime, player);
 }
 
+// Send taps to a recorder with keyDown(time, player) and keyUp(time, player)
+// (the round's rhythm engine), or null to stop recording them
+export function setTapRecorder(recorder) {
+  tapRecorder = recorder;
+}
+
 // Enhanced tap recording for advanced analysis
 function recordTapForAnalysis(tapTime, player) {
-  // Use the existing recording system but enhance it
-  if (typeof window !== 'undefined' && window.isRecording && window.recordedTaps && Array.isArray(window.recordedTaps)) {
-    // Create a tap entry that will be updated when the key is released
-    const tapEntry = {
-      time: tapTime,
-      player: player,
-      startTime: tapTime,
-      endTime: null, // Will be set when key is released
-      duration: 0,   // Will be calculated
-      isComplete: false
-    };
+  if (!tapRecorder) return;
     
-    window.recordedTaps.push(tapEntry);
-    console.log(`📝 Recorded tap #${window.recordedTaps.length} at ${tapTime.toFixed(2)} (duration tracking started)`);
-  } else if (typeof window !== 'undefined' && window.recordedTaps) {
-    console.log(`🚫 Tap ignored (not recording yet) at ${tapTime.toFixed(2)}`);
+  // The recorder decides whether the round is listening for taps yet
+  if (tapRecorder.keyDown(tapTime, player)) {
+    console.log(`📝 Recorded tap at ${tapTime.toFixed(2)} (duration tracking started)`);
+  } else {
+    console.log(`🚫 Tap ignored (outside the round) at ${tapTime.toFixed(2)}`);
   }
 }
 
 // Update tap duration when key is released
 function updateTapDuration(releaseTime, player) {
-  if (typeof window !== 'undefined' && window.recordedTaps && Array.isArray(window.recordedTaps)) {
-    // Find the most recent incomplete tap for this player
-    for (let i = window.recordedTaps.length - 1; i >= 0; i--) {
-      const tap = window.recordedTaps[i];
-      if (tap.player === player && !tap.isComplete) {
-        tap.endTime = releaseTime;
-        tap.duration = releaseTime - tap.startTime;
-        tap.isComplete = true;
-        console.log(`⏱️ Updated tap duration: ${tap.duration.toFixed(2)}ms for player ${player}`);
-        break;
-      }
-    }
+  if (tapRecorder && tapRecorder.keyUp(releaseTime, player)) {
+    console.log(`⏱️ Updated tap duration at ${releaseTime.toFixed(2)} for player ${player}`);
   }
 }
 
@@ -318,7 +311,7 @@ function showTapFeedback(player) {
     indicator.style.background = '#0f0';
     
     // Reset after short delay
-    setTimeout(() => {
+    globalClock.setTimeout(() => {
       indicator.style.background = player === 1 ? '#86e1f7' : '#f6b8e0';
     }, 100);
   }
@@ -396,17 +389,20 @@ export function getInputState() {
 export function simulateInput(player = 1, duration = 100) {
   console.log(`🧪 Simulating input for player ${player}...`);
   
-  const currentTime = performance.now();
+  const currentTime = globalClock.now();
   const key = player === 1 ? 'a' : 'Enter';
   
   // Simulate key down
   processTap(key, currentTime, player);
   showTapFeedback(player);
   
-  // Simulate key up after duration
-  setTimeout(() => {
+  // Simulate key up after duration (on the active clock, so a manual clock
+  // releases it when advanced)
+  globalClock.setTimeout(() => {
+    const releaseTime = globalClock.now();
     updateGameState.setKeyDown(key, false);
-    updateGameState.endHoldPeriod(performance.now(), player);
+    updateGameState.endHoldPeriod(releaseTime, player);
+    updateTapDuration(releaseTime, player);
     console.log(`✅ Input simulation complete for player ${player}`);
   }, duration);
 }
@@ -0,0 +1,160 @@
+// MIDI Module - Standard MIDI File export of patterns and performances
+//
+// Writes type 1 Standard MIDI Files (480 ticks per quarter note) a DAW can
+// open: a pattern as its notes on the General MIDI percussion channel, and a
+// recorded performance as the player's taps (each held as long as the key
+// was) next to the pattern they were aiming for, at the tempo it was played.
+// Tempos are converted from the game's BPM, which counts metronome beats
+// (dotted quarters in 6/8 and 12/8, eighths in 7/8), to MIDI's quarter notes.
+
+import { getMeter, getPatternTimeline } from './patterns.js';
+import { getReplayTaps } from './replay.js';
+
+export const TICKS_PER_QUARTER = 480;
+
+const PERCUSSION_CHANNEL = 9; // Channel 10 counted from 1
+const PATTERN_KEY = 76; // Hi wood block
+const TAP_KEYS = { 1: 37, 2: 39 }; // Side stick, hand clap
+const CLICK_KEY = 33; // Metronome click
+const VELOCITY = 100;
+const ACCENT_VELOCITY = 120;
+const UNRELEASED_TAP_MS = 100; // Length given to a key still held when the recording ended
+
+// A pattern as a MIDI file. Options: timeSignature, bpm, title.
+// Returns the file's bytes (Uint8Array).
+export function exportPatternMidi(flatPattern, { timeSignature = '4/4', bpm = 100, title = 'Rhythm pattern' } = {}) {
+  const meter = getMeter(timeSignature);
+  return writeMidiFile([
+    createTempoTrack(title, meter, bpm),
+    createNamedTrack('Pattern', getPatternNotes(flatPattern, meter, 0))
+  ]);
+}
+
+// A recorded performance (a replay document, see replay.js) as a MIDI file:
+// the count-in clicks, the pattern as it should have been played and each
+// player's taps on their own track. Taps are moved by the latency
+// compensation the game used, so they line up with the pattern as judged.
+export function exportPerformanceMidi(replay) {
+  const meter = getMeter(replay.timeSignature);
+  const msPerQuarter = 60000 / (replay.bpm * meter.beatLength);
+  const countInQuarters = replay.countIn.beats * meter.beatLength;
+  const toTicks = ms => Math.max(0, Math.round((ms / msPerQuarter + countInQuarters) * TICKS_PER_QUARTER));
+  
+  const clicks = [];
+  for (let beat = 0; beat < replay.countIn.beats; beat++) {
+    const tick = Math.round(beat * meter.beatLength * TICKS_PER_QUARTER);
+    clicks.push({ tick, length: TICKS_PER_QUARTER / 4, key: CLICK_KEY, velocity: beat === 0 ? ACCENT_VELOCITY : VELOCITY });
+  }
+  
+  const tracks = [
+    createTempoTrack(`Performance at ${replay.bpm} BPM`, meter, replay.bpm),
+    createNamedTrack('Count-in', clicks),
+    createNamedTrack('Pattern', getPatternNotes(replay.pattern, meter, countInQuarters * TICKS_PER_QUARTER))
+  ];
+  
+  const taps = getReplayTaps(replay);
+  [1, 2].forEach(player => {
+    const notes = taps
+      .filter(tap => tap.player === player)
+      .map(tap => {
+        const start = toTicks(tap.at + replay.latencyCompensation);
+        const end = toTicks(tap.at + replay.latencyCompensation + (tap.duration ?? UNRELEASED_TAP_MS));
+        return { tick: start, length: Math.max(1, end - start), key: TAP_KEYS[player], velocity: VELOCITY };
+      });
+    if (notes.length > 0) tracks.push(createNamedTrack(`Player ${player} taps`, notes));
+  });
+  
+  return writeMidiFile(tracks);
+}
+
+// The pattern's onsets as notes held through their ties, downbeats accented
+function getPatternNotes(flatPattern, meter, offsetTicks) {
+  return getPatternTimeline(flatPattern)
+    .filter(entry => !entry.element.rest && !entry.tiedFromPrevious)
+    .map(entry => {
+      const onDownbeat = Math.abs(entry.start / meter.barLength - Math.round(entry.start / meter.barLength)) < 1e-6;
+      return {
+        tick: Math.round(offsetTicks + entry.start * TICKS_PER_QUARTER),
+        length: Math.max(1, Math.round(entry.holdDuration * TICKS_PER_QUARTER)),
+        key: PATTERN_KEY,
+        velocity: onDownbeat ? ACCENT_VELOCITY : VELOCITY
+      };
+    });
+}
+
+// First track: name, tempo and time signature
+function createTempoTrack(name, meter, bpm) {
+  const microsecondsPerQuarter = Math.round(60000000 / (bpm * meter.beatLength));
+  const clocksPerClick = Math.round(24 * meter.beatLength);
+  return [
+    { tick: 0, data: metaEvent(0x03, textBytes(name)) },
+    { tick: 0, data: metaEvent(0x51, [(microsecondsPerQuarter >> 16) & 0xFF, (microsecondsPerQuarter >> 8) & 0xFF, microsecondsPerQuarter & 0xFF]) },
+    { tick: 0, data: metaEvent(0x58, [meter.numerator, Math.log2(meter.denominator), clocksPerClick, 8]) }
+  ];
+}
+
+// A named track of notes ({ tick, length, key, velocity }) on the percussion channel
+function createNamedTrack(name, notes) {
+  const events = [{ tick: 0, data: metaEvent(0x03, textBytes(name)) }];
+  notes.forEach(note => {
+    events.push({ tick: note.tick, data: [0x90 | PERCUSSION_CHANNEL, note.key, note.velocity] });
+    events.push({ tick: note.tick + note.length, data: [0x80 | PERCUSSION_CHANNEL, note.key, 0], off: true });
+  });
+  return events;
+}
+
+// Assemble the file: header chunk, then one chunk per track. Events at the
+// same tick keep their order, except note-offs, which go first so a note
+// ending where the next starts doesn't cut the new one off.
+function writeMidiFile(tracks) {
+  const bytes = [
+    ...textBytes('MThd'), ...uint32(6),
+    0, 1, // Type 1: simultaneous tracks
+    ...uint16(tracks.length),
+    ...uint16(TICKS_PER_QUARTER)
+  ];
+  
+  tracks.forEach(events => {
+    const sorted = events
+      .map((event, order) => ({ ...event, order }))
+      .sort((a, b) => a.tick - b.tick || (b.off ? 1 : 0) - (a.off ? 1 : 0) || a.order - b.order);
+    const data = [];
+    let lastTick = 0;
+    sorted.forEach(event => {
+      data.push(...variableLength(event.tick - lastTick), ...event.data);
+      lastTick = event.tick;
+    });
+    data.push(0x00, ...metaEvent(0x2F, [])); // End of track
+    
+    bytes.push(...textBytes('MTrk'), ...uint32(data.length), ...data);
+  });
+  
+  return new Uint8Array(bytes);
+}
+
+function metaEvent(type, data) {
+  return [0xFF, type, ...variableLength(data.length), ...data];
+}
+
+// MIDI's variable-length quantities: 7 bits per byte, high bit set on all but the last
+function variableLength(value) {
+  const bytes = [value & 0x7F];
+  value >>= 7;
+  while (value > 0) {
+    bytes.unshift((value & 0x7F) | 0x80);
+    value >>= 7;
+  }
+  return bytes;
+}
+
+function textBytes(text) {
+  return Array.from(new TextEncoder().encode(text));
+}
+
+function uint32(value) {
+  return [(value >>> 24) & 0xFF, (value >>> 16) & 0xFF, (value >>> 8) & 0xFF, value & 0xFF];
+}
+
+function uint16(value) {
+  return [(value >> 8) & 0xFF, value & 0xFF];
+}
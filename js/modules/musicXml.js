@@ -0,0 +1,416 @@
+// MusicXML Module - Exchange rhythm exercises with notation software
+//
+// Import converts a single-part MusicXML score (score-partwise, uncompressed)
+// into a library pattern ({ level, timeSignature, bars, title }) that
+// flattenPattern and renderPattern understand. Only rhythm is kept: note
+// values, rests, dots, ties, tuplets and the time signature. Anything that
+// can't be carried over - other parts and voices, chord notes, grace notes,
+// pitches, measures in another meter, unsupported note values - is left out
+// and listed in the result's dropped list so the teacher knows what changed.
+//
+// Export writes a flattened pattern as a one-line percussion part.
+
+import {
+  NOTE_VALUES,
+  TIME_SIGNATURES,
+  getMeter,
+  getNoteDuration,
+  getTupletRatio,
+  getTupletInSpaceOf,
+  normalizeBar,
+  validatePattern,
+  flattenPattern
+} from './patterns.js';
+
+// Level imported patterns are listed under
+export const IMPORTED_LEVEL = 'imported';
+
+export const MAX_IMPORTED_BARS = 16;
+
+// MusicXML <type> names of the note values the game knows
+const XML_TYPES = {
+  whole: 'whole',
+  half: 'half',
+  quarter: 'quarter',
+  eighth: 'eighth',
+  '16th': 'sixteenth'
+};
+
+// Read a MusicXML document. Returns { pattern, dropped, issues }: pattern is
+// null when nothing usable was found (issues say why); dropped lists what
+// was left out; issues are notation problems validatePattern found in the
+// imported bars.
+export function importMusicXml(text) {
+  if (typeof text !== 'string' || text.trim() === '') {
+    return { pattern: null, dropped: [], issues: ['No MusicXML to read'] };
+  }
+  if (text.startsWith('PK')) {
+    return { pattern: null, dropped: [], issues: ['Compressed MusicXML (.mxl) is not supported - export uncompressed .musicxml or .xml'] };
+  }
+  
+  const doc = new DOMParser().parseFromString(text, 'application/xml');
+  if (doc.getElementsByTagName('parsererror').length > 0) {
+    return { pattern: null, dropped: [], issues: ['Not valid XML'] };
+  }
+  const score = doc.documentElement;
+  if (score.tagName === 'score-timewise') {
+    return { pattern: null, dropped: [], issues: ['Timewise MusicXML is not supported - export it part-wise'] };
+  }
+  if (score.tagName !== 'score-partwise') {
+    return { pattern: null, dropped: [], issues: [`Not a MusicXML score (root element <${score.tagName}>)`] };
+  }
+  
+  const parts = getChildren(score, 'part');
+  if (parts.length === 0) {
+    return { pattern: null, dropped: [], issues: ['The score has no parts'] };
+  }
+  
+  const dropped = [];
+  if (parts.length > 1) {
+    dropped.push(`${parts.length - 1} more part(s) - only the first part is read`);
+  }
+  
+  const { bars, timeSignature, error } = readPart(parts[0], dropped);
+  if (error) {
+    return { pattern: null, dropped, issues: [error] };
+  }
+  const flat = flattenPattern(bars);
+  if (!flat.some(note => !note.isBarline && !note.rest)) {
+    return { pattern: null, dropped, issues: ['No notes left to play after import'] };
+  }
+  
+  const pattern = { level: IMPORTED_LEVEL, timeSignature, bars };
+  const title = getTitle(score);
+  if (title) pattern.title = title;
+  return { pattern, dropped, issues: validatePattern(flat, timeSignature).issues };
+}
+
+// Write a flattened pattern as a MusicXML document (a string). Options:
+// timeSignature, bpm (written as a metronome mark) and title.
+export function exportMusicXml(flatPattern, { timeSignature = '4/4', bpm = null, title = 'Rhythm pattern' } = {}) {
+  const meter = getMeter(timeSignature);
+  const notes = flatPattern.filter(note => !note.isBarline);
+  
+  // Divisions per quarter note that make every length a whole number
+  const tupletSizes = notes.filter(note => note.tuplet).map(note => note.tuplet.num);
+  const divisions = 8 * tupletSizes.reduce(lcm, 1);
+  
+  const measures = [[]];
+  flatPattern.forEach(note => {
+    if (note.isBarline) measures.push([]);
+    else measures[measures.length - 1].push(note);
+  });
+  
+  let tiedFromPrevious = false;
+  const measureXml = measures.map((measure, m) => {
+    const lines = [`    <measure number="${m + 1}">`];
+    if (m === 0) {
+      lines.push(
+        '      <attributes>',
+        `        <divisions>${divisions}</divisions>`,
+        `        <time><beats>${meter.numerator}</beats><beat-type>${meter.denominator}</beat-type></time>`,
+        '        <clef><sign>percussion</sign></clef>',
+        '        <staff-details><staff-lines>1</staff-lines></staff-details>',
+        '      </attributes>'
+      );
+      if (bpm) {
+        const beatUnit = meter.beatLength === 1.5 ? '<beat-unit>quarter</beat-unit><beat-unit-dot/>' : meter.beatLength === 0.5 ? '<beat-unit>eighth</beat-unit>' : '<beat-unit>quarter</beat-unit>';
+        lines.push(
+          '      <direction placement="above">',
+          `        <direction-type><metronome>${beatUnit}<per-minute>${bpm}</per-minute></metronome></direction-type>`,
+          `        <sound tempo="${Math.round(bpm * meter.beatLength * 100) / 100}"/>`,
+          '      </direction>'
+        );
+      }
+    }
+    
+    measure.forEach(note => {
+      const ties = [];
+      if (tiedFromPrevious) ties.push('stop');
+      if (note.tieToNext && !note.rest) ties.push('start');
+      tiedFromPrevious = !!note.tieToNext && !note.rest;
+      
+      const notations = ties.map(type => `<tied type="${type}"/>`);
+      if (note.tuplet && note.tuplet.index === 0) notations.push('<tuplet type="start" bracket="yes"/>');
+      if (note.tuplet && note.tuplet.index === (note.tuplet.size || note.tuplet.num) - 1) notations.push('<tuplet type="stop"/>');
+      
+      const xmlType = Object.keys(XML_TYPES).find(name => XML_TYPES[name] === note.type);
+      const parts = [
+        note.rest ? '<rest/>' : '<unpitched><display-step>C</display-step><display-octave>5</display-octave></unpitched>',
+        `<duration>${Math.round(getNoteDuration(note) * divisions)}</duration>`,
+        ...ties.map(type => `<tie type="${type}"/>`),
+        '<voice>1</voice>',
+        `<type>${xmlType}</type>`,
+        note.dotted ? '<dot/>' : '',
+        note.tuplet ? `<time-modification><actual-notes>${note.tuplet.num}</actual-notes><normal-notes>${getTupletInSpaceOf(note.tuplet)}</normal-notes></time-modification>` : '',
+        note.rest ? '' : '<stem>up</stem>',
+        notations.length > 0 ? `<notations>${notations.join('')}</notations>` : ''
+      ];
+      lines.push(`      <note>${parts.join('')}</note>`);
+    });
+    
+    if (m === measures.length - 1) {
+      lines.push('      <barline location="right"><bar-style>light-heavy</bar-style></barline>');
+    }
+    lines.push('    </measure>');
+    return lines.join('\n');
+  });
+  
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<!DOCTYPE score-partwise PUBLIC "-//Recordare//DTD MusicXML 3.1 Partwise//EN" "http://www.musicxml.org/dtds/partwise.dtd">',
+    '<score-partwise version="3.1">',
+    `  <work><work-title>${escapeXml(title)}</work-title></work>`,
+    '  <identification><encoding><software>Rhythm Tapping Game</software></encoding></identification>',
+    '  <part-list>',
+    '    <score-part id="P1"><part-name>Rhythm</part-name></score-part>',
+    '  </part-list>',
+    '  <part id="P1">',
+    ...measureXml,
+    '  </part>',
+    '</score-partwise>',
+    ''
+  ].join('\n');
+}
+
+// Walk the part's measures, keeping the first voice in the first meter
+function readPart(part, dropped) {
+  const bars = [];
+  const counts = { chords: 0, graces: 0, voices: 0, pitches: 0 };
+  let divisions = 1;
+  let timeSignature = null;
+  let mainVoice = null;
+  let repeats = false;
+  const skipped = { meter: [], fill: [], values: [], limit: [] };
+  
+  for (const measure of getChildren(part, 'measure')) {
+    const number = measure.getAttribute('number') || String(bars.length + 1);
+    let measureSignature = timeSignature;
+    let bar = [];
+    let tuplet = null; // Tuplet group being filled
+    let otherVoice = false; // After a <backup>, until a note says otherwise
+    let unsupported = null;
+    let measureRest = false; // A whole-measure rest: the bar is filled with rests
+    
+    for (const element of getChildren(measure)) {
+      if (element.tagName === 'attributes') {
+        const divisionsText = getChildText(element, 'divisions');
+        if (divisionsText) divisions = Number(divisionsText) || divisions;
+        const time = getChild(element, 'time');
+        if (time) {
+          const signature = `${getChildText(time, 'beats')}/${getChildText(time, 'beat-type')}`;
+          if (!timeSignature) {
+            if (!TIME_SIGNATURES[signature]) {
+              return { error: `Time signature ${signature} is not supported (use ${Object.keys(TIME_SIGNATURES).join(', ')})` };
+            }
+            timeSignature = signature;
+          }
+          measureSignature = signature;
+        }
+      } else if (element.tagName === 'backup') {
+        otherVoice = true;
+      } else if (element.tagName === 'forward') {
+        if (!otherVoice) {
+          // Hidden time in the main voice is kept as rests
+          const quarters = Number(getChildText(element, 'duration')) / divisions;
+          const rests = getRestsFor(quarters);
+          if (rests) bar.push(...rests);
+          else unsupported = unsupported || 'a gap of an unsupported length';
+        }
+      } else if (element.tagName === 'barline') {
+        if (getChild(element, 'repeat') || getChild(element, 'ending')) repeats = true;
+      } else if (element.tagName === 'note') {
+        const voice = getChildText(element, 'voice');
+        if (voice) {
+          if (mainVoice === null) mainVoice = voice;
+          otherVoice = voice !== mainVoice;
+        }
+        if (otherVoice) {
+          counts.voices++;
+          continue;
+        }
+        if (getChild(element, 'grace') || getChild(element, 'cue')) {
+          counts.graces++;
+          continue;
+        }
+        if (getChild(element, 'chord')) {
+          counts.chords++;
+          continue;
+        }
+        if (getChild(element, 'pitch')) counts.pitches++;
+        const rest = getChild(element, 'rest');
+        if (rest && rest.getAttribute('measure') === 'yes') {
+          measureRest = true;
+          continue;
+        }
+        
+        const note = readNote(element, divisions);
+        if (typeof note === 'string') {
+          unsupported = unsupported || note;
+          continue;
+        }
+        
+        // Gather tuplet notes into a group until it fills its space
+        if (note.tuplet) {
+          const { num, inSpaceOf } = note.tuplet;
+          if (!tuplet || tuplet.tuplet.num !== num || tuplet.tuplet.inSpaceOf !== inSpaceOf) {
+            if (tuplet) bar.push({ tuplet: tuplet.tuplet, notes: tuplet.notes });
+            tuplet = { tuplet: { num, inSpaceOf }, notes: [], space: inSpaceOf * NOTE_VALUES[note.type], filled: 0 };
+          }
+          tuplet.filled += getNoteDuration(note) / getTupletRatio(note.tuplet) * inSpaceOf / num;
+          delete note.tuplet;
+          tuplet.notes.push(note);
+          if (tuplet.filled >= tuplet.space - 1e-6) {
+            bar.push({ tuplet: tuplet.tuplet, notes: tuplet.notes });
+            tuplet = null;
+          }
+        } else {
+          if (tuplet) {
+            bar.push({ tuplet: tuplet.tuplet, notes: tuplet.notes });
+            tuplet = null;
+          }
+          bar.push(note);
+        }
+      }
+    }
+    if (tuplet) bar.push({ tuplet: tuplet.tuplet, notes: tuplet.notes });
+    
+    if (!timeSignature) {
+      return { error: 'The score has no time signature' };
+    }
+    if (measureSignature !== timeSignature) {
+      skipped.meter.push(number);
+      continue;
+    }
+    if (unsupported) {
+      skipped.values.push(`${number} (${unsupported})`);
+      continue;
+    }
+    if (bars.length >= MAX_IMPORTED_BARS) {
+      skipped.limit.push(number);
+      continue;
+    }
+    
+    // Complete short measures with rests; measures that overflow can't be used
+    const { barLength } = getMeter(timeSignature);
+    const flat = flattenPattern([bar]);
+    const filled = flat.reduce((sum, note) => sum + getNoteDuration(note), 0);
+    if (filled > barLength + 1e-6) {
+      skipped.fill.push(number);
+      continue;
+    }
+    if (filled < barLength - 1e-6) {
+      if (bars.length === 0 && measure.getAttribute('implicit') === 'yes') {
+        dropped.push(`Pickup measure ${number} - patterns start on a full bar`);
+        continue;
+      }
+      bar = bar.concat(normalizeBar(flat, timeSignature).slice(flat.length));
+      if (!measureRest) dropped.push(`Measure ${number} was short - filled up with rests`);
+    }
+    bars.push(bar);
+  }
+  
+  if (counts.voices > 0) dropped.push(`${counts.voices} note(s) in other voices - only voice ${mainVoice || 1} is read`);
+  if (counts.chords > 0) dropped.push(`${counts.chords} chord note(s) - a chord is tapped once`);
+  if (counts.graces > 0) dropped.push(`${counts.graces} grace or cue note(s)`);
+  if (counts.pitches > 0) dropped.push('Pitches - patterns are rhythm only');
+  if (repeats) dropped.push('Repeats and endings - the measures are read once, as written');
+  if (skipped.meter.length > 0) dropped.push(`Measure(s) ${skipped.meter.join(', ')} - not in ${timeSignature}, and a pattern has one time signature`);
+  if (skipped.values.length > 0) dropped.push(`Measure(s) ${skipped.values.join(', ')}`);
+  if (skipped.fill.length > 0) dropped.push(`Measure(s) ${skipped.fill.join(', ')} - too long for ${timeSignature}`);
+  if (skipped.limit.length > 0) dropped.push(`Measure(s) ${skipped.limit.join(', ')} - patterns are limited to ${MAX_IMPORTED_BARS} bars`);
+  
+  if (bars.length === 0) {
+    return { error: 'No measures could be imported' };
+  }
+  return { bars, timeSignature };
+}
+
+// A <note> as a pattern note, or a string saying why it can't be one
+function readNote(element, divisions) {
+  const note = { type: null, rest: !!getChild(element, 'rest') };
+  
+  const modification = getChild(element, 'time-modification');
+  if (modification) {
+    const num = Number(getChildText(modification, 'actual-notes'));
+    const inSpaceOf = Number(getChildText(modification, 'normal-notes'));
+    if (!Number.isInteger(num) || num < 2 || !Number.isInteger(inSpaceOf) || inSpaceOf < 1) {
+      return 'a tuplet the game cannot read';
+    }
+    note.tuplet = { num, inSpaceOf };
+  }
+  
+  const dots = getChildren(element, 'dot').length;
+  if (dots > 1) return 'double-dotted notes';
+  if (dots === 1) note.dotted = true;
+  
+  const typeName = getChildText(element, 'type');
+  if (typeName) {
+    if (!XML_TYPES[typeName]) return `${typeName} notes`;
+    note.type = XML_TYPES[typeName];
+  } else {
+    // No written type: go by the sounding duration
+    const quarters = Number(getChildText(element, 'duration')) / divisions / getTupletRatio(note.tuplet);
+    const value = findWrittenValue(quarters);
+    if (!value) return 'a note of an unsupported length';
+    note.type = value.type;
+    if (value.dotted) note.dotted = true;
+  }
+  
+  // <tie type="start"> is the sounding tie (<tied> only draws it)
+  if (!note.rest && getChildren(element, 'tie').some(tie => tie.getAttribute('type') === 'start')) {
+    note.tieToNext = true;
+  }
+  return note;
+}
+
+// A plain or dotted note value of this many quarter notes
+function findWrittenValue(quarters) {
+  for (const [type, length] of Object.entries(NOTE_VALUES)) {
+    if (Math.abs(length - quarters) < 1e-6) return { type, dotted: false };
+    if (Math.abs(length * 1.5 - quarters) < 1e-6) return { type, dotted: true };
+  }
+  return null;
+}
+
+// Rests filling this many quarter notes, longest first (null if they can't)
+function getRestsFor(quarters) {
+  const rests = [];
+  let left = quarters;
+  const values = Object.entries(NOTE_VALUES).sort((a, b) => b[1] - a[1]);
+  while (left > 1e-6) {
+    const match = values.find(([, length]) => length <= left + 1e-6);
+    if (!match) return null;
+    rests.push({ type: match[0], rest: true });
+    left -= match[1];
+  }
+  return rests;
+}
+
+function escapeXml(text) {
+  return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+function lcm(a, b) {
+  const gcd = (x, y) => (y === 0 ? x : gcd(y, x % y));
+  return a / gcd(a, b) * b;
+}
+
+function getTitle(score) {
+  const work = getChild(score, 'work');
+  return (work && getChildText(work, 'work-title')) || getChildText(score, 'movement-title') || '';
+}
+
+// Direct children of an element, optionally only those with a tag name
+function getChildren(element, tagName = null) {
+  return Array.from(element.children).filter(child => !tagName || child.tagName === tagName);
+}
+
+function getChild(element, tagName) {
+  return getChildren(element, tagName)[0] || null;
+}
+
+function getChildText(element, tagName) {
+  const child = getChild(element, tagName);
+  return child ? child.textContent.trim() : '';
+}
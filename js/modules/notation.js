@@ -4,14 +4,29 @@
 import { vexflowFactory } from '../utils/VexFlowPatternFactory.js';
 import { globalPerformanceMonitor } from '../utils/PerformanceMonitor.js';
 import { globalResourceManager } from '../utils/ResourceManager.js';
+import { globalClock } from '../utils/Clock.js';
+import { getMeter, DEFAULT_TIME_SIGNATURE } from './patterns.js';
 
 let vexflowRenderer = null;
 let vexflowContext = null;
+let notationContainer = null;
 let currentStave = null;
+let currentStaves = []; // One stave per bar, system by system
 let currentNotes = []; // Store current notes for highlighting
 let currentVoice = null;
 let currentBeams = [];
 let currentVexFlowData = null; // Cache current rendered data
+let lastRendered = null; // { flatPattern, timeSignature, width } to re-lay out on resize
+let previewRenderers = new Map(); // Container element -> renderer of a preview staff
+
+// Score layout: bars are laid out left to right and wrap onto new systems
+// (lines of staves) when the container is full
+const SCORE_MARGIN = 10;        // px left and right of each system
+const SCORE_TOP = 10;           // px above the first system
+const SYSTEM_HEIGHT = 110;      // px from one system to the next
+const NOTE_SPACING = 36;        // px of stave a bar asks for per note
+const MIN_BAR_WIDTH = 120;      // px of stave for the emptiest bar
+const DEFAULT_SCORE_WIDTH = 600;
 
 // Initialize VexFlow
 export function initNotation(containerId = 'vexflowOutput') {
@@ -31,23 +46,35 @@ export function initNotation(containerId = 'vexflowOutput') {
   
   // Clear container
   container.innerHTML = '';
+  notationContainer = container;
   
   // Create VexFlow renderer
   vexflowRenderer = new Vex.Flow.Renderer(container, Vex.Flow.Renderer.Backends.SVG);
-  vexflowRenderer.resize(600, 150);
+  vexflowRenderer.resize(DEFAULT_SCORE_WIDTH, 150);
   vexflowContext = vexflowRenderer.getContext();
   
+  // Re-wrap the systems when the container changes width
+  let resizeTimer = null;
+  globalResourceManager.addEventListener(window, 'resize', () => {
+    globalResourceManager.clearTimeout(resizeTimer);
+    resizeTimer = globalResourceManager.setTimeout(() => {
+      if (lastRendered && getScoreWidth() !== lastRendered.width) {
+        renderPattern(lastRendered.flatPattern, lastRendered.timeSignature);
+      }
+    }, 150);
+  });
+  
   console.log('✅ VexFlow notation initialized');
   return true;
 }
 
 // Optimized pattern conversion using professional factory
-function convertPatternToVexFlow(flatPattern) {
+function convertPatternToVexFlow(flatPattern, meter = null) {
   globalPerformanceMonitor.mark('pattern-conversion-start');
   
   try {
     // Use optimized factory for pattern conversion
-    const vexflowData = vexflowFactory.convertPatternToVexFlow(flatPattern);
+    const vexflowData = vexflowFactory.convertPatternToVexFlow(flatPattern, meter);
     
     globalPerformanceMonitor.mark('pattern-conversion-end');
     globalPerformanceMonitor.measure('pattern-conversion', 'pattern-conversion-start', 'pattern-conversion-end');
@@ -91,7 +118,7 @@ function createBeams(notes) {
 }
 
 // Render a pattern using VexFlow (OPTIMIZED VERSION)
-export function renderPattern(flatPattern) {
+export function renderPattern(flatPattern, timeSignature = DEFAULT_TIME_SIGNATURE) {
   if (!vexflowContext) {
     console.error('❌ VexFlow not initialized. Call initNotation() first.');
     return false;
@@ -100,9 +127,12 @@ export function renderPattern(flatPattern) {
   globalPerformanceMonitor.mark('vexflow-render-start');
   console.log('🎼 Rendering pattern with optimized VexFlow...', flatPattern);
   
+  const meter = getMeter(timeSignature);
+  lastRendered = { flatPattern, timeSignature, width: getScoreWidth() };
+  
   try {
     // Get optimized VexFlow data from factory
-    currentVexFlowData = vexflowFactory.convertPatternToVexFlow(flatPattern);
+    currentVexFlowData = vexflowFactory.convertPatternToVexFlow(flatPattern, meter);
     currentNotes = currentVexFlowData.notes; // Store for highlighting
     currentBeams = currentVexFlowData.beams; // Store beams
     
@@ -111,13 +141,13 @@ export function renderPattern(flatPattern) {
       return false;
     }
 
-    // Create optimized stave
-    const stave = new Vex.Flow.Stave(50, 10, 500);
-    stave.addClef('treble').addTimeSignature('4/4');
-    currentStave = stave;
+    // Create one stave per bar, wrapped into systems
+    const staves = layoutScore(currentVexFlowData.bars, meter);
+    currentStaves = staves;
+    currentStave = staves[0];
     
     // Use factory's optimized rendering
-    const success = vexflowFactory.renderOptimized(vexflowContext, stave, currentVexFlowData);
+    const success = vexflowFactory.renderOptimized(vexflowContext, staves, currentVexFlowData);
     
     globalPerformanceMonitor.mark('vexflow-render-end');
     globalPerformanceMonitor.measure('vexflow-render', 'vexflow-render-start', 'vexflow-render-end');
@@ -127,35 +157,54 @@ export function renderPattern(flatPattern) {
       return true;
     } else {
       console.warn('⚠️ Optimized rendering failed, attempting fallback');
-      return renderPatternFallback(flatPattern);
+      return renderPatternFallback(flatPattern, meter);
     }
     
   } catch (error) {
     console.error('❌ Error in optimized rendering:', error);
-    return renderPatternFallback(flatPattern);
+    return renderPatternFallback(flatPattern, meter);
+  }
+}
+
+// Draw a pattern into another container (the pattern editor's preview),
+// leaving the game's staff and its highlighting alone
+export function renderPatternPreview(container, flatPattern, timeSignature = DEFAULT_TIME_SIGNATURE) {
+  if (typeof Vex === 'undefined' || !container) return false;
+  
+  let renderer = previewRenderers.get(container);
+  if (!renderer) {
+    container.innerHTML = '';
+    renderer = new Vex.Flow.Renderer(container, Vex.Flow.Renderer.Backends.SVG);
+    previewRenderers.set(container, renderer);
+  }
+  const context = renderer.getContext();
+  
+  try {
+    const meter = getMeter(timeSignature);
+    const vexflowData = vexflowFactory.convertPatternToVexFlow(flatPattern, meter);
+    if (vexflowData.notes.length === 0) {
+      context.clear();
+      return false;
+    }
+    
+    const staves = layoutScore(vexflowData.bars, meter, renderer, container.clientWidth || DEFAULT_SCORE_WIDTH);
+    return vexflowFactory.renderOptimized(context, staves, vexflowData);
+  } catch (error) {
+    console.error('❌ Error rendering pattern preview:', error);
+    return false;
   }
 }
 
 // Fallback rendering method (original approach)
-function renderPatternFallback(flatPattern) {
+function renderPatternFallback(flatPattern, meter) {
   try {
     console.log('🔄 Using fallback rendering...');
     
     // Clear previous notation
     vexflowContext.clear();
     
-    // Create a staff (musical staff lines)
-    const stave = new Vex.Flow.Stave(50, 10, 500);
-    currentStave = stave;
-    
-    // Add treble clef and time signature
-    stave.addClef('treble').addTimeSignature('4/4');
-    
-    // Draw the staff
-    stave.setContext(vexflowContext).draw();
-    
     // Convert pattern to VexFlow notes (simplified version)
-    const notes = convertPatternToVexFlow(flatPattern);
+    const notes = convertPatternToVexFlow(flatPattern, meter);
     currentNotes = notes; // Store for highlighting
     
     if (notes.length === 0) {
@@ -163,14 +212,36 @@ function renderPatternFallback(flatPattern) {
       return false;
     }
     
-    // Use VexFlow's FormatAndDraw helper for simplicity
-    Vex.Flow.Formatter.FormatAndDraw(vexflowContext, stave, notes);
+    // Tuplet brackets, ties and bars were built with the (cached) notes
+    const { bars, tuplets, ties } = vexflowFactory.convertPatternToVexFlow(flatPattern, meter);
+    
+    // Create a staff (musical staff lines) per bar, with clef and time signature
+    const staves = layoutScore(bars, meter);
+    currentStaves = staves;
+    currentStave = staves[0];
     
-    // Create and draw beams using VexFlow automatic beaming
-    const beams = Vex.Flow.Beam.generateBeams(notes);
-    currentBeams = beams;
-    beams.forEach(beam => {
-      beam.setContext(vexflowContext).draw();
+    currentBeams = [];
+    staves.forEach((stave, i) => {
+      // Draw the staff
+      stave.setContext(vexflowContext).draw();
+      if (bars[i].notes.length === 0) return;
+      
+      // Use VexFlow's FormatAndDraw helper for simplicity
+      Vex.Flow.Formatter.FormatAndDraw(vexflowContext, stave, bars[i].notes);
+      
+      // Create and draw beams using VexFlow automatic beaming
+      const beams = Vex.Flow.Beam.generateBeams(bars[i].notes, { groups: vexflowFactory.getBeamGroups(meter) });
+      currentBeams.push(...beams);
+      beams.forEach(beam => {
+        beam.setContext(vexflowContext).draw();
+      });
+    });
+    
+    tuplets.forEach(tuplet => {
+      tuplet.setContext(vexflowContext).draw();
+    });
+    ties.forEach(tie => {
+      vexflowFactory.drawTie(vexflowContext, tie);
     });
     
     console.log('✅ Fallback pattern rendered successfully');
@@ -182,7 +253,81 @@ function renderPatternFallback(flatPattern) {
   }
 }
 
-// Highlight a specific beat in the notation
+// Width available for the score
+function getScoreWidth() {
+  const width = notationContainer ? notationContainer.clientWidth : 0;
+  return width > 0 ? width : DEFAULT_SCORE_WIDTH;
+}
+
+// Space a stave's clef and time signature take before the first note
+function getStaveHeaderWidth(meter, withTimeSignature) {
+  const stave = new Vex.Flow.Stave(0, 0, 500).addClef('treble');
+  if (withTimeSignature) stave.addTimeSignature(meter.timeSignature);
+  return stave.getNoteStartX() - new Vex.Flow.Stave(0, 0, 500).getNoteStartX();
+}
+
+// Lay the bars out as staves: each bar asks for room for its notes, bars fill
+// a system until the next one doesn't fit, and each system is stretched to the
+// full width (except a last system that is less than half full, and a single
+// system, which stays at its natural width or the default, whichever is wider). Every system
+// starts with a clef; the first also shows the time signature. Resizes the
+// renderer (the game's staff unless another is given) to fit and returns the
+// staves in bar order.
+function layoutScore(bars, meter, renderer = vexflowRenderer, availableWidth = getScoreWidth()) {
+  let width = availableWidth;
+  let lineWidth = width - SCORE_MARGIN * 2;
+  const firstHeader = getStaveHeaderWidth(meter, true);
+  const header = getStaveHeaderWidth(meter, false);
+  const desired = bars.map(bar => Math.max(MIN_BAR_WIDTH, bar.notes.length * NOTE_SPACING));
+  
+  // Break the bars into systems
+  const systems = [];
+  desired.forEach((barWidth, i) => {
+    const system = systems[systems.length - 1];
+    if (system && system.used + barWidth <= lineWidth) {
+      system.bars.push(i);
+      system.used += barWidth;
+    } else {
+      const headerWidth = systems.length === 0 ? firstHeader : header;
+      systems.push({ bars: [i], headerWidth, used: headerWidth + barWidth });
+    }
+  });
+  
+  // A short pattern on a wide page keeps its usual size rather than
+  // stretching across the whole container
+  if (systems.length === 1) {
+    lineWidth = Math.min(lineWidth, Math.max(DEFAULT_SCORE_WIDTH - SCORE_MARGIN * 2, systems[0].used));
+    width = lineWidth + SCORE_MARGIN * 2;
+  }
+  
+  const staves = [];
+  systems.forEach((system, row) => {
+    const isSparseLast = systems.length > 1 && row === systems.length - 1 && system.used < lineWidth / 2;
+    const spare = isSparseLast ? 0 : Math.max(0, lineWidth - system.used);
+    const barSpace = system.used - system.headerWidth;
+    let x = SCORE_MARGIN;
+    
+    system.bars.forEach((barIndex, i) => {
+      const barWidth = desired[barIndex] + spare * desired[barIndex] / barSpace + (i === 0 ? system.headerWidth : 0);
+      const stave = new Vex.Flow.Stave(x, SCORE_TOP + row * SYSTEM_HEIGHT, barWidth);
+      
+      if (i === 0) stave.addClef('treble');
+      if (barIndex === 0) stave.addTimeSignature(meter.timeSignature);
+      if (barIndex === bars.length - 1) stave.setEndBarType(Vex.Flow.Barline.type.END);
+      
+      staves.push(stave);
+      x += barWidth;
+    });
+  });
+  
+  renderer.resize(width, SCORE_TOP + systems.length * SYSTEM_HEIGHT + 30);
+  console.log(`📐 Score layout: ${bars.length} bar(s) on ${systems.length} system(s) at ${width}px`);
+  return staves;
+}
+
+// Highlight a specific beat in the notation. beatIndex counts notes and rests
+// across the whole pattern; bars are drawn in order, so it is also the
+// position of the note's SVG group.
 export function highlightBeat(beatIndex, color = '#ff6b6b') {
   if (!currentNotes || beatIndex >= currentNotes.length || beatIndex < 0) {
     return false;
@@ -336,7 +481,7 @@ export function showTapFeedback(beatIndex, result) {
   highlightBeat(beatIndex, color);
   
   // Add visual indicator
-  setTimeout(() => {
+  globalClock.setTimeout(() => {
     // Return to normal color after feedback
     if (beatIndex === realTimeCurrentBeat) {
       highlightBeat(beatIndex, '#4CAF50'); // Back to current beat color
@@ -347,14 +492,48 @@ export function showTapFeedback(beatIndex, result) {
   return true;
 }
 
+// Result colours, matching the performance summary
+const RESULT_COLORS = {
+  perfect: '#28a745',
+  good: '#17a2b8',
+  close: '#ffc107',
+  miss: '#dc3545',
+  unknown: '#6c757d'
+};
+
+// Colour every note by its result once a pattern has been judged.
+// results: [{ index, result }] with index counting notes and rests
+export function showNoteResults(results) {
+  try {
+    const svg = vexflowRenderer.getContext().svg;
+    const noteElements = svg.querySelectorAll('.vf-stavenote');
+    clearAllHighlights();
+    
+    results.forEach(({ index, result }) => {
+      const element = noteElements[index];
+      if (!element) return;
+      
+      const color = RESULT_COLORS[result] || RESULT_COLORS.unknown;
+      element.style.fill = color;
+      element.style.stroke = color;
+    });
+    return true;
+  } catch (error) {
+    console.error('❌ Error showing note results:', error);
+    return false;
+  }
+}
+
 // Game flow states
 let gameFlowState = 'ready'; // 'ready', 'counting', 'playing', 'complete'
 let countInBeat = 0;
+let countInLength = 4; // Clicks in the count-in (one bar of the pattern's meter)
 
 // Start count-in sequence
-export function startCountIn() {
+export function startCountIn(beats = 4) {
   gameFlowState = 'counting';
   countInBeat = 0;
+  countInLength = beats;
   clearAllHighlights();
   
   // Show count-in indicator
@@ -368,7 +547,7 @@ export function startCountIn() {
 export function advanceCountIn() {
   countInBeat++;
   
-  if (countInBeat >= 4) {
+  if (countInBeat >= countInLength) {
     // Count-in complete, start game
     gameFlowState = 'playing';
     showGameStartIndicator();
@@ -416,7 +595,7 @@ function showCountInIndicator(number) {
   overlay.style.transform = 'translate(-50%, -50%) scale(1.5)';
   overlay.style.opacity = '1';
   
-  setTimeout(() => {
+  globalClock.setTimeout(() => {
     if (overlay) {
       overlay.style.transform = 'translate(-50%, -50%) scale(1)';
     }
@@ -433,7 +612,7 @@ function showGameStartIndicator() {
     overlay.style.transform = 'translate(-50%, -50%) scale(1.8)';
     
     // Hide after short time
-    setTimeout(() => {
+    globalClock.setTimeout(() => {
       if (overlay) {
         overlay.style.display = 'none';
       }
@@ -478,6 +657,7 @@ export function getGameFlowState() {
   return {
     state: gameFlowState,
     countInBeat: countInBeat,
+    countInLength: countInLength,
     isCountingIn: gameFlowState === 'counting',
     isPlaying: gameFlowState === 'playing',
     isComplete: gameFlowState === 'complete'
@@ -516,7 +696,7 @@ function showCompletionIndicator() {
     overlay.style.opacity = '1';
     
     // Animate
-    setTimeout(() => {
+    globalClock.setTimeout(() => {
       if (overlay) {
         overlay.style.transform = 'translate(-50%, -50%) scale(1)';
       }
@@ -535,9 +715,9 @@ export function getRealTimeState() {
 }
 
 // Render the current pattern from the patterns module
-export function renderCurrentPattern(getCurrentPatternFunction) {
+export function renderCurrentPattern(getCurrentPatternFunction, timeSignature = DEFAULT_TIME_SIGNATURE) {
   const currentPattern = getCurrentPatternFunction();
-  return renderPattern(currentPattern);
+  return renderPattern(currentPattern, timeSignature);
 }
 
 // Test function - render a simple pattern
@@ -562,6 +742,7 @@ export function getNotationStatus() {
     rendererInitialized: vexflowRenderer !== null,
     contextReady: vexflowContext !== null,
     notesCount: currentNotes ? currentNotes.length : 0,
+    barsCount: currentStaves.length,
     currentHighlight: currentHighlightIndex
   };
 }
@@ -588,7 +769,7 @@ export function testBeatHighlighting() {
     console.log(`🎯 Highlighting beat ${beatIndex + 1}/${currentNotes.length}`);
     beatIndex++;
     
-    setTimeout(highlightNext, 500); // Highlight next beat every 500ms
+    globalClock.setTimeout(highlightNext, 500); // Highlight next beat every 500ms
   };
   
   highlightNext();
@@ -607,7 +788,9 @@ export function cleanupNotation() {
   currentBeams = [];
   currentVoice = null;
   currentStave = null;
+  currentStaves = [];
   currentVexFlowData = null;
+  lastRendered = null;
   
   // Clear context if available
   if (vexflowContext) {
@@ -643,9 +826,9 @@ export function benchmarkNotationPerformance(pattern, iterations = 10) {
   const times = [];
   
   for (let i = 0; i < iterations; i++) {
-    const start = performance.now();
+    const start = globalClock.now();
     renderPattern(pattern);
-    const end = performance.now();
+    const end = globalClock.now();
     times.push(end - start);
   }
   
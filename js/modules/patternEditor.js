@@ -0,0 +1,307 @@
+// Pattern Editor Module - Write a pattern and see it on a staff as it grows
+//
+// A teacher builds a pattern with the note-value buttons, types it in the text
+// notation of rhythmText.js (the buttons write that text, so the two never
+// disagree) or converts counting syllables into it. Every change redraws the
+// preview, lists what validatePattern() finds and shows how full each bar is.
+// Short bars are previewed and auditioned padded with rests (normalizeBar()),
+// notes past the end of a bar are left out. Playing and saving are done by
+// the callbacks given to initPatternEditor().
+
+import { globalResourceManager } from '../utils/ResourceManager.js';
+import {
+  NOTE_VALUES,
+  TIME_SIGNATURES,
+  DEFAULT_TIME_SIGNATURE,
+  getMeter,
+  getNoteDuration,
+  flattenPattern,
+  normalizeBar,
+  validatePattern,
+  getPatternsForLevel,
+  getSelectedLevel,
+  getCurrentPatternIndex
+} from './patterns.js';
+import { parseRhythmText, parseCountingText, serializeRhythmText, formatRhythmTextError } from './rhythmText.js';
+import { renderPatternPreview } from './notation.js';
+import { CUSTOM_LEVEL } from './customPatterns.js';
+
+const OPEN_TUPLET = /\d+(?::\d+)?\(/g;
+const LAST_TOKEN = /(\)|\||\d+(?::\d+)?\(|[^\s|()#]+)\s*$/;
+
+let elements = null;
+let callbacks = { onAudition: null, onSave: null, onDelete: null };
+let editingId = null; // Saved custom pattern being edited, if any
+let edited = null; // { timeSignature, bars, preview, valid } of the text as it stands
+
+// Wire up the editor panel. Callbacks:
+//   onAudition(flatPattern, timeSignature) - play the pattern (as previewed)
+//   onSave({ id, title, timeSignature, bars }) - resolves with the saved record or null
+//   onDelete(id) - resolves true once the saved pattern is gone
+export function initPatternEditor({ onAudition = null, onSave = null, onDelete = null } = {}) {
+  const field = id => document.getElementById(id);
+  elements = {
+    timeSignature: field('editorTimeSignature'),
+    noteButtons: field('editorNoteButtons'),
+    dotted: field('editorDotted'),
+    rest: field('editorRest'),
+    tied: field('editorTied'),
+    tuplet: field('editorTuplet'),
+    barline: field('editorBarline'),
+    undo: field('editorUndo'),
+    clear: field('editorClear'),
+    text: field('editorText'),
+    counting: field('editorCounting'),
+    addCounting: field('editorAddCounting'),
+    preview: field('editorPreview'),
+    fill: field('editorFill'),
+    issues: field('editorIssues'),
+    title: field('editorTitle'),
+    editCurrent: field('editorEditCurrent'),
+    audition: field('editorAudition'),
+    save: field('editorSave'),
+    remove: field('editorDelete'),
+    status: field('editorStatus')
+  };
+  if (!elements.text || !elements.preview) {
+    console.warn('⚠️ Pattern editor markup not found');
+    elements = null;
+    return false;
+  }
+  callbacks = { onAudition, onSave, onDelete };
+  
+  if (elements.timeSignature) {
+    elements.timeSignature.innerHTML = Object.keys(TIME_SIGNATURES)
+      .map(timeSignature => `<option value="${timeSignature}">${timeSignature}</option>`)
+      .join('');
+    elements.timeSignature.value = DEFAULT_TIME_SIGNATURE;
+    globalResourceManager.addEventListener(elements.timeSignature, 'change', refreshEditor);
+  }
+  if (elements.noteButtons) {
+    Object.keys(NOTE_VALUES).forEach(type => {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.textContent = type;
+      globalResourceManager.addEventListener(button, 'click', () => addNote(type));
+      elements.noteButtons.appendChild(button);
+    });
+  }
+  
+  const onClick = (element, handler) => {
+    if (element) globalResourceManager.addEventListener(element, 'click', handler);
+  };
+  onClick(elements.tuplet, () => appendText(isTupletOpen() ? ')' : '3('));
+  onClick(elements.barline, () => appendText('|'));
+  onClick(elements.undo, () => setText(elements.text.value.replace(LAST_TOKEN, '').trimEnd()));
+  onClick(elements.clear, () => {
+    editPattern({ bars: [], timeSignature: elements.timeSignature ? elements.timeSignature.value : DEFAULT_TIME_SIGNATURE });
+  });
+  onClick(elements.addCounting, addCounting);
+  onClick(elements.editCurrent, editCurrentPattern);
+  onClick(elements.audition, () => {
+    if (edited && edited.bars.length > 0 && callbacks.onAudition) {
+      callbacks.onAudition(edited.preview, edited.timeSignature);
+    }
+  });
+  onClick(elements.save, savePattern);
+  onClick(elements.remove, deletePattern);
+  globalResourceManager.addEventListener(elements.text, 'input', refreshEditor);
+  
+  refreshEditor();
+  return true;
+}
+
+// Load a pattern ({ bars, timeSignature, title, id }) into the editor; id is
+// the saved custom pattern it replaces when saved
+export function editPattern({ bars, timeSignature = DEFAULT_TIME_SIGNATURE, title = '', id = null }) {
+  if (!elements) return false;
+  
+  editingId = id;
+  if (elements.timeSignature) elements.timeSignature.value = timeSignature;
+  if (elements.title) elements.title.value = title;
+  elements.text.value = serializeRhythmText(bars);
+  setStatus('');
+  refreshEditor();
+  return true;
+}
+
+// The pattern being edited: { id, title, timeSignature, bars, preview, valid }
+// (preview is the flattened pattern as shown), or null while the text has errors
+export function getEditedPattern() {
+  if (!edited) return null;
+  return { id: editingId, title: elements.title ? elements.title.value.trim() : '', ...edited };
+}
+
+// Re-read the text: redraw the preview and update the issues and bar fill
+function refreshEditor() {
+  if (!elements) return;
+  
+  const selected = elements.timeSignature ? elements.timeSignature.value : DEFAULT_TIME_SIGNATURE;
+  const parsed = parseRhythmText(elements.text.value, { timeSignature: selected, partial: true });
+  const timeSignature = parsed.timeSignature;
+  if (elements.timeSignature && timeSignature !== selected) {
+    elements.timeSignature.value = timeSignature; // Typed at the start of the text
+  }
+  if (elements.tuplet) {
+    elements.tuplet.textContent = isTupletOpen() ? 'End tuplet )' : 'Triplet 3(';
+  }
+  
+  if (!parsed.bars) {
+    edited = null;
+    showIssues(parsed.errors.map(formatRhythmTextError));
+    setFill([]);
+    updateButtons();
+    return;
+  }
+  
+  // Each bar on its own, padded or cut to the time signature for the preview
+  const { barLength } = getMeter(timeSignature);
+  const barNotes = parsed.bars.map(bar => flattenPattern([bar]));
+  const preview = [];
+  barNotes.forEach((notes, i) => {
+    if (i > 0) preview.push({ isBarline: true });
+    preview.push(...normalizeBar(notes, timeSignature));
+  });
+  
+  const { valid, issues } = parsed.bars.length > 0
+    ? validatePattern(flattenPattern(parsed.bars), timeSignature)
+    : { valid: false, issues: [] };
+  edited = { timeSignature, bars: parsed.bars, preview, valid };
+  
+  showIssues(issues);
+  setFill(barNotes.map((notes, i) => {
+    const length = Math.round(notes.reduce((sum, note) => sum + getNoteDuration(note), 0) * 1000) / 1000;
+    if (Math.abs(length - barLength) < 1e-6) return { text: `Bar ${i + 1}: full`, state: 'full' };
+    if (length < barLength) return { text: `Bar ${i + 1}: ${length} of ${barLength} beats`, state: 'short' };
+    return { text: `Bar ${i + 1}: ${length} of ${barLength} beats - the end is left out`, state: 'over' };
+  }));
+  renderPatternPreview(elements.preview, preview, timeSignature);
+  updateButtons();
+}
+
+// Add a note or rest of this value, with the dotted, rest and tie boxes
+function addNote(type) {
+  const note = { type, rest: !!(elements.rest && elements.rest.checked) };
+  if (elements.dotted && elements.dotted.checked) note.dotted = true;
+  if (elements.tied && elements.tied.checked && !note.rest) note.tieToNext = true;
+  
+  // A tie is for one note only
+  if (elements.tied) elements.tied.checked = false;
+  appendText(serializeRhythmText([[note]]));
+}
+
+// Turn counting syllables into notes and add them as whole bars
+function addCounting() {
+  if (!elements.counting || elements.counting.value.trim() === '') return;
+  
+  const timeSignature = elements.timeSignature ? elements.timeSignature.value : DEFAULT_TIME_SIGNATURE;
+  const parsed = parseCountingText(elements.counting.value, { timeSignature });
+  if (!parsed.bars) {
+    showIssues(parsed.errors.map(error => `Counting - ${formatRhythmTextError(error)}`));
+    return;
+  }
+  
+  const text = elements.text.value.trimEnd();
+  const separator = text === '' || text.endsWith('|') ? '' : '|';
+  elements.counting.value = '';
+  appendText(`${separator} ${serializeRhythmText(parsed.bars)}`.trim());
+}
+
+// Load the pattern the game is showing
+function editCurrentPattern() {
+  const level = getSelectedLevel();
+  const list = getPatternsForLevel(level);
+  if (list.length === 0) return;
+  
+  const index = getCurrentPatternIndex() % list.length;
+  const entry = list[index];
+  editPattern({
+    bars: entry.bars,
+    timeSignature: entry.timeSignature || DEFAULT_TIME_SIGNATURE,
+    title: entry.title || '',
+    id: level === CUSTOM_LEVEL ? entry.id : null
+  });
+  setStatus(level === CUSTOM_LEVEL
+    ? `✏️ Editing "${entry.title}" - saving replaces it`
+    : `✏️ Copied ${level} pattern ${index + 1} - saving adds it to the custom patterns`);
+}
+
+function savePattern() {
+  const pattern = getEditedPattern();
+  if (!pattern || !pattern.valid || !callbacks.onSave) return;
+  
+  const { id, title, timeSignature, bars } = pattern;
+  callbacks.onSave({ id, title, timeSignature, bars }).then(record => {
+    if (!record) {
+      setStatus('❌ The pattern could not be saved');
+      return;
+    }
+    editingId = record.id;
+    if (elements.title) elements.title.value = record.title;
+    setStatus(`💾 Saved "${record.title}" to the custom patterns`);
+    updateButtons();
+  });
+}
+
+function deletePattern() {
+  if (!editingId || !callbacks.onDelete) return;
+  const title = elements.title ? elements.title.value.trim() : '';
+  if (!confirm(`Delete the custom pattern "${title}"?`)) return;
+  
+  callbacks.onDelete(editingId).then(deleted => {
+    if (!deleted) {
+      setStatus('❌ The pattern could not be deleted');
+      return;
+    }
+    editingId = null;
+    setStatus(`🗑️ Deleted "${title}" - it is still here to save again`);
+    updateButtons();
+  });
+}
+
+function appendText(token) {
+  const text = elements.text.value.trimEnd();
+  const joined = text === '' || text.endsWith('(') || token === ')' ? `${text}${token}` : `${text} ${token}`;
+  setText(joined);
+}
+
+function setText(text) {
+  elements.text.value = text;
+  refreshEditor();
+}
+
+// Whether the text ends inside a tuplet, so the next ")" closes it
+function isTupletOpen() {
+  const text = elements.text.value;
+  return (text.match(OPEN_TUPLET) || []).length > (text.match(/\)/g) || []).length;
+}
+
+function showIssues(issues) {
+  if (!elements.issues) return;
+  elements.issues.replaceChildren(...issues.map(issue => {
+    const item = document.createElement('li');
+    item.textContent = issue;
+    return item;
+  }));
+}
+
+function setFill(bars) {
+  if (!elements.fill) return;
+  elements.fill.replaceChildren(...bars.map(({ text, state }) => {
+    const item = document.createElement('span');
+    item.className = `editor-bar-${state}`;
+    item.textContent = text;
+    return item;
+  }));
+}
+
+function updateButtons() {
+  const hasNotes = !!edited && edited.bars.length > 0;
+  if (elements.audition) elements.audition.disabled = !hasNotes;
+  if (elements.save) elements.save.disabled = !hasNotes || !edited.valid;
+  if (elements.remove) elements.remove.disabled = !editingId;
+}
+
+function setStatus(message) {
+  if (elements && elements.status) elements.status.textContent = message;
+}
@@ -0,0 +1,272 @@
+// Pattern Generator Module - Seeded procedural rhythm patterns
+//
+// Builds patterns in the library's format (see patterns.js) from difficulty
+// parameters, so there is always something new to read. The same options and
+// seed always give the same pattern. Every generated bar passes
+// validatePattern() and comes back unchanged from normalizeBar().
+//
+// Bars are filled left to right with note values from options.noteValues:
+// - a note that starts off the beat ends by the next beat, unless ties are on,
+//   in which case it may be split into two tied notes across the beat
+// - syncopation (0-1) is how often a beat is entered off the beat: the note
+//   before it is tied over (with ties on) or the beat starts with a short rest,
+//   and how likely off-beat notes are to be tied across the beat
+// - restDensity (0-1) is the chance of any other element being a rest
+// - targetRating (0-10, or null for any) keeps only patterns whose
+//   difficulty rating (see difficulty.js) is close to it
+
+import {
+  NOTE_VALUES,
+  TIME_SIGNATURES,
+  DEFAULT_TIME_SIGNATURE,
+  getMeter,
+  getNoteDuration,
+  normalizeBar,
+  validatePattern,
+  flattenPattern
+} from './patterns.js';
+import { ratePattern, MAX_RATING } from './difficulty.js';
+
+// Level generated patterns are listed under
+export const GENERATED_LEVEL = 'generated';
+
+export const DEFAULT_GENERATOR_OPTIONS = {
+  noteValues: ['quarter', 'eighth'],
+  restDensity: 0.15,
+  syncopation: 0.2,
+  dotted: false,
+  ties: false,
+  bars: 2,
+  timeSignature: DEFAULT_TIME_SIGNATURE,
+  seed: 1,
+  targetRating: null
+};
+
+export const MAX_GENERATED_BARS = 8;
+
+// How far from targetRating a pattern's rating may be
+export const RATING_TOLERANCE = 0.75;
+
+const MAX_ATTEMPTS = 20; // Fresh draws tried before giving up on a seed
+const SEEDS_PER_PATTERN = 25; // Seeds tried per wanted pattern when aiming at a rating
+
+// Check generator options: { valid, issues }
+export function validateGeneratorOptions(options) {
+  const settings = { ...DEFAULT_GENERATOR_OPTIONS, ...options };
+  const issues = [];
+  
+  if (!Array.isArray(settings.noteValues) || settings.noteValues.length === 0) {
+    issues.push('Choose at least one note value');
+  } else {
+    settings.noteValues.filter(type => !NOTE_VALUES[type]).forEach(type => issues.push(`Unknown note value "${type}"`));
+  }
+  if (!Number.isFinite(settings.restDensity) || settings.restDensity < 0 || settings.restDensity > 0.9) {
+    issues.push('Rest density must be between 0 and 0.9');
+  }
+  if (!Number.isFinite(settings.syncopation) || settings.syncopation < 0 || settings.syncopation > 1) {
+    issues.push('Syncopation must be between 0 and 1');
+  }
+  if (!Number.isInteger(settings.bars) || settings.bars < 1 || settings.bars > MAX_GENERATED_BARS) {
+    issues.push(`Bar count must be a whole number from 1 to ${MAX_GENERATED_BARS}`);
+  }
+  if (!TIME_SIGNATURES[settings.timeSignature]) {
+    issues.push(`Unsupported time signature "${settings.timeSignature}"`);
+  }
+  if (!Number.isInteger(settings.seed)) {
+    issues.push('Seed must be a whole number');
+  }
+  if (settings.targetRating !== null && (!Number.isFinite(settings.targetRating) || settings.targetRating < 0 || settings.targetRating > MAX_RATING)) {
+    issues.push(`Target difficulty must be between 0 and ${MAX_RATING}`);
+  }
+  
+  return { valid: issues.length === 0, issues };
+}
+
+// Generate one pattern: { level, timeSignature, bars, generator } where
+// generator holds the options it was made from. Returns null if the options
+// are invalid or no valid pattern could be made from them.
+export function generatePattern(options = {}) {
+  const settings = { ...DEFAULT_GENERATOR_OPTIONS, ...options };
+  const { valid, issues } = validateGeneratorOptions(settings);
+  if (!valid) {
+    console.warn('⚠️ Invalid pattern generator options:', issues);
+    return null;
+  }
+  
+  const random = createRandom(settings.seed);
+  const meter = getMeter(settings.timeSignature);
+  const values = getWrittenValues(settings);
+  
+  for (let attempt = 0; attempt < MAX_ATTEMPTS; attempt++) {
+    const bars = [];
+    for (let b = 0; b < settings.bars; b++) {
+      bars.push(generateBar(settings, meter, values, random, bars[b - 1]));
+    }
+    
+    if (isUsable(bars, settings.timeSignature)) {
+      return {
+        level: GENERATED_LEVEL,
+        timeSignature: settings.timeSignature,
+        bars,
+        generator: { ...settings, noteValues: [...settings.noteValues] }
+      };
+    }
+  }
+  
+  console.warn('⚠️ Could not generate a valid pattern from these options:', settings);
+  return null;
+}
+
+// Generate count patterns from consecutive seeds (seed, seed + 1, ...).
+// With a targetRating, seeds are tried until count patterns rate within
+// RATING_TOLERANCE of it; if too few do, the closest ones are used.
+// ratingOptions are passed to ratePattern() (e.g. { bpm }).
+export function generatePatterns(options = {}, count = 8, ratingOptions = {}) {
+  const seed = Number.isInteger(options.seed) ? options.seed : DEFAULT_GENERATOR_OPTIONS.seed;
+  const target = options.targetRating ?? null;
+  
+  if (target === null || !validateGeneratorOptions(options).valid) {
+    const list = [];
+    for (let i = 0; i < count; i++) {
+      const pattern = generatePattern({ ...options, seed: seed + i });
+      if (pattern) list.push(pattern);
+    }
+    return list;
+  }
+  
+  const candidates = [];
+  for (let i = 0; i < count * SEEDS_PER_PATTERN; i++) {
+    const pattern = generatePattern({ ...options, seed: seed + i });
+    if (!pattern) continue;
+    pattern.rating = ratePattern(pattern, ratingOptions).rating;
+    candidates.push({ pattern, distance: Math.abs(pattern.rating - target), order: i });
+    if (candidates.filter(candidate => candidate.distance <= RATING_TOLERANCE).length >= count) break;
+  }
+  
+  return candidates
+    .sort((a, b) => a.distance - b.distance || a.order - b.order)
+    .slice(0, count)
+    .sort((a, b) => a.order - b.order)
+    .map(candidate => candidate.pattern);
+}
+
+// Seeded pseudo-random numbers in [0, 1) (mulberry32)
+export function createRandom(seed) {
+  let state = seed >>> 0;
+  return function random() {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Fill one bar. previousBar lets a syncopation tie over the barline.
+function generateBar(settings, meter, values, random, previousBar) {
+  const { barLength, beatLength } = meter;
+  const grid = Math.min(...settings.noteValues.map(type => NOTE_VALUES[type]));
+  const bar = [];
+  let position = 0;
+  
+  while (position < barLength - 1e-6) {
+    const beatPosition = position / beatLength;
+    const onBeat = Math.abs(beatPosition - Math.round(beatPosition)) < 1e-6;
+    const nextBeat = (Math.floor(beatPosition + 1e-6) + 1) * beatLength;
+    const previous = bar.length > 0 ? bar[bar.length - 1] : (position === 0 && previousBar ? previousBar[previousBar.length - 1] : null);
+    let continuing = false;
+    
+    // Enter the beat off the beat: hold the previous note over it, or rest
+    if (onBeat && random() < settings.syncopation * 0.5) {
+      if (settings.ties && previous && !previous.rest && !previous.tieToNext) {
+        previous.tieToNext = true;
+        continuing = true;
+      } else if (grid < beatLength) {
+        const rest = values.find(value => !value.dotted && Math.abs(value.duration - grid) < 1e-6);
+        bar.push({ type: rest.type, rest: true });
+        position += grid;
+        continue;
+      }
+    }
+    
+    const rest = !continuing && random() < settings.restDensity;
+    const candidates = [];
+    values.filter(value => value.allowed).forEach(value => {
+      const end = position + value.duration;
+      if (end > barLength + 1e-6 || !isMultiple(value.duration, grid)) return;
+      
+      // Off-beat notes may not cross the beat unless split with a tie
+      if (!onBeat && end > nextBeat + 1e-6) {
+        if (rest || !settings.ties || settings.syncopation === 0) return;
+        const first = findValue(values, nextBeat - position);
+        const second = findValue(values, end - nextBeat);
+        if (first && second) {
+          candidates.push({ weight: settings.syncopation * 2, notes: [first, second] });
+        }
+        return;
+      }
+      candidates.push({ weight: 1, notes: [value] });
+    });
+    
+    if (candidates.length === 0) {
+      if (continuing) previous.tieToNext = false;
+      break; // normalizeBar pads what is left with rests
+    }
+    
+    const choice = pickWeighted(candidates, random);
+    choice.notes.forEach((value, i) => {
+      const note = { type: value.type, rest };
+      if (value.dotted) note.dotted = true;
+      if (i < choice.notes.length - 1) note.tieToNext = true;
+      bar.push(note);
+      position += value.duration;
+    });
+  }
+  
+  return normalizeBar(bar, meter.timeSignature);
+}
+
+// Every written value the generator may use: { type, dotted, duration, allowed }.
+// Values outside noteValues still serve as the halves of a tied note.
+function getWrittenValues(settings) {
+  const values = [];
+  Object.entries(NOTE_VALUES).forEach(([type, duration]) => {
+    const allowed = settings.noteValues.includes(type);
+    values.push({ type, dotted: false, duration, allowed });
+    if (settings.dotted) {
+      values.push({ type, dotted: true, duration: duration * 1.5, allowed });
+    }
+  });
+  return values;
+}
+
+function findValue(values, duration) {
+  return values.find(value => Math.abs(value.duration - duration) < 1e-6) || null;
+}
+
+function isMultiple(duration, grid) {
+  const ratio = duration / grid;
+  return Math.abs(ratio - Math.round(ratio)) < 1e-6;
+}
+
+function pickWeighted(candidates, random) {
+  const total = candidates.reduce((sum, candidate) => sum + candidate.weight, 0);
+  let target = random() * total;
+  for (const candidate of candidates) {
+    target -= candidate.weight;
+    if (target < 0) return candidate;
+  }
+  return candidates[candidates.length - 1];
+}
+
+// A generated pattern must be valid, already normalised and have a note to play
+function isUsable(bars, timeSignature) {
+  const flat = flattenPattern(bars);
+  if (!flat.some(note => !note.isBarline && !note.rest)) return false;
+  if (!validatePattern(flat, timeSignature).valid) return false;
+  
+  return bars.every(bar => {
+    const normalized = normalizeBar(bar, timeSignature);
+    return normalized.length === bar.length && normalized.every((note, i) => getNoteDuration(note) === getNoteDuration(bar[i]) && !!note.rest === !!bar[i].rest);
+  });
+}
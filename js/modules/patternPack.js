@@ -0,0 +1,325 @@
+// Pattern Pack Module - Load and save patterns as versioned JSON packs
+//
+// A pattern pack is a JSON document teachers can write and share to add their
+// own patterns without editing patterns.js. Packs are checked against the
+// schema below before anything is loaded; every problem is reported with the
+// path to the offending value (e.g. patterns[2].bars[0][1].type).
+//
+// Format (version 1):
+// {
+//   format: 'rhythm-game-pattern-pack', version: 1,
+//   title: 'Swing basics',                  required
+//   author: 'A. Teacher',                   optional
+//   description: '...',                     optional
+//   level: 'intermediate',                  default level of the patterns
+//   timeSignature: '4/4',                   default time signature
+//   tempo: { min: 60, max: 120 },           suggested BPM range
+//   tags: ['syncopation', 'ties'],          optional
+//   patterns: [{
+//     title, level, timeSignature, tempo, tags   optional, override the pack's
+//     bars: [...]                                required, as in patterns.js
+//   }]
+// }
+// A bar is a list of beats; a beat is a note, a tuplet group or a list of
+// them. A note is { type, rest, dotted, tieToNext } with type one of
+// NOTE_VALUES; a tuplet group is { tuplet: { num, inSpaceOf }, notes: [...] }.
+// Every pattern needs a level, its own or the pack's.
+
+import {
+  NOTE_VALUES,
+  TIME_SIGNATURES,
+  DEFAULT_TIME_SIGNATURE,
+  validatePattern,
+  flattenPattern,
+  registerPatterns
+} from './patterns.js';
+import { MIN_BPM, MAX_BPM } from './gameState.js';
+
+export const PACK_FORMAT = 'rhythm-game-pattern-pack';
+export const PACK_VERSION = 1;
+
+const PACK_FIELDS = ['format', 'version', 'title', 'author', 'description', 'level', 'timeSignature', 'tempo', 'tags', 'patterns'];
+const PATTERN_FIELDS = ['title', 'level', 'timeSignature', 'tempo', 'tags', 'bars'];
+const NOTE_FIELDS = ['type', 'rest', 'dotted', 'tieToNext'];
+const TUPLET_FIELDS = ['tuplet', 'notes'];
+
+// Packs loaded this session, by title
+const loadedPacks = new Map();
+
+// Load a pack from JSON text. Returns { pack, issues }; pack is null when
+// the document can't be used.
+export function importPatternPack(text) {
+  let parsed;
+  try {
+    parsed = JSON.parse(text);
+  } catch (error) {
+    return { pack: null, issues: [`Not valid JSON: ${error.message}`] };
+  }
+  
+  const { valid, issues } = validatePatternPack(parsed);
+  return { pack: valid ? parsed : null, issues };
+}
+
+// Serialise a pack for download
+export function exportPatternPack(pack) {
+  return JSON.stringify(pack, null, 2);
+}
+
+// Check a pack document against the schema: { valid, issues }
+export function validatePatternPack(pack) {
+  const issues = [];
+  
+  if (!isObject(pack)) {
+    return { valid: false, issues: ['Pattern pack is not an object'] };
+  }
+  if (pack.format !== PACK_FORMAT) {
+    issues.push(`format: expected "${PACK_FORMAT}", got ${describe(pack.format)}`);
+  }
+  if (!Number.isInteger(pack.version) || pack.version < 1 || pack.version > PACK_VERSION) {
+    issues.push(`version: unsupported version ${describe(pack.version)} (this game reads up to ${PACK_VERSION})`);
+  }
+  checkFields(pack, PACK_FIELDS, '', issues);
+  if (typeof pack.title !== 'string' || pack.title.trim() === '') {
+    issues.push('title: a pack needs a title');
+  }
+  ['author', 'description'].forEach(field => {
+    if (pack[field] !== undefined && typeof pack[field] !== 'string') {
+      issues.push(`${field}: expected text, got ${describe(pack[field])}`);
+    }
+  });
+  checkMetadata(pack, '', issues);
+  
+  if (!Array.isArray(pack.patterns) || pack.patterns.length === 0) {
+    issues.push('patterns: a pack needs a list of at least one pattern');
+    return { valid: false, issues };
+  }
+  
+  pack.patterns.forEach((pattern, p) => {
+    const path = `patterns[${p}]`;
+    if (!isObject(pattern)) {
+      issues.push(`${path}: expected a pattern object, got ${describe(pattern)}`);
+      return;
+    }
+    checkFields(pattern, PATTERN_FIELDS, path, issues);
+    checkMetadata(pattern, path, issues);
+    if (pattern.title !== undefined && typeof pattern.title !== 'string') {
+      issues.push(`${path}.title: expected text, got ${describe(pattern.title)}`);
+    }
+    if (pattern.level === undefined && pack.level === undefined) {
+      issues.push(`${path}.level: missing - set it on the pattern or the pack`);
+    }
+    
+    const before = issues.length;
+    checkBars(pattern.bars, `${path}.bars`, issues);
+    
+    // Only well-formed bars can be checked against the time signature
+    const timeSignature = pattern.timeSignature || pack.timeSignature || DEFAULT_TIME_SIGNATURE;
+    if (issues.length === before && TIME_SIGNATURES[timeSignature]) {
+      validatePattern(flattenPattern(pattern.bars), timeSignature).issues
+        .forEach(issue => issues.push(`${path}.bars: ${issue}`));
+    }
+  });
+  
+  return { valid: issues.length === 0, issues };
+}
+
+// Add a valid pack's patterns to the game. Loading a pack with the same title
+// again replaces it. Returns the library entries added, or null.
+export function loadPatternPack(pack) {
+  const { valid, issues } = validatePatternPack(pack);
+  if (!valid) {
+    console.warn('⚠️ Invalid pattern pack:', issues);
+    return null;
+  }
+  
+  const entries = pack.patterns.map(pattern => {
+    const entry = {
+      level: pattern.level || pack.level,
+      bars: JSON.parse(JSON.stringify(pattern.bars)),
+      pack: pack.title
+    };
+    const timeSignature = pattern.timeSignature || pack.timeSignature;
+    if (timeSignature) entry.timeSignature = timeSignature;
+    if (pattern.title) entry.title = pattern.title;
+    if (pattern.tempo || pack.tempo) entry.tempo = { ...(pattern.tempo || pack.tempo) };
+    if (pattern.tags || pack.tags) entry.tags = [...(pattern.tags || pack.tags)];
+    return entry;
+  });
+  
+  registerPatterns(`pack:${pack.title}`, entries);
+  loadedPacks.set(pack.title, { title: pack.title, author: pack.author || '', count: entries.length });
+  console.log(`📦 Loaded pattern pack "${pack.title}" (${entries.length} patterns)`);
+  return entries;
+}
+
+// Packs loaded this session: [{ title, author, count }]
+export function getLoadedPacks() {
+  return [...loadedPacks.values()];
+}
+
+// Build a pack from library entries ({ level, timeSignature, bars, ... }).
+// meta holds the pack's title, author, description, tempo and tags. A level
+// or time signature shared by every pattern is written once on the pack.
+export function createPatternPack(meta, list) {
+  const pack = { format: PACK_FORMAT, version: PACK_VERSION, title: meta.title };
+  ['author', 'description'].forEach(field => {
+    if (meta[field]) pack[field] = meta[field];
+  });
+  
+  const shared = field => {
+    const values = new Set(list.map(entry => entry[field] || (field === 'timeSignature' ? DEFAULT_TIME_SIGNATURE : undefined)));
+    return values.size === 1 ? [...values][0] : undefined;
+  };
+  const level = shared('level');
+  const timeSignature = shared('timeSignature');
+  if (level) pack.level = level;
+  if (timeSignature) pack.timeSignature = timeSignature;
+  if (meta.tempo) pack.tempo = { ...meta.tempo };
+  if (meta.tags && meta.tags.length > 0) pack.tags = [...meta.tags];
+  
+  pack.patterns = list.map(entry => {
+    const pattern = {};
+    if (entry.title) pattern.title = entry.title;
+    if (!level) pattern.level = entry.level;
+    if (!timeSignature) pattern.timeSignature = entry.timeSignature || DEFAULT_TIME_SIGNATURE;
+    if (entry.tempo) pattern.tempo = { ...entry.tempo };
+    if (entry.tags) pattern.tags = [...entry.tags];
+    pattern.bars = JSON.parse(JSON.stringify(entry.bars));
+    return pattern;
+  });
+  return pack;
+}
+
+// level, timeSignature, tempo and tags are checked the same on packs and patterns
+function checkMetadata(object, path, issues) {
+  const at = field => (path ? `${path}.${field}` : field);
+  
+  if (object.level !== undefined && (typeof object.level !== 'string' || object.level.trim() === '')) {
+    issues.push(`${at('level')}: expected a level name, got ${describe(object.level)}`);
+  }
+  if (object.timeSignature !== undefined && !TIME_SIGNATURES[object.timeSignature]) {
+    issues.push(`${at('timeSignature')}: unsupported time signature ${describe(object.timeSignature)} (expected one of ${Object.keys(TIME_SIGNATURES).join(', ')})`);
+  }
+  if (object.tempo !== undefined) {
+    const tempo = object.tempo;
+    if (!isObject(tempo)) {
+      issues.push(`${at('tempo')}: expected { min, max }, got ${describe(tempo)}`);
+    } else {
+      checkFields(tempo, ['min', 'max'], at('tempo'), issues);
+      ['min', 'max'].forEach(bound => {
+        if (!Number.isFinite(tempo[bound]) || tempo[bound] < MIN_BPM || tempo[bound] > MAX_BPM) {
+          issues.push(`${at('tempo')}.${bound}: expected a BPM from ${MIN_BPM} to ${MAX_BPM}, got ${describe(tempo[bound])}`);
+        }
+      });
+      if (Number.isFinite(tempo.min) && Number.isFinite(tempo.max) && tempo.min > tempo.max) {
+        issues.push(`${at('tempo')}: min ${tempo.min} is above max ${tempo.max}`);
+      }
+    }
+  }
+  if (object.tags !== undefined) {
+    if (!Array.isArray(object.tags)) {
+      issues.push(`${at('tags')}: expected a list of tags, got ${describe(object.tags)}`);
+    } else {
+      object.tags.forEach((tag, i) => {
+        if (typeof tag !== 'string' || tag.trim() === '') {
+          issues.push(`${at('tags')}[${i}]: expected a tag, got ${describe(tag)}`);
+        }
+      });
+    }
+  }
+}
+
+function checkBars(bars, path, issues) {
+  if (!Array.isArray(bars) || bars.length === 0) {
+    issues.push(`${path}: expected a list of bars, got ${describe(bars)}`);
+    return;
+  }
+  
+  bars.forEach((bar, b) => {
+    if (!Array.isArray(bar) || bar.length === 0) {
+      issues.push(`${path}[${b}]: expected a bar (a list of beats), got ${describe(bar)}`);
+      return;
+    }
+    bar.forEach((beat, i) => {
+      const beatPath = `${path}[${b}][${i}]`;
+      if (Array.isArray(beat)) {
+        if (beat.length === 0) issues.push(`${beatPath}: empty beat`);
+        beat.forEach((entry, n) => checkEntry(entry, `${beatPath}[${n}]`, issues));
+      } else {
+        checkEntry(beat, beatPath, issues);
+      }
+    });
+  });
+}
+
+// A note or a tuplet group
+function checkEntry(entry, path, issues) {
+  if (!isObject(entry)) {
+    issues.push(`${path}: expected a note, got ${describe(entry)}`);
+    return;
+  }
+  if (entry.tuplet === undefined) {
+    checkNote(entry, path, issues);
+    return;
+  }
+  
+  checkFields(entry, TUPLET_FIELDS, path, issues);
+  const tuplet = entry.tuplet;
+  if (!isObject(tuplet)) {
+    issues.push(`${path}.tuplet: expected { num, inSpaceOf }, got ${describe(tuplet)}`);
+  } else {
+    checkFields(tuplet, ['num', 'inSpaceOf'], `${path}.tuplet`, issues);
+    if (!Number.isInteger(tuplet.num) || tuplet.num < 2) {
+      issues.push(`${path}.tuplet.num: expected a whole number of at least 2, got ${describe(tuplet.num)}`);
+    }
+    if (tuplet.inSpaceOf !== undefined && (!Number.isInteger(tuplet.inSpaceOf) || tuplet.inSpaceOf < 1)) {
+      issues.push(`${path}.tuplet.inSpaceOf: expected a whole number of at least 1, got ${describe(tuplet.inSpaceOf)}`);
+    }
+  }
+  if (!Array.isArray(entry.notes) || entry.notes.length === 0) {
+    issues.push(`${path}.notes: a tuplet group needs a list of notes, got ${describe(entry.notes)}`);
+    return;
+  }
+  entry.notes.forEach((note, n) => {
+    if (isObject(note) && note.tuplet !== undefined) {
+      issues.push(`${path}.notes[${n}]: tuplets can't be nested`);
+      return;
+    }
+    checkNote(note, `${path}.notes[${n}]`, issues);
+  });
+}
+
+function checkNote(note, path, issues) {
+  if (!isObject(note)) {
+    issues.push(`${path}: expected a note, got ${describe(note)}`);
+    return;
+  }
+  checkFields(note, NOTE_FIELDS, path, issues);
+  if (!NOTE_VALUES[note.type]) {
+    issues.push(`${path}.type: unknown note value ${describe(note.type)} (expected one of ${Object.keys(NOTE_VALUES).join(', ')})`);
+  }
+  ['rest', 'dotted', 'tieToNext'].forEach(flag => {
+    if (note[flag] !== undefined && typeof note[flag] !== 'boolean') {
+      issues.push(`${path}.${flag}: expected true or false, got ${describe(note[flag])}`);
+    }
+  });
+}
+
+// Unknown fields are usually typos (timesignature, tie), so they are errors
+function checkFields(object, allowed, path, issues) {
+  Object.keys(object)
+    .filter(field => !allowed.includes(field))
+    .forEach(field => issues.push(`${path ? `${path}.` : ''}${field}: unknown field (expected ${allowed.join(', ')})`));
+}
+
+function isObject(value) {
+  return !!value && typeof value === 'object' && !Array.isArray(value);
+}
+
+function describe(value) {
+  if (value === undefined) return 'nothing';
+  if (typeof value === 'string') return `"${value}"`;
+  if (Array.isArray(value)) return value.length === 0 ? 'an empty list' : 'a list';
+  if (isObject(value)) return 'an object';
+  return String(value);
+}
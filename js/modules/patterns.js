@@ -21,7 +21,11 @@ export const SIXTEENTH_REST_SVG = `
   <path d="M8,6 L8,22" stroke="black" stroke-width="1.5"/>
 </svg>`;
 
-// All rhythm patterns organized by difficulty level
+// All rhythm patterns organized by difficulty level.
+// Patterns are in 4/4 unless they set timeSignature (see TIME_SIGNATURES).
+// A beat may hold a tuplet group { tuplet: { num, inSpaceOf }, notes: [...] }
+// whose notes share the time of inSpaceOf notes of their written value.
+// tieToNext ties a note to the next one: it is played once and held through.
 export const patterns = [
   // BEGINNER PATTERNS - Simple, clear patterns that work well with VexFlow
   
@@ -222,6 +226,46 @@ export const patterns = [
     ]
   },
 
+  // Pattern 16: Waltz - three quarter notes in 3/4
+  {
+    level: "beginner",
+    timeSignature: "3/4",
+    bars: [
+      [
+        [{ type: "quarter", rest: false }],  // Beat 1
+        [{ type: "quarter", rest: false }],  // Beat 2
+        [{ type: "quarter", rest: false }]   // Beat 3
+      ]
+    ]
+  },
+  
+  // Pattern 17: Half note, quarter note in 3/4
+  {
+    level: "beginner",
+    timeSignature: "3/4",
+    bars: [
+      [
+        [{ type: "half", rest: false }],     // Beat 1-2 (half note)
+        [{ type: "quarter", rest: false }]   // Beat 3
+      ]
+    ]
+  },
+  
+  // Pattern 18: March - quarter note, two eighth notes in 2/4
+  {
+    level: "beginner",
+    timeSignature: "2/4",
+    bars: [
+      [
+        [{ type: "quarter", rest: false }],  // Beat 1
+        [                                    // Beat 2
+          { type: "eighth", rest: false },
+          { type: "eighth", rest: false }
+        ]
+      ]
+    ]
+  },
+  
   // INTERMEDIATE PATTERNS
   {
     level: "intermediate",
@@ -372,6 +416,160 @@ export const patterns = [
       ]
     ]
   },
+  {
+    level: "intermediate",
+    timeSignature: "6/8",
+    bars: [
+      [
+        [{ type: "quarter", rest: false, dotted: true }],  // Beat 1 (dotted quarter)
+        [                                                  // Beat 2
+          { type: "eighth", rest: false },
+          { type: "eighth", rest: false },
+          { type: "eighth", rest: false }
+        ]
+      ]
+    ]
+  },
+  {
+    level: "intermediate",
+    timeSignature: "6/8",
+    bars: [
+      [
+        [                                                  // Beat 1
+          { type: "quarter", rest: false },
+          { type: "eighth", rest: false }
+        ],
+        [                                                  // Beat 2
+          { type: "eighth", rest: false },
+          { type: "eighth", rest: true },
+          { type: "eighth", rest: false }
+        ]
+      ]
+    ]
+  },
+  {
+    level: "intermediate",
+    timeSignature: "5/4",
+    bars: [
+      [
+        [{ type: "quarter", rest: false }],          // Beat 1
+        [                                            // Beat 2
+          { type: "eighth", rest: false },
+          { type: "eighth", rest: false }
+        ],
+        [{ type: "quarter", rest: false }],          // Beat 3
+        [{ type: "quarter", rest: false }],          // Beat 4
+        [{ type: "quarter", rest: true }]            // Beat 5
+      ]
+    ]
+  },
+  {
+    level: "intermediate",
+    bars: [
+      [
+        [{ type: "quarter", rest: false }],          // Beat 1
+        [{                                           // Beat 2 (triplet eighths)
+          tuplet: { num: 3, inSpaceOf: 2 },
+          notes: [
+            { type: "eighth", rest: false },
+            { type: "eighth", rest: false },
+            { type: "eighth", rest: false }
+          ]
+        }],
+        [{ type: "quarter", rest: false }],          // Beat 3
+        [{ type: "quarter", rest: true }]            // Beat 4
+      ]
+    ]
+  },
+  {
+    level: "intermediate",
+    bars: [
+      [
+        [{                                           // Beat 1 (triplet eighths)
+          tuplet: { num: 3, inSpaceOf: 2 },
+          notes: [
+            { type: "eighth", rest: false },
+            { type: "eighth", rest: false },
+            { type: "eighth", rest: false }
+          ]
+        }],
+        [                                            // Beat 2
+          { type: "eighth", rest: false },
+          { type: "eighth", rest: false }
+        ],
+        [{                                           // Beat 3 (triplet, middle rest)
+          tuplet: { num: 3, inSpaceOf: 2 },
+          notes: [
+            { type: "eighth", rest: false },
+            { type: "eighth", rest: true },
+            { type: "eighth", rest: false }
+          ]
+        }],
+        [{ type: "quarter", rest: false }]           // Beat 4
+      ]
+    ]
+  },
+  {
+    level: "intermediate",
+    bars: [
+      [
+        [                                            // Beat 1
+          { type: "eighth", rest: false },
+          { type: "eighth", rest: false, tieToNext: true }
+        ],
+        [                                            // Beat 2 (held from the "&" of 1)
+          { type: "eighth", rest: false },
+          { type: "eighth", rest: false }
+        ],
+        [{ type: "quarter", rest: false }],          // Beat 3
+        [{ type: "quarter", rest: false }]           // Beat 4
+      ]
+    ]
+  },
+  {
+    level: "intermediate",
+    bars: [
+      [
+        [{ type: "quarter", rest: false }],          // Beat 1
+        [                                            // Beat 2
+          { type: "eighth", rest: false },
+          { type: "eighth", rest: false, tieToNext: true }
+        ],
+        [                                            // Beat 3 (held from the "&" of 2)
+          { type: "eighth", rest: false },
+          { type: "eighth", rest: false, tieToNext: true }
+        ],
+        [{ type: "quarter", rest: false }]           // Beat 4 (held from the "&" of 3)
+      ]
+    ]
+  },
+  {
+    level: "intermediate",
+    bars: [                                        // Four-bar phrase
+      [
+        [{ type: "quarter", rest: false }],
+        [{ type: "quarter", rest: false }],
+        [{ type: "eighth", rest: false }, { type: "eighth", rest: false }],
+        [{ type: "quarter", rest: false }]
+      ],
+      [
+        [{ type: "eighth", rest: false }, { type: "eighth", rest: false }],
+        [{ type: "quarter", rest: false }],
+        [{ type: "half", rest: false }]
+      ],
+      [
+        [{ type: "quarter", rest: false }],
+        [{ type: "eighth", rest: false }, { type: "eighth", rest: false }],
+        [{ type: "quarter", rest: true }],
+        [{ type: "eighth", rest: false }, { type: "eighth", rest: false }]
+      ],
+      [
+        [{ type: "quarter", rest: false }],
+        [{ type: "quarter", rest: false }],
+        [{ type: "half", rest: true }]
+      ]
+    ]
+  },
 
  // ADVANCED PATTERNS
 {
@@ -516,116 +714,471 @@ export const patterns = [
         [{ type: "quarter", rest: true }]            // Beat 4
       ]
     ]
+  },
+  {
+    level: "advanced",
+    bars: [
+      [
+        [{ type: "quarter", rest: false }],          // Beat 1
+        [{ type: "quarter", rest: false }],          // Beat 2
+        [{                                           // Beats 3-4 (quarter-note triplet)
+          tuplet: { num: 3, inSpaceOf: 2 },
+          notes: [
+            { type: "quarter", rest: false },
+            { type: "quarter", rest: false },
+            { type: "quarter", rest: false }
+          ]
+        }]
+      ],
+      [
+        [{                                           // Beat 1 (quarter + eighth triplet)
+          tuplet: { num: 3, inSpaceOf: 2 },
+          notes: [
+            { type: "quarter", rest: false },
+            { type: "eighth", rest: false }
+          ]
+        }],
+        [{                                           // Beat 2 (sixteenth quintuplet)
+          tuplet: { num: 5, inSpaceOf: 4 },
+          notes: [
+            { type: "sixteenth", rest: false },
+            { type: "sixteenth", rest: false },
+            { type: "sixteenth", rest: false },
+            { type: "sixteenth", rest: false },
+            { type: "sixteenth", rest: false }
+          ]
+        }],
+        [{ type: "half", rest: false }]              // Beats 3-4
+      ]
+    ]
+  },
+  {
+    level: "advanced",
+    bars: [
+      [
+        [{ type: "quarter", rest: false }],          // Beat 1
+        [{ type: "quarter", rest: false }],          // Beat 2
+        [{ type: "quarter", rest: false }],          // Beat 3
+        [                                            // Beat 4
+          { type: "eighth", rest: false },
+          { type: "eighth", rest: false, tieToNext: true }
+        ]
+      ],
+      [
+        [{ type: "quarter", rest: false }],          // Beat 1 (tied over the barline)
+        [                                            // Beat 2
+          { type: "sixteenth", rest: false },
+          { type: "eighth", rest: false },
+          { type: "sixteenth", rest: false, tieToNext: true }
+        ],
+        [                                            // Beat 3 (held from the last sixteenth)
+          { type: "eighth", rest: false },
+          { type: "eighth", rest: false }
+        ],
+        [{ type: "quarter", rest: true }]            // Beat 4
+      ]
+    ]
+  },
+  {
+    level: "advanced",
+    timeSignature: "7/8",
+    bars: [
+      [
+        [                                            // Group 1 (2 eighths)
+          { type: "eighth", rest: false },
+          { type: "eighth", rest: false }
+        ],
+        [                                            // Group 2 (2 eighths)
+          { type: "eighth", rest: false },
+          { type: "eighth", rest: false }
+        ],
+        [                                            // Group 3 (3 eighths)
+          { type: "eighth", rest: false },
+          { type: "eighth", rest: true },
+          { type: "eighth", rest: false }
+        ]
+      ]
+    ]
+  },
+  {
+    level: "advanced",
+    timeSignature: "12/8",
+    bars: [
+      [
+        [{ type: "quarter", rest: false, dotted: true }],  // Beat 1
+        [                                                  // Beat 2
+          { type: "eighth", rest: false },
+          { type: "eighth", rest: false },
+          { type: "eighth", rest: false }
+        ],
+        [                                                  // Beat 3
+          { type: "quarter", rest: false },
+          { type: "eighth", rest: false }
+        ],
+        [                                                  // Beat 4
+          { type: "sixteenth", rest: false },
+          { type: "sixteenth", rest: false },
+          { type: "eighth", rest: false },
+          { type: "eighth", rest: true }
+        ]
+      ]
+    ]
+  }
+];
+
+// Note lengths in quarter-note beats
+export const NOTE_VALUES = {
+  whole: 4,
+  half: 2,
+  quarter: 1,
+  eighth: 0.5,
+  sixteenth: 0.25
+};
+
+// Supported time signatures. A "beat" is what the metronome clicks and what
+// the game groups notes by: beatLength is its length in quarter notes, so
+// compound meters (6/8, 12/8) count dotted quarters and 7/8 counts eighths.
+// beatGroups splits the bar into accent groups (in beats) for uneven meters.
+export const DEFAULT_TIME_SIGNATURE = '4/4';
+export const TIME_SIGNATURES = {
+  '4/4': { beatsPerBar: 4, beatLength: 1 },
+  '3/4': { beatsPerBar: 3, beatLength: 1 },
+  '2/4': { beatsPerBar: 2, beatLength: 1 },
+  '5/4': { beatsPerBar: 5, beatLength: 1, beatGroups: [3, 2] },
+  '6/8': { beatsPerBar: 2, beatLength: 1.5, compound: true },
+  '7/8': { beatsPerBar: 7, beatLength: 0.5, beatGroups: [2, 2, 3] },
+  '12/8': { beatsPerBar: 4, beatLength: 1.5, compound: true }
+};
+
+// Describe a time signature: { timeSignature, numerator, denominator,
+// beatsPerBar, beatLength, barLength, compound, beatGroups }.
+// Lengths are in quarter-note beats. Unknown signatures fall back to 4/4.
+export function getMeter(timeSignature = DEFAULT_TIME_SIGNATURE) {
+  let meter = TIME_SIGNATURES[timeSignature];
+  if (!meter) {
+    console.warn('⚠️ Unsupported time signature, using 4/4:', timeSignature);
+    timeSignature = DEFAULT_TIME_SIGNATURE;
+    meter = TIME_SIGNATURES[timeSignature];
   }
+  
+  const [numerator, denominator] = timeSignature.split('/').map(Number);
+  return {
+    timeSignature,
+    numerator,
+    denominator,
+    beatsPerBar: meter.beatsPerBar,
+    beatLength: meter.beatLength,
+    barLength: meter.beatsPerBar * meter.beatLength,
+    compound: !!meter.compound,
+    beatGroups: meter.beatGroups ? [...meter.beatGroups] : null
+  };
+}
+
+// Get the length of a note or rest in quarter-note beats (dots and tuplets
+// included, so a triplet eighth lasts 1/3)
+export function getNoteDuration(note) {
+  let duration = NOTE_VALUES[note.type] || 0;
+  if (note.dotted) duration *= 1.5;
+  if (note.tuplet) duration *= getTupletRatio(note.tuplet);
+  return duration;
+}
+
+// Tuplets: num notes played in the space of inSpaceOf notes of the same value
+// (3 in the space of 2 for triplets). inSpaceOf defaults to the usual value:
+// the largest power of two below num (2 for triplets, 4 for quintuplets).
+export function getTupletInSpaceOf(tuplet) {
+  if (tuplet.inSpaceOf) return tuplet.inSpaceOf;
+  return Math.pow(2, Math.floor(Math.log2(Math.max(2, tuplet.num - 1))));
+}
+
+// Factor a tuplet applies to its notes' written lengths
+export function getTupletRatio(tuplet) {
+  if (!tuplet || !tuplet.num) return 1;
+  return getTupletInSpaceOf(tuplet) / tuplet.num;
+}
+
+// Lay a flattened pattern out in time. Returns one entry per note or rest
+// (barlines are skipped) with its position in quarter-note beats from the
+// start of the pattern: { index, element, start, duration, tiedFromPrevious,
+// holdDuration }. index matches the note's position in the rendered notation.
+// A note tied from the previous one (tieToNext) is not a new onset, it only
+// lengthens the sound: holdDuration runs from the note's start to the end of
+// its tie chain.
+export function getPatternTimeline(flatPattern) {
+  const timeline = [];
+  let position = 0;
+  
+  flatPattern.forEach(element => {
+    if (element.isBarline) return;
+    
+    const duration = getNoteDuration(element);
+    const previous = timeline[timeline.length - 1];
+    const tiedFromPrevious = !!(previous && previous.element.tieToNext && !previous.element.rest && !element.rest);
+    timeline.push({ index: timeline.length, element, start: position, duration, tiedFromPrevious, holdDuration: duration });
+    position += duration;
+    
+    // Extend the notes this one continues, back to the head of the chain
+    for (let k = timeline.length - 2; tiedFromPrevious && k >= 0; k--) {
+      timeline[k].holdDuration += duration;
+      if (!timeline[k].tiedFromPrevious) break;
+    }
+  });
+  
+  return timeline;
+}
+
+// List what a player is judged on: one entry per note onset (notes tied from
+// the previous note are merged into it) and per rest, in pattern order. Each
+// is { index, element, start, hold, beatIndex, beatNumber, offset }: start and
+// hold are in metronome beats, index is the note's position in the notation
+// and offset is where it falls inside its beat (0.5 is the "&").
+export function getPatternOnsets(flatPattern, timeSignature = DEFAULT_TIME_SIGNATURE) {
+  const { beatLength } = getMeter(timeSignature);
+  
+  return getPatternTimeline(flatPattern)
+    .filter(entry => !entry.tiedFromPrevious)
+    .map(({ index, element, start, holdDuration }) => {
+      const position = start / beatLength;
+      const beatIndex = Math.floor(position + 1e-6);
+      return {
+        index,
+        element,
+        start: position,
+        hold: holdDuration / beatLength,
+        beatIndex,
+        beatNumber: beatIndex + 1,
+        offset: Math.max(0, position - beatIndex)
+      };
+    });
+}
+
+// Number of metronome beats a flattened pattern lasts in a time signature
+export function getPatternBeatCount(flatPattern, timeSignature = DEFAULT_TIME_SIGNATURE) {
+  const timeline = getPatternTimeline(flatPattern);
+  if (timeline.length === 0) return 0;
+  
+  const last = timeline[timeline.length - 1];
+  return Math.ceil((last.start + last.duration) / getMeter(timeSignature).beatLength - 1e-6);
+}
+
+// Group a flattened pattern's notes and rests by the metronome beat they
+// start on. Each group is { beatNumber, beatIndex, start, elements, onsets,
+// holds }: beatIndex is the metronome beat (from the pattern's downbeat,
+// beatNumber counts from 1), start is the first element's onset in metronome
+// beats, onsets holds every element's onset and holds how long each one
+// sounds (in metronome beats, ties included). Notes tied from the previous
+// note are not onsets, so they are left out; beats covered by a held or tied
+// note get no group.
+export function groupPatternIntoBeats(flatPattern, timeSignature = DEFAULT_TIME_SIGNATURE) {
+  const { beatLength } = getMeter(timeSignature);
+  const groups = [];
+  
+  getPatternTimeline(flatPattern).forEach(({ element, start, tiedFromPrevious, holdDuration }) => {
+    if (tiedFromPrevious) return;
+    
+    const position = start / beatLength;
+    const hold = holdDuration / beatLength;
+    const beatIndex = Math.floor(position + 1e-6);
+    const last = groups[groups.length - 1];
+    
+    if (last && last.beatIndex === beatIndex) {
+      last.elements.push(element);
+      last.onsets.push(position);
+      last.holds.push(hold);
+    } else {
+      groups.push({ beatNumber: beatIndex + 1, beatIndex, start: position, elements: [element], onsets: [position], holds: [hold] });
+    }
+  });
+  
+  return groups;
+}
+
+// Rests used to pad a bar: whole beats, then the largest that fits
+const PADDING_RESTS = [
+  { type: "quarter", rest: true },
+  { type: "eighth", rest: true },
+  { type: "sixteenth", rest: true }
 ];
 
 // Pattern manipulation functions
-export function normalizeBar(bar) {
+export function normalizeBar(bar, timeSignature = DEFAULT_TIME_SIGNATURE) {
+  const { barLength, beatLength, compound } = getMeter(timeSignature);
   let out = [];
   let totalBeats = 0;
   let i = 0;
   
-  // Add notes up to 4 beats
-  while (i < bar.length && totalBeats < 4 - 1e-6) {
+  // Add notes up to a full bar
+  while (i < bar.length && totalBeats < barLength - 1e-6) {
     const note = bar[i];
-    let noteValue;
-    
-    // Calculate base note value
-    if (note.type === "quarter") noteValue = 1;
-    else if (note.type === "eighth") noteValue = 0.5;
-    else if (note.type === "sixteenth") noteValue = 0.25;
-    else noteValue = 0;
+    const noteValue = getNoteDuration(note);
     
-    // Apply dot if present
-    if (note.dotted) noteValue *= 1.5;
-    
-    if (totalBeats + noteValue <= 4 + 1e-6) {
+    if (totalBeats + noteValue <= barLength + 1e-6) {
       out.push(note);
       totalBeats += noteValue;
     } else {
       // Partially fitting note (rare, for advanced rhythms)
-      // For this simple system, we'll skip overflow notes entirely
+      // For this simple system, we'll skip overflow notes entirely, along
+      // with the start of a tuplet group that doesn't fit
+      for (let k = note.tuplet ? note.tuplet.index || 0 : 0; k > 0 && out.length > 0; k--) {
+        totalBeats -= getNoteDuration(out.pop());
+      }
       break;
     }
     i++;
   }
   
-  // Pad bar with rests if it's underfilled
-  while (totalBeats < 4 - 1e-6) {
-    let remaining = 4 - totalBeats;
-    if (remaining >= 1 - 1e-6) {
-      out.push({ type: "quarter", rest: true });
-      totalBeats += 1;
-    } else if (remaining >= 0.5 - 1e-6) {
-      out.push({ type: "eighth", rest: true });
-      totalBeats += 0.5;
-    } else if (remaining >= 0.25 - 1e-6) {
-      out.push({ type: "sixteenth", rest: true });
-      totalBeats += 0.25;
+  // Finish an incomplete tuplet group with rests of its last note's value
+  const last = out[out.length - 1];
+  if (last && last.tuplet && last.tuplet.size && last.tuplet.index < last.tuplet.size - 1) {
+    for (let k = last.tuplet.index + 1; k < last.tuplet.size; k++) {
+      const rest = { type: last.type, rest: true, tuplet: { ...last.tuplet, index: k } };
+      if (totalBeats + getNoteDuration(rest) > barLength + 1e-6) break;
+      out.push(rest);
+      totalBeats += getNoteDuration(rest);
+    }
+  }
+  
+  // Pad bar with rests if it's underfilled: first complete the current beat,
+  // then add one rest per beat (dotted quarter rests in compound meters)
+  while (totalBeats < barLength - 1e-6) {
+    const intoBeat = totalBeats % beatLength;
+    const toNextBeat = intoBeat < 1e-6 || beatLength - intoBeat < 1e-6 ? beatLength : beatLength - intoBeat;
+    
+    let rest;
+    if (toNextBeat === beatLength && compound) {
+      rest = { type: "quarter", rest: true, dotted: true };
     } else {
-      break;
+      rest = PADDING_RESTS.find(candidate => getNoteDuration(candidate) <= toNextBeat + 1e-6);
     }
+    if (!rest) break;
+    
+    out.push({ ...rest });
+    totalBeats += getNoteDuration(rest);
   }
   
   // Remove any accidental overfill (shouldn't happen)
-  while (totalBeats > 4 + 1e-6) {
+  while (totalBeats > barLength + 1e-6) {
     const removed = out.pop();
-    let noteValue;
-    if (removed.type === "quarter") noteValue = 1;
-    else if (removed.type === "eighth") noteValue = 0.5;
-    else if (removed.type === "sixteenth") noteValue = 0.25;
-    if (removed.dotted) noteValue *= 1.5;
-    totalBeats -= noteValue;
+    totalBeats -= getNoteDuration(removed);
   }
   
   return out;
 }
 
-export function validatePattern(pattern) {
+export function validatePattern(pattern, timeSignature = DEFAULT_TIME_SIGNATURE) {
+  const { barLength, beatLength } = getMeter(timeSignature);
   let issues = [];
-  let beatTotals = [];
-  let currentBeat = 0;
-  let currentBeatTotal = 0;
+  let barNumber = 1;
+  let position = 0; // quarter-note beats into the current bar
+  let tupletGroup = null; // The tuplet group being read, if any
   
-  // Track beat positions
   for (let i = 0; i < pattern.length; i++) {
     const note = pattern[i];
-    let duration;
     
-    if (note.type === "quarter") duration = 1;
-    else if (note.type === "eighth") duration = 0.5;
-    else if (note.type === "sixteenth") duration = 0.25;
-    if (note.dotted) duration *= 1.5;
+    // Check each bar adds up to the time signature
+    if (note.isBarline) {
+      if (tupletGroup) {
+        issues.push(`Tuplet starting at note ${tupletGroup.note} is cut off by the barline`);
+        tupletGroup = null;
+      }
+      if (Math.abs(position - barLength) > 1e-6) {
+        issues.push(`Bar ${barNumber} has ${formatBeats(position)} beats, expected ${barLength} for ${timeSignature}`);
+      }
+      barNumber++;
+      position = 0;
+      continue;
+    }
+    
+    const duration = getNoteDuration(note);
+    if (duration === 0) {
+      issues.push(`Note ${i} has unknown type "${note.type}"`);
+      continue;
+    }
     
-    currentBeatTotal += duration;
+    const start = position;
+    const end = start + duration;
+    const startsOnBeat = Math.abs(start / beatLength - Math.round(start / beatLength)) < 1e-6;
+    position = end;
     
-    // Check if we've completed a beat
-    if (currentBeatTotal >= 1) {
-      beatTotals.push(currentBeatTotal);
-      currentBeat++;
-      currentBeatTotal = 0;
+    // Check tuplet groups are complete and split into equal parts
+    if (tupletGroup && (!note.tuplet || note.tuplet.index === 0 || note.tuplet.num !== tupletGroup.num)) {
+      issues.push(`Tuplet starting at note ${tupletGroup.note} is incomplete`);
+      tupletGroup = null;
+    }
+    if (note.tuplet) {
+      if (!note.tuplet.num || note.tuplet.num < 2) {
+        issues.push(`Note ${i} has an invalid tuplet`);
+        continue;
+      }
+      if (!tupletGroup) {
+        // A group may start off the beat only if it ends by the next one
+        tupletGroup = { start, offBeat: !startsOnBeat, index: 0, written: 0, num: note.tuplet.num, note: i };
+      }
+      tupletGroup.written += duration / getTupletRatio(note.tuplet);
+      tupletGroup.index++;
+      
+      const size = note.tuplet.size || tupletGroup.num;
+      if (tupletGroup.index >= size) {
+        const unit = tupletGroup.written / tupletGroup.num;
+        if (!Object.values(NOTE_VALUES).some(value => Math.abs(value - unit) < 1e-6 || Math.abs(value * 1.5 - unit) < 1e-6)) {
+          issues.push(`Tuplet starting at note ${tupletGroup.note} doesn't divide into ${tupletGroup.num} equal notes`);
+        }
+        const nextBeat = (Math.floor(tupletGroup.start / beatLength + 1e-6) + 1) * beatLength;
+        if (tupletGroup.offBeat && end > nextBeat + 1e-6) {
+          issues.push(`Tuplet starting at note ${tupletGroup.note} crosses beat boundary`);
+        }
+        tupletGroup = null;
+      }
+    }
+    
+    // Check ties lead from a note to a note
+    if (note.tieToNext) {
+      const next = pattern[i + 1] && pattern[i + 1].isBarline ? pattern[i + 2] : pattern[i + 1];
+      if (note.rest) {
+        issues.push(`Rest ${i} can't be tied`);
+      } else if (!next) {
+        issues.push(`Note ${i} is tied to nothing`);
+      } else if (next.rest) {
+        issues.push(`Note ${i} is tied to a rest`);
+      }
     }
     
     // Check for notation issues
-    if (!note.rest && note.type === "eighth" && i < pattern.length - 1) {
+    if (!note.rest && !note.tuplet && note.type === "eighth" && !note.dotted && beatLength === 1 && startsOnBeat && i < pattern.length - 1) {
       const next = pattern[i + 1];
-      // Check for eighth + eighth that should be quarter
-      if (next && next.type === "eighth" && !next.rest && !note.tieToNext) {
+      // Check for eighth tied to eighth (filling one beat) that should be quarter
+      if (note.tieToNext && next && next.type === "eighth" && !next.dotted && !next.rest) {
         issues.push(`Notes ${i} and ${i+1} could be combined into a quarter note`);
       }
     }
     
-    // Check for notes crossing beat boundaries without ties
-    if (!note.rest && currentBeatTotal > 0 && currentBeatTotal < 1 && i < pattern.length - 1) {
-      if (!note.tieToNext) {
-        issues.push(`Note ${i} crosses beat boundary without a tie`);
-      }
+    // Check for notes crossing beat boundaries without ties: an off-beat note
+    // should not sound past the next beat (tuplet groups are checked whole)
+    const nextBeat = (Math.floor(start / beatLength + 1e-6) + 1) * beatLength;
+    if (!note.rest && !note.tuplet && !startsOnBeat && end > nextBeat + 1e-6 && !note.tieToNext) {
+      issues.push(`Note ${i} crosses beat boundary without a tie`);
+    }
+    
+    if (end > barLength + 1e-6) {
+      issues.push(`Note ${i} runs past the end of bar ${barNumber}`);
     }
   }
   
+  if (tupletGroup) {
+    issues.push(`Tuplet starting at note ${tupletGroup.note} is incomplete`);
+  }
+  if (pattern.length > 0 && Math.abs(position - barLength) > 1e-6) {
+    issues.push(`Bar ${barNumber} has ${formatBeats(position)} beats, expected ${barLength} for ${timeSignature}`);
+  }
+  
   return { valid: issues.length === 0, issues };
 }
 
+// Print a length in beats without float noise from tuplets (3.0000000004)
+function formatBeats(beats) {
+  return Math.round(beats * 1000) / 1000;
+}
+
 export function flattenPattern(patternArr) {
   let out = [];
   
@@ -639,13 +1192,13 @@ export function flattenPattern(patternArr) {
       
       // Handle both old nested format and new simplified format
       if (Array.isArray(beat)) {
-        // Old format: beat is an array of notes
+        // Old format: beat is an array of notes (or tuplet groups)
         for (let k = 0; k < beat.length; k++) {
-          out.push(beat[k]);
+          out.push(...flattenTuplet(beat[k]));
         }
       } else {
-        // New simplified format: beat is a single note
-        out.push(beat);
+        // New simplified format: beat is a single note (or tuplet group)
+        out.push(...flattenTuplet(beat));
       }
     }
     
@@ -658,6 +1211,20 @@ export function flattenPattern(patternArr) {
   return out;
 }
 
+// Expand a tuplet group { tuplet: { num, inSpaceOf }, notes: [...] } into its
+// notes, each tagged with tuplet: { num, inSpaceOf, index, size } so the
+// group survives flattening. Plain notes pass through.
+function flattenTuplet(entry) {
+  if (!entry.tuplet || !Array.isArray(entry.notes)) return [entry];
+  
+  const num = entry.tuplet.num;
+  const inSpaceOf = getTupletInSpaceOf(entry.tuplet);
+  return entry.notes.map((note, index) => ({
+    ...note,
+    tuplet: { num, inSpaceOf, index, size: entry.notes.length }
+  }));
+}
+
 // Pattern selection functions
 let currentPatternIdx = 0;
 let selectedLevel = 'beginner';
@@ -679,9 +1246,73 @@ export function getSelectedLevel() {
   return selectedLevel;
 }
 
+// Patterns added while the game runs (e.g. generated ones), by source.
+// Registering a source again replaces its patterns.
+const extraPatterns = new Map();
+
+export function registerPatterns(source, list) {
+  extraPatterns.set(source, [...list]);
+}
+
+export function unregisterPatterns(source) {
+  return extraPatterns.delete(source);
+}
+
+// Returns the built-in patterns followed by every registered source's
+export function getAllPatterns() {
+  return [patterns, ...extraPatterns.values()].flat();
+}
+
 // Returns all patterns for the selected level
 export function getPatternsForLevel(level) {
-  return patterns.filter(p => p.level === level);
+  return getAllPatterns().filter(p => p.level === level);
+}
+
+// Returns the built-in library's levels in order (easiest first)
+export function getLevels() {
+  return [...new Set(patterns.map(p => p.level))];
+}
+
+// A pattern's stable id, which its history (progress, schedule) is kept
+// under: the id of a saved custom pattern, else a hash of its time signature
+// and bars - so a generated, imported or pack pattern keeps its id wherever
+// it ends up in the library, and the same rhythm always gets the same one
+const patternIds = new WeakMap();
+
+export function getPatternId(entry) {
+  if (!entry) return null;
+  if (typeof entry.id === 'string' && entry.id !== '') return entry.id;
+  if (!patternIds.has(entry)) {
+    const content = stableStringify([entry.timeSignature || DEFAULT_TIME_SIGNATURE, entry.bars]);
+    patternIds.set(entry, `pattern-${hashString(content, 0x811c9dc5)}${hashString(content, 0x01000193)}`);
+  }
+  return patternIds.get(entry);
+}
+
+// Id of the built-in pattern at this index of a level, or null
+export function getBuiltInPatternId(level, index) {
+  const entry = patterns.filter(p => p.level === level)[index];
+  return entry ? getPatternId(entry) : null;
+}
+
+// JSON with object keys sorted, so equal patterns give equal text
+function stableStringify(value) {
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().filter(key => value[key] !== undefined)
+      .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+// 32-bit FNV-1a hash of a string from a starting value, as 8 hex digits
+function hashString(text, seed) {
+  let hash = seed;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0).toString(16).padStart(8, '0');
 }
 
 // Returns the current pattern (flattened)
@@ -692,6 +1323,13 @@ export function getCurrentPattern() {
   return flattenPattern(patternsForLevel[currentPatternIdx % patternsForLevel.length].bars);
 }
 
+// Returns the current pattern's time signature
+export function getCurrentTimeSignature() {
+  const patternsForLevel = getPatternsForLevel(selectedLevel);
+  if (patternsForLevel.length === 0) return DEFAULT_TIME_SIGNATURE;
+  return patternsForLevel[currentPatternIdx % patternsForLevel.length].timeSignature || DEFAULT_TIME_SIGNATURE;
+}
+
 // Move to next pattern in current level
 export function nextPattern() {
   const patternsForLevel = getPatternsForLevel(selectedLevel);
@@ -703,10 +1341,13 @@ export function nextPattern() {
 // Get pattern info for debugging
 export function getPatternInfo() {
   const patternsForLevel = getPatternsForLevel(selectedLevel);
+  const entry = patternsForLevel.length > 0 ? patternsForLevel[currentPatternIdx % patternsForLevel.length] : null;
   return {
     level: selectedLevel,
     currentIndex: currentPatternIdx,
+    patternId: getPatternId(entry),
     totalInLevel: patternsForLevel.length,
+    timeSignature: getCurrentTimeSignature(),
     currentPattern: getCurrentPattern()
   };
 }
\ No newline at end of file
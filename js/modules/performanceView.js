@@ -0,0 +1,192 @@
+// Performance View Module - Draws the summary of a finished round
+//
+// Shows how every note and rest of a round was judged, with the round's
+// totals from summarizeResults() (rhythmEngine.js) and a practice tip. The
+// judging itself is done by the rhythm engine; this only renders it.
+
+import { summarizeResults } from './rhythmEngine.js';
+
+// Show the note-by-note summary of a round below the staff. beatResults
+// are the results of analyzeTaps() (rhythmEngine.js).
+export function showDetailedSummary(beatResults) {
+  // Find or create summary container
+  let summaryContainer = document.getElementById('performanceSummary');
+  
+  if (!summaryContainer) {
+    summaryContainer = document.createElement('div');
+    summaryContainer.id = 'performanceSummary';
+    summaryContainer.style.marginTop = '20px';
+    summaryContainer.style.padding = '15px';
+    summaryContainer.style.backgroundColor = '#f8f9fa';
+    summaryContainer.style.border = '1px solid #dee2e6';
+    summaryContainer.style.borderRadius = '8px';
+    summaryContainer.style.fontFamily = 'Arial, sans-serif';
+    summaryContainer.style.fontSize = '14px';
+    
+    // Add below the notation display
+    const notationDisplay = document.getElementById('notationDisplay');
+    if (notationDisplay) {
+      notationDisplay.parentNode.insertBefore(summaryContainer, notationDisplay.nextSibling);
+    }
+  }
+  
+  if (beatResults.length === 0) {
+    summaryContainer.innerHTML = '<h4>No Performance Data</h4><p>No taps were recorded during the pattern.</p>';
+    return;
+  }
+  
+  // Create summary HTML
+  let summaryHTML = '<h4>🎯 Note-by-Note Performance</h4>';
+  summaryHTML += '<div style="display: flex; flex-wrap: wrap; gap: 8px; margin-bottom: 10px;">';
+  
+  beatResults.forEach(beat => {
+    let color, symbol, description;
+    
+    // Handle different results with proper colors
+    switch (beat.result) {
+      case 'perfect':
+        color = '#28a745'; // Green
+        symbol = '🌟';
+        description = `Perfect! (${beat.timing}% timing, ${beat.durationScore}% duration)`;
+        break;
+      case 'good':
+        color = '#17a2b8'; // Blue
+        symbol = '�';
+        description = `Good! (${beat.timing}% timing, ${beat.durationScore}% duration)`;
+        break;
+      case 'close':
+        color = '#ffc107'; // Yellow
+        symbol = '⚠️';
+        description = `Close (${beat.timing}% timing, ${beat.durationScore}% duration)`;
+        break;
+      case 'miss':
+        color = '#dc3545'; // Red
+        symbol = '❌';
+        description = 'Missed';
+        break;
+      default:
+        color = '#6c757d'; // Gray
+        symbol = '❓';
+        description = 'Unknown';
+        break;
+    }
+    
+    // Override for rest beats
+    if (beat.type === 'rest') {
+      color = '#17a2b8';
+      symbol = '🔇';
+      description = beat.result === 'perfect' ? 'Rest (correct)' : 'Rest (tapped incorrectly)';
+    }
+    
+    // Create detailed beat display with timing and duration info
+    const timingDisplay = beat.timing !== undefined ? `${beat.timing}%` : 'N/A';
+    const durationDisplay = beat.durationScore !== undefined ? `${beat.durationScore}%` : 'N/A';
+    
+    summaryHTML += `
+      <div style="
+        display: inline-flex;
+        flex-direction: column;
+        align-items: center;
+        padding: 8px 10px;
+        background: ${color}20;
+        border: 1px solid ${color};
+        border-radius: 6px;
+        color: ${color};
+        font-weight: bold;
+        font-size: 12px;
+        min-width: 120px;
+        margin-bottom: 5px;
+      " title="${description}">
+        <div style="display: flex; align-items: center; margin-bottom: 4px;">
+          <span style="margin-right: 6px;">${symbol}</span>
+          <span>${beat.count ? `${beat.isRest ? '𝄽' : '♪'} ${beat.count}` : `Beat ${beat.beat}`}</span>
+          <span style="font-size: 10px; margin-left: 4px;">${beat.result}</span>
+        </div>
+        ${beat.type !== 'rest' ? `
+          <div style="font-size: 10px; color: ${color}; opacity: 0.8;">
+            <span style="margin-right: 8px;">T: ${timingDisplay}</span>
+            <span>D: ${durationDisplay}</span>
+          </div>
+        ` : ''}
+      </div>
+    `;
+  });
+  
+  summaryHTML += '</div>';
+  
+  // Totals over the notes and rests (see summarizeResults)
+  const {
+    total: totalBeats,
+    perfect: perfectBeats,
+    good: goodBeats,
+    close: closeBeats,
+    missedNotes: missedNoteBeats,
+    missedRests: missedRestBeats,
+    accuracy: beatAccuracy,
+    timing: avgTiming,
+    duration: avgDuration,
+    score: overallScore
+  } = summarizeResults(beatResults);
+  
+  summaryHTML += `
+    <div style="margin-top: 15px; padding: 10px; background: #f8f9fa; border-radius: 5px;">
+      <h5 style="margin: 0 0 10px 0; color: #333;">📊 Performance Summary</h5>
+      <div style="display: grid; grid-template-columns: repeat(auto-fit, minmax(200px, 1fr)); gap: 10px; font-size: 13px;">
+        <div>
+          <strong>Note Accuracy:</strong>
+          <span style="color: #28a745; margin-left: 5px;">✅ ${perfectBeats}/${totalBeats} perfect (${beatAccuracy}%)</span>
+        </div>
+        <div>
+          <strong>Timing Precision:</strong>
+          <span style="color: #17a2b8; margin-left: 5px;">⏱️ ${avgTiming}% average</span>
+        </div>
+        <div>
+          <strong>Duration Accuracy:</strong>
+          <span style="color: #6f42c1; margin-left: 5px;">⏳ ${avgDuration}% average</span>
+        </div>
+        <div>
+          <strong>Overall Score:</strong>
+          <span style="color: #fd7e14; margin-left: 5px; font-weight: bold;">🎯 ${overallScore}/100</span>
+        </div>
+      </div>
+      ${goodBeats > 0 || closeBeats > 0 || missedNoteBeats > 0 || missedRestBeats > 0 ? `
+        <div style="margin-top: 10px; font-size: 12px; color: #666;">
+          <strong>Breakdown:</strong>
+          <span style="margin-left: 10px;">Perfect: ${perfectBeats}</span>
+          ${goodBeats > 0 ? `<span style="margin-left: 10px;">Good: ${goodBeats}</span>` : ''}
+          ${closeBeats > 0 ? `<span style="margin-left: 10px;">Close: ${closeBeats}</span>` : ''}
+          ${missedNoteBeats > 0 ? `<span style="margin-left: 10px;">Missed Notes: ${missedNoteBeats}</span>` : ''}
+          ${missedRestBeats > 0 ? `<span style="margin-left: 10px;">Missed Rests: ${missedRestBeats}</span>` : ''}
+        </div>
+      ` : ''}
+    </div>
+  `;
+  
+  // Add tips based on performance
+  let tip = '';
+  
+  if (beatAccuracy >= 90) {
+    tip = '🌟 Excellent! Perfect rhythm with all beats correctly played!';
+  } else if (beatAccuracy >= 75) {
+    tip = '🎵 Good job! Focus on matching the rhythm pattern correctly.';
+  } else if (beatAccuracy >= 50) {
+    tip = '👍 Keep practicing! Listen closely to the pattern and count the notes in each beat.';
+  } else {
+    tip = '💪 Don\'t give up! Start with simpler patterns and focus on one beat at a time.';
+  }
+  
+  summaryHTML += `
+    <div style="margin-top: 15px; padding: 10px; background: #e7f3ff; border-left: 4px solid #007bff; font-style: italic;">
+      <strong>💡 Tip:</strong> ${tip}
+      <br><br>
+      <strong>🎼 Remember:</strong> The metronome ticks on every beat. 
+      Tap on notes (♪) and stay silent on rests (𝄽). 
+      Both are equally important for good rhythm!
+    </div>
+  `;
+  
+  summaryContainer.innerHTML = summaryHTML;
+  
+  // Scroll to summary
+  summaryContainer.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+}
@@ -0,0 +1,267 @@
+// Profiles Module - Named players with their own settings, calibration and history
+//
+// Each profile keeps the player's settings (tempo, level, metronome sound and
+// grid), their latency calibration and, in a separate store, the complete
+// history of games they played - every note's result plus the replay.
+// Storage is local (see ProfileStorage.js). Records carry the schema version
+// they were written with and are migrated when an older one is read, so data
+// from earlier versions of the game survives upgrades.
+
+import { openProfileStorage, createRecordId, STORAGE_SCHEMA_VERSION } from '../utils/ProfileStorage.js';
+import { globalClock } from '../utils/Clock.js';
+import { getBuiltInPatternId } from './patterns.js';
+
+export const DEFAULT_PROFILE_NAME = 'Player 1';
+
+// Settings a new profile starts with (null = keep whatever the game has)
+export const DEFAULT_PROFILE_SETTINGS = {
+  bpm: null,
+  level: null,
+  metronome: null, // { sound, volumes } - see getMetronomeSettings()
+  subdivision: null,
+  accents: null,
+  patternOrder: null // 'sequential' or 'adaptive' - see PATTERN_ORDERS
+};
+
+// Record migrations, by the schema version they upgrade to. Each takes a
+// record of the previous version and returns it in the new shape; never edit
+// an existing step. Versions that didn't change a record's shape (2 only
+// added the custom pattern store) have no step.
+const PROFILE_MIGRATIONS = {
+  1: profile => ({
+    name: DEFAULT_PROFILE_NAME,
+    createdAt: new Date(0).toISOString(),
+    latency: null,
+    ...profile,
+    settings: { ...DEFAULT_PROFILE_SETTINGS, ...profile.settings }
+  })
+};
+const RESULT_MIGRATIONS = {
+  1: result => ({ results: [], replay: null, ...result }),
+  // Games were only known by level and index, which is stable for the
+  // built-in library alone; other games stay without a pattern id
+  3: result => ({
+    ...result,
+    patternId: Number.isInteger(result.patternIndex) ? getBuiltInPatternId(result.level, result.patternIndex) : null
+  })
+};
+
+let storage = null;
+let profiles = [];
+let activeProfile = null;
+let profileListeners = new Set();
+
+// Open storage and load the profiles, creating the first one if there are
+// none. Resolves with the active profile.
+export function initProfiles() {
+  return openProfileStorage()
+    .then(backend => {
+      storage = backend;
+      return Promise.all([storage.getAll('profiles'), storage.get('meta', 'activeProfile')]);
+    })
+    .then(([storedProfiles, active]) => {
+      profiles = storedProfiles.map(profile => migrateRecord(profile, PROFILE_MIGRATIONS, 'profile'));
+      
+      // Write back anything that was migrated
+      const upgraded = profiles.filter((profile, i) => profile !== storedProfiles[i]);
+      return Promise.all(upgraded.map(profile => storage.put('profiles', profile))).then(() => active);
+    })
+    .then(active => {
+      const profile = profiles.find(p => active && p.id === active.profileId);
+      if (profile) return setActive(profile);
+      if (profiles.length > 0) return setActive(oldestProfile());
+      return createProfile(DEFAULT_PROFILE_NAME);
+    })
+    .catch(error => {
+      console.error('❌ Could not load player profiles:', error);
+      return null;
+    });
+}
+
+// The player currently playing, or null before initProfiles() has finished
+export function getActiveProfile() {
+  return activeProfile;
+}
+
+// Every profile, oldest first
+export function listProfiles() {
+  return [...profiles].sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+}
+
+// Which backend and schema the profiles are stored with
+export function getProfileStorageInfo() {
+  return { backend: storage ? storage.name : null, schemaVersion: STORAGE_SCHEMA_VERSION };
+}
+
+// Call listener(profile) whenever the active profile changes
+export function onProfileChange(listener) {
+  profileListeners.add(listener);
+  return () => profileListeners.delete(listener);
+}
+
+// Create a profile and make it the active one
+export function createProfile(name) {
+  const trimmed = String(name || '').trim();
+  if (!storage || !trimmed) {
+    console.warn('⚠️ A profile needs a name');
+    return Promise.resolve(null);
+  }
+  
+  const now = new Date(globalClock.wallTime()).toISOString();
+  const profile = {
+    id: createRecordId(),
+    schemaVersion: STORAGE_SCHEMA_VERSION,
+    name: trimmed,
+    createdAt: now,
+    updatedAt: now,
+    settings: { ...DEFAULT_PROFILE_SETTINGS },
+    latency: null
+  };
+  
+  return storage.put('profiles', profile)
+    .then(() => {
+      profiles.push(profile);
+      console.log(`👤 Created profile "${profile.name}"`);
+      return setActive(profile);
+    })
+    .catch(error => {
+      console.error('❌ Could not create profile:', error);
+      return null;
+    });
+}
+
+// Switch to another profile
+export function switchProfile(id) {
+  const profile = profiles.find(p => p.id === id);
+  if (!profile) {
+    console.warn('⚠️ No profile with id', id);
+    return Promise.resolve(null);
+  }
+  return setActive(profile);
+}
+
+// Delete a profile and its history. The last profile can't be deleted.
+export function deleteProfile(id) {
+  const profile = profiles.find(p => p.id === id);
+  if (!profile || profiles.length <= 1) {
+    console.warn('⚠️ Cannot delete this profile');
+    return Promise.resolve(false);
+  }
+  
+  return storage.getAllByIndex('results', 'profileId', id)
+    .then(results => Promise.all(results.map(result => storage.delete('results', result.id))))
+    .then(() => storage.delete('profiles', id))
+    .then(() => {
+      profiles = profiles.filter(p => p !== profile);
+      console.log(`🗑️ Deleted profile "${profile.name}"`);
+      return profile === activeProfile ? setActive(oldestProfile()) : activeProfile;
+    })
+    .then(() => true)
+    .catch(error => {
+      console.error('❌ Could not delete profile:', error);
+      return false;
+    });
+}
+
+// Save changes to the active profile: { name, settings, latency }. Settings
+// are merged into the stored ones.
+export function updateActiveProfile(changes = {}) {
+  if (!activeProfile) return Promise.resolve(false);
+  
+  const profile = activeProfile;
+  if (changes.name !== undefined) profile.name = String(changes.name).trim() || profile.name;
+  if (changes.settings) profile.settings = { ...profile.settings, ...changes.settings };
+  if (changes.latency !== undefined) profile.latency = changes.latency;
+  profile.updatedAt = new Date(globalClock.wallTime()).toISOString();
+  
+  return storage.put('profiles', profile)
+    .then(() => true)
+    .catch(error => {
+      console.error('❌ Could not save profile:', error);
+      return false;
+    });
+}
+
+// Add a finished game to the active profile's history.
+// game: { analysis, replay, source: { level, patternIndex, patternId }, timeSignature, bpm }
+export function recordGameResult({ analysis, replay = null, source = null, timeSignature, bpm }) {
+  if (!activeProfile || !analysis) return Promise.resolve(null);
+  
+  const entry = {
+    id: createRecordId(),
+    schemaVersion: STORAGE_SCHEMA_VERSION,
+    profileId: activeProfile.id,
+    playedAt: new Date(globalClock.wallTime()).toISOString(),
+    level: source ? source.level : null,
+    patternIndex: source ? source.patternIndex : null,
+    patternId: source ? source.patternId : null,
+    timeSignature,
+    bpm,
+    overallResult: analysis.overallResult,
+    metrics: analysis.metrics,
+    extraTaps: analysis.extraTaps,
+    results: analysis.results.map(({ index, beat, count, type, noteType, isRest, result, timing, durationScore }) =>
+      ({ index, beat, count, type, noteType, isRest, result, timing, durationScore })),
+    replay
+  };
+  
+  return storage.put('results', entry)
+    .then(() => entry)
+    .catch(error => {
+      console.error('❌ Could not save game result:', error);
+      return null;
+    });
+}
+
+// A profile's games, oldest first (default: the active profile)
+export function getResultHistory(profileId = activeProfile ? activeProfile.id : null) {
+  if (!storage || !profileId) return Promise.resolve([]);
+  
+  return storage.getAllByIndex('results', 'profileId', profileId)
+    .then(results => results
+      .map(result => migrateRecord(result, RESULT_MIGRATIONS, 'result'))
+      .sort((a, b) => a.playedAt.localeCompare(b.playedAt)))
+    .catch(error => {
+      console.error('❌ Could not load result history:', error);
+      return [];
+    });
+}
+
+// Make a profile the active one and tell the listeners
+function setActive(profile) {
+  activeProfile = profile;
+  console.log(`👤 Active profile: ${profile.name}`);
+  
+  profileListeners.forEach(listener => {
+    try {
+      listener(profile);
+    } catch (error) {
+      console.error('❌ Profile listener failed:', error);
+    }
+  });
+  
+  return storage.put('meta', { id: 'activeProfile', profileId: profile.id })
+    .catch(error => console.warn('⚠️ Could not remember the active profile:', error))
+    .then(() => profile);
+}
+
+function oldestProfile() {
+  return listProfiles()[0];
+}
+
+// Bring a stored record up to the current schema (returns the same object if
+// it already is)
+function migrateRecord(record, migrations, kind) {
+  const version = record.schemaVersion || 0;
+  if (version > STORAGE_SCHEMA_VERSION) {
+    console.warn(`⚠️ This ${kind} was saved by a newer version of the game (schema v${version})`);
+    return record;
+  }
+  if (version === STORAGE_SCHEMA_VERSION) return record;
+  
+  let migrated = record;
+  for (let next = version + 1; next <= STORAGE_SCHEMA_VERSION; next++) {
+    migrated = { ...(migrations[next] ? migrations[next](migrated) : migrated), schemaVersion: next };
+  }
+  return migrated;
+}
@@ -0,0 +1,201 @@
+// Progress Module - Accuracy statistics over a player's result history
+//
+// Turns the games stored with a profile (see recordGameResult() in
+// profiles.js) into per-level, per-pattern, per-beat-type and per-figure
+// statistics, split into practice sessions so improvement shows over time.
+// Patterns are told apart by their pattern id (see getPatternId in
+// patterns.js), so their figures survive changes to the library.
+// A note's accuracy is its timing score (0-100, 0 when missed); a rest's is
+// 100 when left silent. No DOM here - progressView.js draws the report.
+
+// Games further apart than this start a new practice session
+export const SESSION_GAP = 30 * 60 * 1000;
+
+// A figure is flagged as consistently missed when it was missed this often...
+export const WEAK_MISS_RATE = 0.3;
+// ...over at least this many attempts, in at least this many sessions
+const WEAK_MIN_ATTEMPTS = 6;
+const WEAK_MIN_SESSIONS = 2;
+
+// Readable names for getSimpleBeatType() categories
+export const BEAT_TYPE_LABELS = {
+  'rest': 'Rests',
+  'quarter-note': 'Quarter notes',
+  'half-note': 'Half notes',
+  'dotted-quarter': 'Dotted quarters',
+  'eighth-notes': 'Eighth notes',
+  'triplet': 'Triplets',
+  'tuplet': 'Other tuplets',
+  'tied': 'Tied notes',
+  'mixed': 'Mixed figures'
+};
+
+// Build the progress report of a result history (oldest game first):
+// {
+//   games, notes, accuracy,
+//   sessions: [{ start, end, games, accuracy }],
+//   levels, patterns, beatTypes, figures: [stat],
+//   weakSpots: [stat] - figures missed consistently, most missed first
+// }
+// where each stat is { key, label, games, attempts, accuracy, missRate,
+// sessions: [accuracy or null per session], trend, weak }
+export function buildProgressReport(history, { sessionGap = SESSION_GAP } = {}) {
+  const games = [...history].sort((a, b) => a.playedAt.localeCompare(b.playedAt));
+  const sessions = splitIntoSessions(games, sessionGap);
+  
+  const overall = createStat('all', 'All games');
+  const levels = new Map();
+  const patterns = new Map();
+  const beatTypes = new Map();
+  const figures = new Map();
+  const sessionStats = sessions.map((session, i) => createStat(i, `Session ${i + 1}`));
+  
+  sessions.forEach((session, sessionIndex) => {
+    session.forEach(game => {
+      const level = game.level ?? 'unknown';
+      const patternKey = game.patternId ?? `${level}#${game.patternIndex ?? '?'}`;
+      const gameStats = [
+        overall,
+        sessionStats[sessionIndex],
+        getStat(levels, level, () => formatLevel(level)),
+        getStat(patterns, patternKey, () => formatPattern(game))
+      ];
+      
+      game.results.forEach(note => {
+        const accuracy = getNoteAccuracy(note);
+        const missed = note.result === 'miss';
+        const beatType = getStat(beatTypes, note.type, () => BEAT_TYPE_LABELS[note.type] || note.type);
+        const figure = getStat(figures, getFigureKey(note), () => formatFigure(note));
+        figure.beatType = note.type;
+        
+        [...gameStats, beatType, figure].forEach(stat => {
+          stat.games.add(game.id);
+          addAttempt(stat, sessionIndex, accuracy, missed);
+        });
+      });
+    });
+  });
+  
+  const finish = stats => [...stats.values()].map(stat => finishStat(stat, sessions.length));
+  const figureList = finish(figures);
+  figureList.forEach(stat => {
+    stat.weak = stat.missRate >= WEAK_MISS_RATE && stat.attempts >= WEAK_MIN_ATTEMPTS && stat.sessionsPlayed >= WEAK_MIN_SESSIONS;
+  });
+  
+  const beatTypeList = finish(beatTypes);
+  beatTypeList.forEach(stat => {
+    stat.weak = figureList.some(figure => figure.weak && figure.beatType === stat.key);
+  });
+  
+  const summary = finishStat(overall, sessions.length);
+  return {
+    games: games.length,
+    notes: summary.attempts,
+    accuracy: summary.accuracy,
+    sessions: sessions.map((session, i) => ({
+      start: session[0].playedAt,
+      end: session[session.length - 1].playedAt,
+      games: session.length,
+      accuracy: finishStat(sessionStats[i], sessions.length).accuracy
+    })),
+    levels: finish(levels),
+    patterns: finish(patterns).sort((a, b) => a.label.localeCompare(b.label, undefined, { numeric: true })),
+    beatTypes: beatTypeList.sort((a, b) => b.attempts - a.attempts),
+    figures: figureList.sort((a, b) => b.missRate - a.missRate),
+    weakSpots: figureList.filter(stat => stat.weak)
+  };
+}
+
+// Accuracy of one judged note or rest, 0-100
+export function getNoteAccuracy(note) {
+  if (note.result === 'miss') return 0;
+  return Number.isFinite(note.timing) ? note.timing : 0;
+}
+
+// Group games into practice sessions (gaps longer than sessionGap split them)
+function splitIntoSessions(games, sessionGap) {
+  const sessions = [];
+  let lastTime = -Infinity;
+  
+  games.forEach(game => {
+    const time = Date.parse(game.playedAt);
+    if (sessions.length === 0 || time - lastTime > sessionGap) {
+      sessions.push([]);
+    }
+    sessions[sessions.length - 1].push(game);
+    lastTime = time;
+  });
+  return sessions;
+}
+
+function createStat(key, label) {
+  return { key, label, games: new Set(), attempts: 0, total: 0, misses: 0, bySession: new Map() };
+}
+
+function getStat(stats, key, makeLabel) {
+  if (!stats.has(key)) stats.set(key, createStat(key, makeLabel()));
+  return stats.get(key);
+}
+
+function addAttempt(stat, sessionIndex, accuracy, missed) {
+  stat.attempts++;
+  stat.total += accuracy;
+  if (missed) stat.misses++;
+  
+  const session = stat.bySession.get(sessionIndex) || { attempts: 0, total: 0 };
+  session.attempts++;
+  session.total += accuracy;
+  stat.bySession.set(sessionIndex, session);
+}
+
+// Plain numbers for a stat: averages, the per-session series and its trend
+// (last session played minus the first, in accuracy points)
+function finishStat(stat, sessionCount) {
+  const sessions = Array.from({ length: sessionCount }, (_, i) => {
+    const session = stat.bySession.get(i);
+    return session ? Math.round(session.total / session.attempts) : null;
+  });
+  const played = sessions.filter(accuracy => accuracy !== null);
+  
+  return {
+    key: stat.key,
+    label: stat.label,
+    beatType: stat.beatType,
+    games: stat.games.size,
+    attempts: stat.attempts,
+    accuracy: stat.attempts > 0 ? Math.round(stat.total / stat.attempts) : null,
+    missRate: stat.attempts > 0 ? stat.misses / stat.attempts : 0,
+    sessions,
+    sessionsPlayed: played.length,
+    trend: played.length >= 2 ? played[played.length - 1] - played[0] : null,
+    weak: false
+  };
+}
+
+// A rhythm figure: the note value, where it falls in the beat and the kind of
+// beat it is part of, e.g. an eighth on the "&" of an eighth-note beat
+function getFigureKey(note) {
+  return `${note.type}|${note.isRest ? 'rest' : note.noteType}|${getSyllable(note.count)}`;
+}
+
+function formatFigure(note) {
+  const syllable = getSyllable(note.count);
+  const position = syllable ? `on the "${syllable}"` : 'on the beat';
+  const value = note.isRest ? `${note.noteType} rest` : note.noteType;
+  const label = `${value} ${position}`;
+  return note.type === 'rest' ? label : `${label} (${(BEAT_TYPE_LABELS[note.type] || note.type).toLowerCase()})`;
+}
+
+// The syllable of a count label ("2&" -> "&", "3" -> "")
+function getSyllable(count) {
+  return String(count ?? '').replace(/^\d+/, '');
+}
+
+function formatLevel(level) {
+  return level.charAt(0).toUpperCase() + level.slice(1);
+}
+
+function formatPattern(game) {
+  const level = game.level ?? 'unknown';
+  return Number.isInteger(game.patternIndex) ? `${formatLevel(level)} #${game.patternIndex + 1}` : formatLevel(level);
+}
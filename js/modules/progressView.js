@@ -0,0 +1,124 @@
+// Progress View Module - Draws the progress dashboard
+//
+// Renders a report from buildProgressReport() (progress.js): accuracy by
+// session, level, beat type and pattern as bars with a per-session sparkline,
+// and the rhythm figures the player keeps missing at the top.
+
+import { WEAK_MISS_RATE } from './progress.js';
+
+// Fill a container with the dashboard of a progress report
+export function renderProgressDashboard(container, report, { playerName = '' } = {}) {
+  if (!container) return false;
+  container.replaceChildren();
+  
+  const title = playerName ? `📈 Progress - ${playerName}` : '📈 Progress';
+  container.appendChild(createElement('h4', '', title));
+  
+  if (report.games === 0) {
+    container.appendChild(createElement('p', 'progress-empty', 'Play a game to start tracking your progress.'));
+    return true;
+  }
+  
+  const sessionWord = report.sessions.length === 1 ? 'session' : 'sessions';
+  container.appendChild(createElement('p', 'progress-overview',
+    `${report.games} games in ${report.sessions.length} ${sessionWord} - ${report.accuracy}% accuracy over ${report.notes} notes and rests`));
+  
+  container.appendChild(renderWeakSpots(report.weakSpots));
+  container.appendChild(renderSection('By session', [{
+    label: 'All games',
+    accuracy: report.accuracy,
+    attempts: report.notes,
+    sessions: report.sessions.map(session => session.accuracy),
+    trend: getTrend(report.sessions.map(session => session.accuracy))
+  }]));
+  container.appendChild(renderSection('By beat type', report.beatTypes));
+  container.appendChild(renderSection('By level', report.levels));
+  container.appendChild(renderSection('By pattern', report.patterns));
+  return true;
+}
+
+// The figures missed consistently, or a note that there are none yet
+function renderWeakSpots(weakSpots) {
+  const box = createElement('div', 'progress-weak-spots');
+  box.appendChild(createElement('h5', '', '🎯 Keep practising'));
+  
+  if (weakSpots.length === 0) {
+    box.appendChild(createElement('p', '', `No figure has been missed ${Math.round(WEAK_MISS_RATE * 100)}% of the time across sessions - well done!`));
+    return box;
+  }
+  
+  const list = createElement('ul');
+  weakSpots.forEach(stat => {
+    list.appendChild(createElement('li', '',
+      `${stat.label} - missed ${Math.round(stat.missRate * 100)}% of ${stat.attempts} attempts over ${stat.sessionsPlayed} sessions`));
+  });
+  box.appendChild(list);
+  return box;
+}
+
+// One titled table of stats: name, accuracy bar, trend and sparkline
+function renderSection(title, stats) {
+  const section = createElement('div', 'progress-section');
+  section.appendChild(createElement('h5', '', title));
+  
+  stats.forEach(stat => {
+    const row = createElement('div', stat.weak ? 'progress-row progress-weak' : 'progress-row');
+    row.title = `${stat.attempts} notes and rests${stat.games ? ` in ${stat.games} games` : ''}`;
+    
+    row.appendChild(createElement('span', 'progress-label', stat.weak ? `⚠️ ${stat.label}` : stat.label));
+    
+    const bar = createElement('span', 'progress-bar');
+    const fill = createElement('span', 'progress-bar-fill');
+    fill.style.width = `${stat.accuracy ?? 0}%`;
+    fill.style.background = getAccuracyColor(stat.accuracy);
+    bar.appendChild(fill);
+    row.appendChild(bar);
+    
+    row.appendChild(createElement('span', 'progress-value', stat.accuracy === null ? '-' : `${stat.accuracy}%`));
+    row.appendChild(createElement('span', 'progress-trend', formatTrend(stat.trend)));
+    row.appendChild(renderSparkline(stat.sessions));
+    section.appendChild(row);
+  });
+  return section;
+}
+
+// Small bar per session; gaps where the figure was not played
+function renderSparkline(sessions) {
+  const sparkline = createElement('span', 'progress-sparkline');
+  sessions.forEach((accuracy, i) => {
+    const bar = createElement('span', accuracy === null ? 'progress-spark progress-spark-empty' : 'progress-spark');
+    bar.style.height = `${accuracy === null ? 0 : Math.max(4, accuracy)}%`;
+    bar.style.background = getAccuracyColor(accuracy);
+    bar.title = accuracy === null ? `Session ${i + 1}: not played` : `Session ${i + 1}: ${accuracy}%`;
+    sparkline.appendChild(bar);
+  });
+  return sparkline;
+}
+
+function getTrend(series) {
+  const played = series.filter(accuracy => accuracy !== null);
+  return played.length >= 2 ? played[played.length - 1] - played[0] : null;
+}
+
+function formatTrend(trend) {
+  if (trend === null) return '';
+  if (trend > 0) return `▲ ${trend}`;
+  if (trend < 0) return `▼ ${-trend}`;
+  return '▬ 0';
+}
+
+// Same colours as the note-by-note summary
+function getAccuracyColor(accuracy) {
+  if (accuracy === null) return 'transparent';
+  if (accuracy >= 75) return '#28a745';
+  if (accuracy >= 60) return '#17a2b8';
+  if (accuracy >= 40) return '#ffc107';
+  return '#dc3545';
+}
+
+function createElement(tag, className = '', text = '') {
+  const element = document.createElement(tag);
+  if (className) element.className = className;
+  if (text) element.textContent = text;
+  return element;
+}
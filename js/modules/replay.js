@@ -0,0 +1,196 @@
+// Replay Module - Record, export and re-analyse finished games
+//
+// Every game is kept as a replay document: the pattern and tempo, the latency
+// compensation in use, when the count-in clicks sounded and the full key
+// down/up stream of every player, all relative to the pattern's downbeat.
+// Documents are plain JSON, so they can be exported, loaded back later and
+// re-analysed (with the original or a different scoring config) by replaying
+// the key stream through a headless rhythm engine.
+//
+// Format (version 1):
+// {
+//   format: 'rhythm-game-replay', version: 1, recordedAt: ISO date,
+//   source: { level, patternIndex, patternId } or null,
+//   pattern: [flattened pattern], timeSignature: '4/4', bpm: 100,
+//   latencyCompensation: ms the expected times were moved earlier by,
+//   countIn: { beats, clicks: [ms] },
+//   keyEvents: [{ type: 'down' | 'up', player, at }] (ms from the downbeat),
+//   result: { overallResult, message, metrics, scoring } as judged when played
+// }
+
+import { runHeadlessRound } from './rhythmEngine.js';
+import { MIN_BPM, MAX_BPM } from './gameState.js';
+import { globalClock } from '../utils/Clock.js';
+
+export const REPLAY_FORMAT = 'rhythm-game-replay';
+export const REPLAY_VERSION = 1;
+
+const MAX_SAVED_REPLAYS = 20; // Replays kept for this session, newest last
+let savedReplays = [];
+
+// Build the replay document of a finished round from its rhythm engine.
+// Options:
+//   source - where the pattern came from ({ level, patternIndex, patternId })
+//   analysis - the round's analysis, stored as the original result
+//   latencyCompensation - ms the expected times were moved earlier by
+export function createReplay(engine, { source = null, analysis = null, latencyCompensation = 0 } = {}) {
+  const startTime = engine.getStartTime();
+  if (startTime === null) {
+    console.warn('⚠️ Cannot record a replay of a game that never started');
+    return null;
+  }
+  
+  const relative = time => roundTime(time - startTime);
+  
+  return {
+    format: REPLAY_FORMAT,
+    version: REPLAY_VERSION,
+    recordedAt: new Date(globalClock.wallTime()).toISOString(),
+    source,
+    pattern: JSON.parse(JSON.stringify(engine.pattern)),
+    timeSignature: engine.timeSignature,
+    bpm: engine.bpm,
+    latencyCompensation: roundTime(latencyCompensation),
+    countIn: {
+      beats: engine.countInBeats,
+      clicks: engine.getBeatTimes().filter(beat => beat.beatIndex < 0).map(beat => relative(beat.time))
+    },
+    keyEvents: engine.getKeyEvents().map(event => ({ type: event.type, player: event.player, at: relative(event.time) })),
+    result: analysis ? {
+      overallResult: analysis.overallResult,
+      message: analysis.message,
+      metrics: analysis.metrics,
+      scoring: analysis.scoring
+    } : null
+  };
+}
+
+// Keep a replay for this session
+export function saveReplay(replay) {
+  if (!replay) return false;
+  
+  savedReplays.push(replay);
+  if (savedReplays.length > MAX_SAVED_REPLAYS) {
+    savedReplays.shift();
+  }
+  console.log(`💾 Replay saved (${savedReplays.length} this session)`);
+  return true;
+}
+
+// Replays kept this session, oldest first
+export function getSavedReplays() {
+  return [...savedReplays];
+}
+
+// The most recent replay, or null
+export function getLastReplay() {
+  return savedReplays.length > 0 ? savedReplays[savedReplays.length - 1] : null;
+}
+
+// Pair each key press with its release: [{ player, at, duration }] where
+// duration is null for a key still held when the recording ended
+export function getReplayTaps(replay) {
+  const taps = [];
+  
+  replay.keyEvents.forEach(event => {
+    if (event.type === 'down') {
+      taps.push({ player: event.player, at: event.at, duration: null });
+      return;
+    }
+    
+    // A release completes the player's latest held key
+    for (let i = taps.length - 1; i >= 0; i--) {
+      if (taps[i].player === event.player && taps[i].duration === null) {
+        taps[i].duration = event.at - taps[i].at;
+        break;
+      }
+    }
+  });
+  return taps;
+}
+
+// Judge a replay again, deterministically. scoring overrides the scoring
+// config (see DEFAULT_SCORING); by default the one it was played with is used.
+export function analyzeReplay(replay, scoring = null) {
+  const { valid, issues } = validateReplay(replay);
+  if (!valid) {
+    console.warn('⚠️ Cannot analyse an invalid replay:', issues);
+    return null;
+  }
+  
+  const compensation = replay.latencyCompensation;
+  return runHeadlessRound({
+    pattern: replay.pattern,
+    timeSignature: replay.timeSignature,
+    bpm: replay.bpm,
+    countInBeats: replay.countIn.beats,
+    taps: getReplayTaps(replay),
+    compensateExpectedTime: time => time - compensation,
+    scoring: scoring ?? (replay.result ? replay.result.scoring : {})
+  });
+}
+
+// Serialise a replay for download
+export function exportReplay(replay) {
+  return JSON.stringify(replay, null, 2);
+}
+
+// Load a replay from JSON text. Returns { replay, issues }; replay is null
+// when the document can't be used.
+export function importReplay(text) {
+  let parsed;
+  try {
+    parsed = JSON.parse(text);
+  } catch (error) {
+    return { replay: null, issues: [`Not valid JSON: ${error.message}`] };
+  }
+  
+  const { valid, issues } = validateReplay(parsed);
+  return { replay: valid ? parsed : null, issues };
+}
+
+// Check a replay document's structure
+export function validateReplay(replay) {
+  const issues = [];
+  
+  if (!replay || typeof replay !== 'object') {
+    return { valid: false, issues: ['Replay is not an object'] };
+  }
+  if (replay.format !== REPLAY_FORMAT) {
+    issues.push(`Not a replay (format "${replay.format}")`);
+  }
+  if (!Number.isInteger(replay.version) || replay.version < 1 || replay.version > REPLAY_VERSION) {
+    issues.push(`Unsupported replay version ${replay.version} (this game reads up to ${REPLAY_VERSION})`);
+  }
+  if (!Array.isArray(replay.pattern) || !replay.pattern.some(note => note && !note.isBarline)) {
+    issues.push('Replay has no pattern');
+  }
+  if (typeof replay.timeSignature !== 'string' || !/^\d+\/\d+$/.test(replay.timeSignature)) {
+    issues.push(`Invalid time signature "${replay.timeSignature}"`);
+  }
+  if (!Number.isFinite(replay.bpm) || replay.bpm < MIN_BPM || replay.bpm > MAX_BPM) {
+    issues.push(`BPM ${replay.bpm} is outside ${MIN_BPM}-${MAX_BPM}`);
+  }
+  if (!Number.isFinite(replay.latencyCompensation)) {
+    issues.push('Latency compensation must be a number');
+  }
+  if (!replay.countIn || !Number.isInteger(replay.countIn.beats) || replay.countIn.beats < 1) {
+    issues.push('Count-in must have a whole number of beats');
+  }
+  if (!Array.isArray(replay.keyEvents)) {
+    issues.push('Replay has no key events');
+  } else {
+    replay.keyEvents.forEach((event, i) => {
+      if (!event || (event.type !== 'down' && event.type !== 'up') || !Number.isFinite(event.at) || (event.player !== 1 && event.player !== 2)) {
+        issues.push(`Key event ${i + 1} is invalid`);
+      }
+    });
+  }
+  
+  return { valid: issues.length === 0, issues };
+}
+
+// Times are stored to the tenth of a millisecond
+function roundTime(time) {
+  return Math.round(time * 10) / 10;
+}
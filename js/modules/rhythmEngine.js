@@ -0,0 +1,496 @@
+// Rhythm Engine - Headless game flow and scoring
+//
+// Everything a round needs apart from the page: it follows the metronome's
+// beats through the count-in and the pattern, records key presses while the
+// pattern plays (and just before its downbeat) and judges them note by note.
+// No DOM, audio or window globals, so a round can be run and scored under
+// Node with a fake clock (see runHeadlessRound). main.js drives it from the
+// real metronome and keyboard and only takes care of what is shown and heard.
+
+import {
+  getMeter,
+  groupPatternIntoBeats,
+  getPatternOnsets,
+  getPatternBeatCount,
+  DEFAULT_TIME_SIGNATURE
+} from './patterns.js';
+import { alignTapsToOnsets } from './tapAlignment.js';
+import { globalClock, ManualClock } from '../utils/Clock.js';
+
+// Debug mode toggle - logs how every note and rest was judged
+let DEBUG_ANALYSIS = false;
+
+// How taps are judged. A replay can be re-analysed with different values.
+//   precisionWindow - ms off the note at which timing precision reaches 0%
+//   thresholds - lowest timing precision (%) for each grade
+//   alignment - options for alignTapsToOnsets (see DEFAULT_ALIGNMENT_OPTIONS)
+export const DEFAULT_SCORING = {
+  precisionWindow: 300,
+  thresholds: { perfect: 75, good: 60, close: 40 },
+  alignment: {}
+};
+
+// Named scoring configs, e.g. for re-analysing a replay
+export const SCORING_PRESETS = {
+  standard: { label: 'Standard', ...DEFAULT_SCORING },
+  strict: { label: 'Strict', precisionWindow: 200, thresholds: { perfect: 80, good: 65, close: 45 } },
+  relaxed: { label: 'Relaxed', precisionWindow: 400, thresholds: { perfect: 70, good: 55, close: 35 } }
+};
+
+// Fill in a partial scoring config from the defaults
+export function resolveScoring(scoring = {}) {
+  return {
+    precisionWindow: scoring.precisionWindow ?? DEFAULT_SCORING.precisionWindow,
+    thresholds: { ...DEFAULT_SCORING.thresholds, ...scoring.thresholds },
+    alignment: { ...DEFAULT_SCORING.alignment, ...scoring.alignment }
+  };
+}
+
+// Count-in length: one bar, or two bars of very short meters like 2/4
+export function getCountInBeats(meter) {
+  return meter.beatsPerBar < 3 ? meter.beatsPerBar * 2 : meter.beatsPerBar;
+}
+
+// Create the engine for one round of a pattern.
+// Options:
+//   pattern - flattened pattern, timeSignature - its meter, bpm - metronome tempo
+//   clock - { now() } in ms, used for key events given without a time
+//     (default: globalClock)
+//   countInBeats - clicks before the pattern (default: getCountInBeats)
+//   firstBeat - metronome beat index the count-in starts on
+//   compensateExpectedTime(time) - latency compensation applied to the
+//     expected note times when the round is analysed
+//   earlyTapWindow - ms before the downbeat from which taps are recorded, so
+//     a first note played a little early still counts (default: half the
+//     precision window)
+export function createRhythmEngine({
+  pattern,
+  timeSignature = DEFAULT_TIME_SIGNATURE,
+  bpm,
+  clock = globalClock,
+  countInBeats = null,
+  firstBeat = 0,
+  compensateExpectedTime = null,
+  earlyTapWindow = DEFAULT_SCORING.precisionWindow / 2
+}) {
+  const meter = getMeter(timeSignature);
+  const countIn = countInBeats ?? getCountInBeats(meter);
+  const patternBeats = groupPatternIntoBeats(pattern, timeSignature);
+  const totalBeats = getPatternBeatCount(pattern, timeSignature);
+  const taps = [];
+  const keyEvents = []; // Every key down/up from the count-in on, recorded or not
+  const beatTimes = []; // Time of each count-in and pattern click, by beat index
+  let startTime = null;
+  let recordFrom = null; // When taps start being recorded, set on the last count-in click
+  let phase = 'waiting'; // 'waiting', 'counting', 'playing' (recording taps), 'complete'
+  
+  // Follow a metronome beat ({ index, time } as sent to beat listeners).
+  // Returns what the beat means for the round: { type, beatIndex, beat } where
+  // type is 'before', 'count-in-start', 'count-in', 'start' (pattern downbeat,
+  // recording starts), 'beat', 'complete' (recording stops) or 'after', and
+  // beat is the pattern beat starting there, if any
+  function handleBeat({ index, time }) {
+    const beatIndex = index - firstBeat - countIn; // Negative during count-in
+    let type;
+    
+    if (index < firstBeat) {
+      type = 'before';
+    } else if (phase === 'complete') {
+      type = 'after';
+    } else if (index === firstBeat && beatIndex < 0) {
+      phase = 'counting';
+      type = 'count-in-start';
+    } else if (beatIndex < 0) {
+      type = 'count-in';
+    } else if (beatIndex === 0) {
+      // The downbeat of the pattern is the time this click actually sounded
+      startTime = time;
+      phase = 'playing';
+      type = 'start';
+    } else if (beatIndex < totalBeats) {
+      type = 'beat';
+    } else {
+      phase = 'complete';
+      type = 'complete';
+    }
+    
+    if (type !== 'before' && type !== 'after') {
+      beatTimes.push({ beatIndex, time });
+    }
+    if (beatIndex === -1 && type !== 'after') {
+      // The downbeat is due one beat after the last count-in click
+      recordFrom = time + 60000 / bpm - earlyTapWindow;
+    }
+    return { type, beatIndex, beat: patternBeats.find(beat => beat.beatIndex === beatIndex) || null };
+  }
+  
+  // Whether a key press at this time is part of the round: from just before
+  // the downbeat (earlyTapWindow) until the pattern has ended
+  function isInRecordingWindow(time) {
+    if (phase === 'playing') return true;
+    return phase === 'counting' && recordFrom !== null && time >= recordFrom;
+  }
+  
+  // Record a key press; ignored unless the pattern is playing (or about to)
+  function keyDown(time = clock.now(), player = 1) {
+    if (phase !== 'waiting') keyEvents.push({ type: 'down', time, player });
+    if (!isInRecordingWindow(time)) return false;
+    taps.push({ time, player, startTime: time, endTime: null, duration: 0, isComplete: false });
+    return true;
+  }
+  
+  // Complete the player's latest held tap (also after the pattern has ended,
+  // so the last note's length is still known)
+  function keyUp(time = clock.now(), player = 1) {
+    if (phase !== 'waiting') keyEvents.push({ type: 'up', time, player });
+    for (let i = taps.length - 1; i >= 0; i--) {
+      const tap = taps[i];
+      if (tap.player === player && !tap.isComplete) {
+        tap.endTime = time;
+        tap.duration = time - tap.startTime;
+        tap.isComplete = true;
+        return true;
+      }
+    }
+    return false;
+  }
+  
+  // Judge the recorded taps (null if the pattern never started).
+  // options override analyzeTaps' settings, e.g. { scoring }
+  function analyze(options = {}) {
+    if (startTime === null) {
+      console.error('❌ Game start time not found! Cannot perform timing analysis.');
+      return null;
+    }
+    return analyzeTaps({ pattern, timeSignature, bpm, startTime, taps, compensateExpectedTime, ...options });
+  }
+  
+  return {
+    pattern,
+    timeSignature,
+    bpm,
+    meter,
+    countInBeats: countIn,
+    totalBeats,
+    patternBeats,
+    handleBeat,
+    keyDown,
+    keyUp,
+    analyze,
+    isRecording: () => phase === 'playing',
+    getPhase: () => phase,
+    getStartTime: () => startTime,
+    getTaps: () => taps.map(tap => ({ ...tap })),
+    getKeyEvents: () => keyEvents.map(event => ({ ...event })),
+    getBeatTimes: () => beatTimes.map(beat => ({ ...beat }))
+  };
+}
+
+// Judge taps against a pattern - every note onset is matched and graded on its own.
+// startTime is when the pattern's downbeat sounded, taps are { time, player,
+// duration, isComplete } in the same clock, scoring a partial scoring config
+// (see DEFAULT_SCORING). Returns {
+//   overallResult - 'perfect', 'good', 'close' or 'miss'
+//   message - summary line for the player
+//   results - one entry per note onset and rest, in pattern order
+//   extraTaps - number of taps that matched no note
+//   alignment - the raw tap alignment (see alignTapsToOnsets)
+//   metrics - { perfect, good, close, missed, timing, duration } (timing and
+//     duration are average scores 0-100)
+//   startTime, scoring - what the taps were judged against
+// }
+export function analyzeTaps({
+  pattern,
+  timeSignature = DEFAULT_TIME_SIGNATURE,
+  bpm,
+  startTime,
+  taps,
+  compensateExpectedTime = null,
+  scoring = {}
+}) {
+  console.log('📊 ADVANCED PERFORMANCE ANALYSIS');
+  console.log('==============================');
+  
+  const beatInterval = 60000 / bpm;
+  const settings = resolveScoring(scoring);
+  
+  // Every note (tied notes merged into one onset) and rest, at its exact
+  // position in metronome beats from the pattern's downbeat
+  const meter = getMeter(timeSignature);
+  const onsets = getPatternOnsets(pattern, timeSignature);
+  const noteOnsets = onsets.filter(onset => !onset.element.rest);
+  const restOnsets = onsets.filter(onset => onset.element.rest);
+  
+  // Each note is still reported with the kind of beat it sits in
+  const beatTypes = new Map(groupPatternIntoBeats(pattern, timeSignature).map(beat => [beat.beatIndex, getSimpleBeatType(beat.elements)]));
+  
+  console.log(`📝 Pattern: ${noteOnsets.length} notes to tap, ${restOnsets.length} rests (${timeSignature})`);
+  console.log(`🎹 You tapped: ${taps.length} times`);
+  console.log(`🕐 Game started at: ${startTime.toFixed(0)}ms`);
+  
+  // Expected times, with audio latency compensation applied
+  const expectedTimeOf = beats => {
+    const rawExpectedTime = startTime + beats * beatInterval;
+    return compensateExpectedTime ? compensateExpectedTime(rawExpectedTime) : rawExpectedTime;
+  };
+  
+  // Align taps (from every player) with the notes in one go: the globally
+  // cheapest in-order matching, which also finds missed notes and extra taps
+  const expectedTimes = noteOnsets.map(onset => expectedTimeOf(onset.start));
+  const alignment = alignTapsToOnsets(expectedTimes, taps.map(tap => tap.time), settings.alignment);
+  const tapForOnset = new Map(alignment.matches.map(match => [match.onset, match]));
+  
+  console.log(`🧮 Alignment: ${alignment.matches.length} matched, ${alignment.missed.length} missed, ${alignment.extra.length} extra (bias ${alignment.bias}ms)`);
+  
+  const noteResults = noteOnsets.map((onset, i) => {
+    const expectedTime = expectedTimes[i];
+    const expectedDuration = onset.hold * beatInterval;
+    const match = tapForOnset.get(i);
+    const bestTap = match ? { tap: taps[match.tap], timeDiff: match.offset } : null;
+    
+    const count = getCountLabel(onset, meter);
+    if (DEBUG_ANALYSIS) console.log(`🔍 Note ${count} (${onset.element.type}): expected at ${expectedTime.toFixed(0)}ms`);
+    
+    const result = {
+      beat: onset.beatNumber,
+      index: onset.index,
+      count,
+      type: beatTypes.get(onset.beatIndex) || 'mixed',
+      noteType: onset.element.type,
+      isRest: false,
+      result: 'miss',
+      timing: 0,
+      durationScore: 0,
+      expectedTime,
+      actualTime: null,
+      elements: [onset.element],
+      expectedDuration,
+      actualDuration: null
+    };
+    
+    if (!bestTap) {
+      if (DEBUG_ANALYSIS) console.log('   Missed - no tap');
+      return result;
+    }
+    
+    const { tap } = bestTap;
+    result.actualTime = tap.time;
+    result.actualDuration = tap.duration !== undefined ? tap.duration : null;
+    result.timing = getTimingPrecision(Math.abs(bestTap.timeDiff), settings.precisionWindow);
+    result.durationScore = getDurationScore(tap, expectedDuration);
+    result.result = getTimingResult(result.timing, settings.thresholds);
+    
+    if (DEBUG_ANALYSIS) {
+      console.log(`   Tap at ${tap.time.toFixed(0)}ms (${bestTap.timeDiff >= 0 ? '+' : ''}${bestTap.timeDiff.toFixed(0)}ms): ${result.result}`);
+      if (tap.duration !== undefined) {
+        console.log(`   Duration: ${tap.duration.toFixed(0)}ms (expected: ${expectedDuration.toFixed(0)}ms)`);
+      }
+    }
+    return result;
+  });
+  
+  // Taps no note claimed are extra - a rest is broken by any that land in it
+  const extraTaps = alignment.extra.map(index => taps[index]);
+  
+  const restResults = restOnsets.map(onset => {
+    const start = expectedTimeOf(onset.start);
+    const end = expectedTimeOf(onset.start + onset.hold);
+    const tapped = extraTaps.some(tap => tap.time >= start && tap.time < end);
+    const count = getCountLabel(onset, meter);
+    
+    if (DEBUG_ANALYSIS) console.log(`🔇 Rest ${count}: ${tapped ? 'tapped' : 'silent'}`);
+    return {
+      beat: onset.beatNumber,
+      index: onset.index,
+      count,
+      type: 'rest',
+      noteType: onset.element.type,
+      isRest: true,
+      result: tapped ? 'miss' : 'perfect',
+      timing: tapped ? 0 : 100,
+      durationScore: tapped ? 0 : 100,
+      expectedTime: start,
+      actualTime: null,
+      elements: [onset.element],
+      expectedDuration: end - start,
+      actualDuration: null
+    };
+  });
+  
+  // Report in pattern order
+  const results = [...noteResults, ...restResults].sort((a, b) => a.index - b.index);
+  
+  if (extraTaps.length > 0) {
+    console.log(`➕ ${extraTaps.length} extra tap(s) at: ${extraTaps.map(tap => tap.time.toFixed(0) + 'ms').join(', ')}`);
+  }
+  
+  // Advanced scoring with timing precision and duration analysis
+  const perfectNotes = results.filter(r => r.result === 'perfect').length;
+  const goodNotes = results.filter(r => r.result === 'good').length;
+  const closeNotes = results.filter(r => r.result === 'close').length;
+  const missedNotes = results.filter(r => r.result === 'miss').length;
+  
+  // Calculate overall timing precision
+  const avgTimingPrecision = results.length > 0 ? results.reduce((sum, r) => sum + r.timing, 0) / results.length : 0;
+  const avgDurationScore = results.length > 0 ? results.reduce((sum, r) => sum + r.durationScore, 0) / results.length : 0;
+  
+  let message = '';
+  let overallResult = 'miss';
+  
+  if (perfectNotes === results.length && extraTaps.length === 0) {
+    message = `🌟 PERFECT! All ${results.length} notes and rests with ${avgTimingPrecision.toFixed(0)}% timing precision and ${avgDurationScore.toFixed(0)}% duration accuracy!`;
+    overallResult = 'perfect';
+  } else if (perfectNotes + goodNotes >= results.length * 0.8) {
+    message = `🎵 GREAT! ${perfectNotes} perfect, ${goodNotes} good. Timing: ${avgTimingPrecision.toFixed(0)}%, Duration: ${avgDurationScore.toFixed(0)}%`;
+    overallResult = 'good';
+  } else if (perfectNotes + goodNotes + closeNotes >= results.length * 0.6) {
+    message = `👍 GOOD! ${perfectNotes} perfect, ${goodNotes} good, ${closeNotes} close. Work on timing precision!`;
+    overallResult = 'close';
+  } else {
+    message = `💪 KEEP PRACTICING! ${missedNotes} missed. Focus on timing and note duration!`;
+  }
+  if (extraTaps.length > 0) {
+    message += ` (${extraTaps.length} extra tap${extraTaps.length === 1 ? '' : 's'})`;
+  }
+  
+  console.log(message);
+  console.log(`📊 Advanced metrics: Timing ${avgTimingPrecision.toFixed(1)}%, Duration ${avgDurationScore.toFixed(1)}%`);
+  
+  return {
+    overallResult,
+    message,
+    results,
+    extraTaps: extraTaps.length,
+    alignment,
+    metrics: {
+      perfect: perfectNotes,
+      good: goodNotes,
+      close: closeNotes,
+      missed: missedNotes,
+      timing: avgTimingPrecision,
+      duration: avgDurationScore
+    },
+    startTime,
+    scoring: settings
+  };
+}
+
+// Totals of a round's results (from analyzeTaps) for its summary: {
+//   total, perfect, good, close, missedNotes, missedRests - counts
+//   accuracy - share of notes and rests played perfectly (%)
+//   timing, duration - average scores of the notes (rests left out)
+//   score - overall 0-100, accuracy, timing and duration weighted 50/30/20
+// }
+export function summarizeResults(results) {
+  const notes = results.filter(r => !r.isRest);
+  const rests = results.filter(r => r.isRest);
+  const perfect = results.filter(r => r.result === 'perfect').length;
+  const accuracy = results.length > 0 ? Math.round((perfect / results.length) * 100) : 100;
+  
+  const average = field => {
+    const scored = notes.filter(r => r[field] !== undefined);
+    return scored.length > 0 ? Math.round(scored.reduce((sum, r) => sum + r[field], 0) / scored.length) : 0;
+  };
+  const timing = average('timing');
+  const duration = average('durationScore');
+  
+  return {
+    total: results.length,
+    perfect,
+    good: results.filter(r => r.result === 'good').length,
+    close: results.filter(r => r.result === 'close').length,
+    missedNotes: notes.filter(r => r.result === 'miss').length,
+    missedRests: rests.filter(r => r.result === 'miss').length,
+    accuracy,
+    timing,
+    duration,
+    score: Math.round((accuracy * 0.5) + (timing * 0.3) + (duration * 0.2))
+  };
+}
+
+// Play a whole round without a browser: metronome beats are generated from
+// the tempo and taps are set as timers on a ManualClock, which then runs the
+// round in one go - the same input always gives the same result.
+// taps: [{ at, duration, player }] - at is ms from the pattern's downbeat
+// (negative for early taps), duration how long the key was held (optional).
+// Returns the engine's analysis, plus the engine itself.
+export function runHeadlessRound({ pattern, timeSignature = DEFAULT_TIME_SIGNATURE, bpm, taps = [], countInBeats = null, compensateExpectedTime = null, scoring = {} }) {
+  const clock = new ManualClock();
+  const earlyTapWindow = resolveScoring(scoring).precisionWindow / 2;
+  const engine = createRhythmEngine({ pattern, timeSignature, bpm, clock, countInBeats, compensateExpectedTime, earlyTapWindow });
+  const beatInterval = 60000 / bpm;
+  const downbeat = engine.countInBeats * beatInterval;
+  const tapStart = tap => downbeat + tap.at;
+  
+  // Timers due at the same time fire in the order they were set: beats first,
+  // then releases before presses (so a repeated key is let go before it is pressed again)
+  for (let index = 0; index <= engine.countInBeats + engine.totalBeats; index++) {
+    clock.setTimeout(() => engine.handleBeat({ index, time: clock.now() }), index * beatInterval);
+  }
+  taps.filter(tap => tap.duration !== undefined && tap.duration !== null).forEach(tap => {
+    clock.setTimeout(() => engine.keyUp(undefined, tap.player || 1), tapStart(tap) + tap.duration);
+  });
+  taps.forEach(tap => {
+    clock.setTimeout(() => engine.keyDown(undefined, tap.player || 1), tapStart(tap));
+  });
+  
+  clock.runUntilIdle(Infinity);
+  
+  return { ...engine.analyze({ scoring }), engine };
+}
+
+// Timing precision (0-100) for a tap this far from its note
+export function getTimingPrecision(timeDiff, precisionWindow = DEFAULT_SCORING.precisionWindow) {
+  return Math.max(0, Math.round(100 - (timeDiff / precisionWindow * 100)));
+}
+
+// Grade timing precision (more forgiving thresholds)
+export function getTimingResult(timingPrecision, thresholds = DEFAULT_SCORING.thresholds) {
+  if (timingPrecision >= thresholds.perfect) return 'perfect';
+  if (timingPrecision >= thresholds.good) return 'good';
+  if (timingPrecision >= thresholds.close) return 'close';
+  return 'miss';
+}
+
+// Score how long a tap was held against the note's length (0-100)
+export function getDurationScore(tap, expectedDuration) {
+  if (tap.duration === undefined || !tap.isComplete) {
+    return 75; // Better score if no duration data (tap completed normally)
+  }
+  
+  const durationDiff = Math.abs(tap.duration - expectedDuration);
+  const durationTolerance = expectedDuration * 0.6; // 60% tolerance (more forgiving)
+  
+  // More forgiving scoring curve
+  let durationPercent = Math.max(0, 100 - (durationDiff / durationTolerance * 100));
+  
+  // Give bonus for being close to expected duration
+  if (durationDiff < expectedDuration * 0.2) // Within 20% of expected
+    durationPercent = Math.min(100, durationPercent + 10); // Bonus points
+  
+  // More generous minimum score
+  return Math.max(60, Math.round(durationPercent));
+}
+
+// The kind of beat a group of elements makes (used to report and track results)
+export function getSimpleBeatType(elements) {
+  if (elements.every(el => el.rest)) return 'rest';
+  if (elements.some(el => el.tuplet)) return elements[0].tuplet.num === 3 ? 'triplet' : 'tuplet';
+  if (elements.some(el => el.tieToNext)) return 'tied';
+  if (elements.length === 1 && elements[0].type === 'quarter' && elements[0].dotted) return 'dotted-quarter';
+  if (elements.length === 1 && elements[0].type === 'quarter') return 'quarter-note';
+  if (elements.length === 1 && elements[0].type === 'half') return 'half-note';
+  if ((elements.length === 2 || elements.length === 3) && elements.every(el => el.type === 'eighth' && !el.dotted)) return 'eighth-notes';
+  return 'mixed';
+}
+
+// Counting syllables for where a note falls inside its beat
+const SIMPLE_COUNT_SYLLABLES = [[0, ''], [0.25, 'e'], [0.5, '&'], [0.75, 'a'], [1 / 3, 'trip'], [2 / 3, 'let']];
+const COMPOUND_COUNT_SYLLABLES = [[0, ''], [1 / 3, '&'], [2 / 3, 'a'], [1 / 6, 'ta'], [1 / 2, 'ta'], [5 / 6, 'ta']];
+
+// Label a note by how it is counted, e.g. "2&" or "3e"
+export function getCountLabel(onset, meter) {
+  const syllables = meter.compound ? COMPOUND_COUNT_SYLLABLES : SIMPLE_COUNT_SYLLABLES;
+  const match = syllables.find(([offset]) => Math.abs(offset - onset.offset) < 0.01);
+  return match ? `${onset.beatNumber}${match[1]}` : `${onset.beatNumber}+${onset.offset.toFixed(2)}`;
+}
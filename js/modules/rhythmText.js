@@ -0,0 +1,410 @@
+// Rhythm Text Module - Write patterns as short text instead of note objects
+//
+// Two ways of typing a rhythm, both turned into bars in the format of
+// patterns.js (each bar a list of notes and tuplet groups):
+//
+// Note values - parseRhythmText() / serializeRhythmText(), which round-trip:
+//   w h q 8 16    whole, half, quarter, eighth, sixteenth (1 2 4 work too)
+//   q.  8r  q~    dotted, rest, tied to the next note (suffixes in this order)
+//   3(8 8 8)      tuplet: 3 notes in the usual space (2), 5:4(16 16 16 16 16)
+//   |             barline
+//   6/8           time signature, as the first token (4/4 when left out)
+//   # ...         comment to the end of the line
+// e.g. "q q 8 8 qr | 3(8 8 8) h"
+//
+// Counting syllables - parseCountingText(): say where the notes start and
+// each one lasts until the next (or the end of its beat):
+//   1 2 3 4       beat numbers; counting back to 1 starts a new bar
+//   (2)           a beat counted silently: a rest, e.g. "(2) &" for a note on its &
+//   e & a         sixteenth positions of the beat (& and a in 6/8 and 12/8,
+//                 & in 7/8), trip let for triplets; glued on or spaced out
+//   -             hold the last note through the next beat
+// e.g. "1 & 2 e&a 3 4" or "1 - 3 trip let 4"; beats not counted are rests.
+//
+// Mistakes are reported as { line, column, message } (both from 1).
+
+import {
+  NOTE_VALUES,
+  TIME_SIGNATURES,
+  DEFAULT_TIME_SIGNATURE,
+  getMeter,
+  getNoteDuration,
+  getTupletInSpaceOf,
+  flattenPattern
+} from './patterns.js';
+
+// Text names of the note values; the first is the one serializeRhythmText writes
+const VALUE_NAMES = {
+  whole: ['w', '1'],
+  half: ['h', '2'],
+  quarter: ['q', '4'],
+  eighth: ['8'],
+  sixteenth: ['16']
+};
+
+// Where each counting syllable falls in the beat, by kind of meter
+const SYLLABLE_OFFSETS = {
+  simple: { e: 1 / 4, '&': 1 / 2, a: 3 / 4, trip: 1 / 3, let: 2 / 3 },
+  compound: { '&': 1 / 3, a: 2 / 3 },
+  eighths: { '&': 1 / 2 }
+};
+
+// "Line 2, column 5: ..." for an error from either parser
+export function formatRhythmTextError({ line, column, message }) {
+  return `Line ${line}, column ${column}: ${message}`;
+}
+
+// Parse note-value text. Returns { timeSignature, bars, errors }; bars is
+// null when there are errors. With partial (a pattern still being written)
+// bars may be short or too long and the last note may be tied on - those are
+// left to validatePattern() and normalizeBar().
+export function parseRhythmText(text, { timeSignature = DEFAULT_TIME_SIGNATURE, partial = false } = {}) {
+  const errors = [];
+  const tokens = tokenize(text, /\s+|#[^\n]*|\||\)|\d+(?::\d+)?\(|[^\s|()#]+|\(/y);
+  const error = (token, message) => errors.push({ line: token.line, column: token.column, message });
+  
+  // An optional time signature first
+  let index = 0;
+  if (tokens.length > 0 && /^\d+\/\d+$/.test(tokens[0].text)) {
+    if (!TIME_SIGNATURES[tokens[0].text]) {
+      error(tokens[0], `Unsupported time signature "${tokens[0].text}" (use ${Object.keys(TIME_SIGNATURES).join(', ')})`);
+    } else {
+      timeSignature = tokens[0].text;
+    }
+    index = 1;
+  }
+  const { barLength } = getMeter(TIME_SIGNATURES[timeSignature] ? timeSignature : DEFAULT_TIME_SIGNATURE);
+  
+  const bars = [];
+  let bar = [];
+  let barStart = null; // First token of the bar, where a bad bar length is reported
+  let group = null; // Tuplet group being read: { entry, token }
+  let lastNote = null; // { note, token } of the last note, for dangling ties
+  
+  const endBar = token => {
+    if (group && partial && index >= tokens.length) {
+      if (group.entry.notes.length > 0) bar.push(group.entry); // Still being written
+      group = null;
+    } else if (group) {
+      error(group.token, 'Tuplet is not closed with ")"');
+      bar.push(group.entry); // Still counts towards the bar's length
+      group = null;
+    }
+    const length = flattenPattern([bar]).reduce((sum, note) => sum + getNoteDuration(note), 0);
+    if (bar.length > 0 && !partial && Math.abs(length - barLength) > 1e-6) {
+      error(barStart, `Bar ${bars.length + 1} has ${Math.round(length * 1000) / 1000} beats, expected ${barLength} for ${timeSignature}`);
+    } else if (bar.length === 0 && token) {
+      error(token, `Bar ${bars.length + 1} is empty`);
+    }
+    if (bar.length > 0) bars.push(bar);
+    bar = [];
+    barStart = null;
+  };
+  
+  for (; index < tokens.length; index++) {
+    const token = tokens[index];
+    if (token.text === '|') {
+      endBar(index < tokens.length - 1 ? token : null); // A final barline is allowed
+      continue;
+    }
+    if (barStart === null) barStart = token;
+    
+    if (token.text === '(') {
+      error(token, 'A tuplet needs its size before "(", e.g. 3(8 8 8)');
+      continue;
+    }
+    if (token.text.endsWith('(')) {
+      if (group) {
+        error(token, 'Tuplets can\'t be nested');
+        continue;
+      }
+      const [num, inSpaceOf] = token.text.slice(0, -1).split(':').map(Number);
+      if (num < 2 || (inSpaceOf !== undefined && inSpaceOf < 1)) {
+        error(token, `"${token.text}" is not a tuplet - use at least 2 notes, e.g. 3(8 8 8)`);
+        continue;
+      }
+      const tuplet = inSpaceOf !== undefined ? { num, inSpaceOf } : { num };
+      group = { entry: { tuplet, notes: [] }, token };
+      continue;
+    }
+    if (token.text === ')') {
+      if (!group) {
+        error(token, '")" without a tuplet to close');
+      } else if (group.entry.notes.length === 0) {
+        error(group.token, 'Empty tuplet');
+        group = null;
+      } else {
+        bar.push(group.entry);
+        group = null;
+      }
+      continue;
+    }
+    
+    const note = parseNoteToken(token, error);
+    if (!note) continue;
+    if (group) group.entry.notes.push(note);
+    else bar.push(note);
+    lastNote = { note, token };
+  }
+  endBar(null);
+  
+  if (lastNote && lastNote.note.tieToNext && !partial) {
+    error(lastNote.token, 'The last note is tied to nothing');
+  }
+  if (errors.length === 0 && bars.length === 0 && !partial) {
+    errors.push({ line: 1, column: 1, message: 'No notes' });
+  }
+  return { timeSignature, bars: errors.length === 0 ? bars : null, errors };
+}
+
+// One note token: value, then optional ".", "r" and "~"
+function parseNoteToken(token, error) {
+  const match = /^(16|[whq1248])(\.?)(r?)(~?)$/.exec(token.text);
+  if (!match) {
+    const value = /^(16|[whq1248])/.exec(token.text);
+    if (value) {
+      error(token, `"${token.text}": after "${value[1]}" only ".", "r" and "~" may follow, in that order`);
+    } else {
+      error(token, `Unknown note value "${token.text}" (use w, h, q, 8 or 16)`);
+    }
+    return null;
+  }
+  const [, name, dot, rest, tie] = match;
+  if (rest && tie) {
+    error(token, `"${token.text}": a rest can't be tied`);
+    return null;
+  }
+  
+  const type = Object.keys(VALUE_NAMES).find(value => VALUE_NAMES[value].includes(name));
+  const note = { type, rest: !!rest };
+  if (dot) note.dotted = true;
+  if (tie) note.tieToNext = true;
+  return note;
+}
+
+// Write bars (as in patterns.js, nested beats or not) as note-value text.
+// The time signature is written first unless it is 4/4.
+export function serializeRhythmText(bars, { timeSignature = DEFAULT_TIME_SIGNATURE } = {}) {
+  const words = [];
+  if (timeSignature !== DEFAULT_TIME_SIGNATURE) words.push(timeSignature);
+  
+  flattenPattern(bars).forEach(note => {
+    if (note.isBarline) {
+      words.push('|');
+      return;
+    }
+    
+    let word = VALUE_NAMES[note.type][0];
+    if (note.dotted) word += '.';
+    if (note.rest) word += 'r';
+    if (note.tieToNext && !note.rest) word += '~';
+    
+    if (note.tuplet && note.tuplet.index === 0) {
+      const { num } = note.tuplet;
+      const inSpaceOf = getTupletInSpaceOf(note.tuplet);
+      const usual = getTupletInSpaceOf({ num });
+      word = `${num}${inSpaceOf === usual ? '' : `:${inSpaceOf}`}(${word}`;
+    }
+    if (note.tuplet && note.tuplet.index === (note.tuplet.size || note.tuplet.num) - 1) {
+      word += ')';
+    }
+    words.push(word);
+  });
+  return words.join(' ');
+}
+
+// Parse counting syllables. Returns { timeSignature, bars, errors }; bars is
+// null when there are errors.
+export function parseCountingText(text, { timeSignature = DEFAULT_TIME_SIGNATURE } = {}) {
+  const errors = [];
+  const error = (token, message) => errors.push({ line: token.line, column: token.column, message });
+  if (!TIME_SIGNATURES[timeSignature]) {
+    return { timeSignature, bars: null, errors: [{ line: 1, column: 1, message: `Unsupported time signature "${timeSignature}"` }] };
+  }
+  
+  const meter = getMeter(timeSignature);
+  const offsets = meter.compound ? SYLLABLE_OFFSETS.compound : meter.beatLength === 1 ? SYLLABLE_OFFSETS.simple : SYLLABLE_OFFSETS.eighths;
+  const tokens = tokenize(text, /\s+|#[^\n]*|\(\d+\)|\d+|trip|let|[e&a]|-|\||[^\s\d#|&()-]+|./y);
+  
+  // Read the syllables into beats: { bar, beat, onsets: [{ offset, token }], hold }
+  const beats = new Map();
+  let bar = 0;
+  let beat = -1; // Beat in the bar the syllables belong to
+  let barlineSeen = false;
+  const getBeat = () => {
+    const key = `${bar}:${beat}`;
+    if (!beats.has(key)) beats.set(key, { bar, beat, onsets: [], hold: null });
+    return beats.get(key);
+  };
+  
+  tokens.forEach(token => {
+    if (token.text === '|') {
+      if (beat >= 0) {
+        bar++;
+        beat = -1;
+      }
+      barlineSeen = true;
+      return;
+    }
+    
+    if (/^(\d+|\(\d+\))$/.test(token.text)) {
+      const silent = token.text.startsWith('(');
+      const number = Number(token.text.replace(/[()]/g, ''));
+      if (number < 1 || number > meter.beatsPerBar) {
+        error(token, `There is no beat ${number} in ${timeSignature} (count 1 to ${meter.beatsPerBar})`);
+        return;
+      }
+      if (number - 1 <= beat && !barlineSeen) {
+        bar++; // Counting back starts the next bar
+      }
+      beat = number - 1;
+      barlineSeen = false;
+      if (!silent) getBeat().onsets.push({ offset: 0, token });
+      else getBeat();
+      return;
+    }
+    
+    if (token.text === '-') {
+      beat++;
+      if (beat >= meter.beatsPerBar) {
+        bar++;
+        beat = 0;
+      }
+      barlineSeen = false;
+      getBeat().hold = token;
+      return;
+    }
+    
+    if (offsets[token.text] === undefined) {
+      const known = SYLLABLE_OFFSETS.simple[token.text] !== undefined;
+      error(token, known ? `"${token.text}" can't be counted in ${timeSignature} (use ${Object.keys(offsets).join(', ')})` : `Unknown syllable "${token.text}"`);
+      return;
+    }
+    if (beat < 0) {
+      error(token, `"${token.text}" needs a beat number before it`);
+      return;
+    }
+    
+    const current = getBeat();
+    const offset = offsets[token.text];
+    const previous = current.onsets[current.onsets.length - 1];
+    const triplet = token.text === 'trip' || token.text === 'let';
+    if (current.hold) {
+      error(token, `"${token.text}" follows a held beat - count the beat's number first`);
+    } else if (previous && offset <= previous.offset + 1e-6) {
+      error(token, `"${token.text}" is out of order in beat ${beat + 1}`);
+    } else if (current.onsets.some(onset => onset.offset > 0 && (onset.token.text === 'trip' || onset.token.text === 'let') !== triplet)) {
+      error(token, `Beat ${beat + 1} mixes triplets with e, & and a`);
+    } else {
+      current.onsets.push({ offset, token });
+    }
+  });
+  
+  if (errors.length > 0) return { timeSignature, bars: null, errors };
+  if (beats.size === 0) {
+    return { timeSignature, bars: null, errors: [{ line: 1, column: 1, message: 'Nothing counted' }] };
+  }
+  
+  // Turn the beats into notes
+  const barCount = Math.max(...[...beats.values()].map(entry => entry.bar)) + 1;
+  const bars = [];
+  let last = null; // { note, startsOnBeat, bar } of the last element written
+  const { beatLength } = meter;
+  
+  for (let b = 0; b < barCount; b++) {
+    const notes = [];
+    for (let i = 0; i < meter.beatsPerBar; i++) {
+      const entry = beats.get(`${b}:${i}`) || { onsets: [], hold: null };
+      
+      if (entry.hold) {
+        if (!last || last.note.rest) {
+          error(entry.hold, '"-" holds a note, but nothing is sounding');
+          continue;
+        }
+        // Lengthen a note that started on a beat of this bar, tie anything else
+        const merged = last.bar === b && last.startsOnBeat && createNote(getNoteDuration(last.note) + beatLength, false);
+        if (merged) {
+          Object.keys(last.note).forEach(key => delete last.note[key]);
+          Object.assign(last.note, merged);
+        } else {
+          last.note.tieToNext = true;
+          const note = createNote(beatLength, false);
+          notes.push(note);
+          last = { note, startsOnBeat: true, bar: b };
+        }
+        continue;
+      }
+      
+      if (entry.onsets.length === 0) {
+        const rest = createNote(beatLength, true);
+        notes.push(rest);
+        last = { note: rest, startsOnBeat: true, bar: b };
+        continue;
+      }
+      
+      const points = entry.onsets.map(onset => onset.offset);
+      const triplet = entry.onsets.some(onset => onset.token.text === 'trip' || onset.token.text === 'let');
+      if (triplet) {
+        // Three triplet eighths; each note lasts until the next one starts
+        // (trip or let is always counted, so the group has at least two)
+        const slots = points.map(point => Math.round(point * 3));
+        const slotType = count => count === 1 ? 'eighth' : 'quarter';
+        const group = { tuplet: { num: 3, inSpaceOf: 2 }, notes: [] };
+        if (slots[0] > 0) group.notes.push({ type: slotType(slots[0]), rest: true });
+        slots.forEach((slot, k) => {
+          group.notes.push({ type: slotType((k < slots.length - 1 ? slots[k + 1] : 3) - slot), rest: false });
+        });
+        notes.push(group);
+        last = { note: group.notes[group.notes.length - 1], startsOnBeat: false, bar: b };
+        continue;
+      }
+      
+      if (points[0] > 0) {
+        notes.push(createNote(points[0] * beatLength, true));
+      }
+      points.forEach((point, k) => {
+        const note = createNote(((k < points.length - 1 ? points[k + 1] : 1) - point) * beatLength, false);
+        notes.push(note);
+        last = { note, startsOnBeat: point === 0, bar: b };
+      });
+    }
+    bars.push(notes);
+  }
+  
+  return { timeSignature, bars: errors.length === 0 ? bars : null, errors };
+}
+
+// A note or rest of this many quarter notes, plain or dotted, or null when no
+// single value is that long
+function createNote(length, rest) {
+  for (const [type, value] of Object.entries(NOTE_VALUES)) {
+    if (Math.abs(value - length) < 1e-6) return { type, rest };
+    if (Math.abs(value * 1.5 - length) < 1e-6) return { type, rest, dotted: true };
+  }
+  return null;
+}
+
+// Split text into tokens with their line and column, skipping whitespace and
+// comments. pattern is a sticky regex matching one token (or gap) at a time.
+function tokenize(text, pattern) {
+  const tokens = [];
+  let line = 1;
+  let lineStart = 0;
+  pattern.lastIndex = 0;
+  
+  while (pattern.lastIndex < text.length) {
+    const start = pattern.lastIndex;
+    const match = pattern.exec(text);
+    const value = match[0];
+    if (!/^\s/.test(value) && !value.startsWith('#')) {
+      tokens.push({ text: value, line, column: start - lineStart + 1 });
+    }
+    for (let i = 0; i < value.length; i++) {
+      if (value[i] === '\n') {
+        line++;
+        lineStart = start + i + 1;
+      }
+    }
+  }
+  return tokens;
+}
@@ -0,0 +1,172 @@
+// Scheduler Module - Spaced-repetition choice of the next pattern
+//
+// Each pattern a player has played is a review card updated with SM-2: a
+// clean game pushes the pattern further out (1, then 6, then interval x ease
+// games), a failed one brings it back next-but-one and makes it come round
+// more often. Intervals count the player's games rather than days, so the
+// spacing works inside one practice session too.
+//
+// The next pattern of a level is the most overdue card, else a pattern not
+// played yet (in library order), else the card due soonest. Once enough of a
+// level's patterns are mastered the player is promoted to the next level.
+// Cards are kept by pattern id (see getPatternId), so a pattern keeps its
+// schedule when the patterns around it change. The schedule is rebuilt from
+// the profile's result history, so it needs no storage of its own.
+
+import { getLevels, getPatternsForLevel, getPatternId } from './patterns.js';
+
+// How the "Next Pattern" button chooses
+export const PATTERN_ORDERS = {
+  sequential: { label: 'In order' },
+  difficulty: { label: 'Easiest first' },
+  adaptive: { label: 'Spaced repetition' }
+};
+export const DEFAULT_PATTERN_ORDER = 'sequential';
+
+// SM-2 review quality (0-5) of a game's overall result; below 3 is a lapse
+const RESULT_QUALITY = { perfect: 5, good: 4, close: 2, miss: 0 };
+
+const INITIAL_EASE = 2.5;
+const MIN_EASE = 1.3;
+
+// A pattern is mastered after this many clean reviews in a row; a level once
+// this share of its patterns is
+export const MASTERY_REPETITIONS = 3;
+export const MASTERY_SHARE = 0.8;
+
+// SM-2 quality of a game result
+export function getResultQuality(overallResult) {
+  return RESULT_QUALITY[overallResult] ?? 0;
+}
+
+// Create a scheduler from a result history (oldest game first).
+// Options:
+//   getLevels - levels in promotion order
+//   getPatternIds - the pattern ids of a level, in library order
+export function createPatternScheduler(history = [], {
+  getLevels: levelsOf = getLevels,
+  getPatternIds = level => getPatternsForLevel(level).map(getPatternId)
+} = {}) {
+  let turn = 0; // Games reviewed so far - the unit intervals are counted in
+  const cards = new Map(); // pattern id -> card
+  let pendingPromotion = null; // Level just mastered by the last game
+  
+  // Update a pattern's card with a game's result (games without a pattern id
+  // can't be told apart and are left out)
+  function recordResult({ level, patternId, overallResult }) {
+    if (!level || !patternId) return null;
+    
+    const wasMastered = isLevelMastered(level);
+    const card = cards.get(patternId) || {
+      level,
+      patternId,
+      repetitions: 0,
+      interval: 0,
+      easeFactor: INITIAL_EASE,
+      lapses: 0,
+      due: 0,
+      lastQuality: null
+    };
+    
+    turn++;
+    const quality = getResultQuality(overallResult);
+    if (quality >= 3) {
+      card.interval = card.repetitions === 0 ? 1 : card.repetitions === 1 ? 6 : Math.round(card.interval * card.easeFactor);
+      card.repetitions++;
+    } else {
+      card.repetitions = 0;
+      card.interval = 1;
+      card.lapses++;
+    }
+    card.easeFactor = Math.max(MIN_EASE, card.easeFactor + 0.1 - (5 - quality) * (0.08 + (5 - quality) * 0.02));
+    card.due = turn + card.interval;
+    card.lastQuality = quality;
+    cards.set(patternId, card);
+    
+    if (!wasMastered && isLevelMastered(level)) {
+      pendingPromotion = level;
+    }
+    return card;
+  }
+  
+  // Choose the next pattern of a level: { level, index, reason } where
+  // reason is 'promoted', 'review', 'new' or 'ahead' (nothing due yet).
+  // lastIndex (the pattern just shown) is not picked twice in a row.
+  function pickNext(level, { lastIndex = null } = {}) {
+    let promoted = false;
+    if (pendingPromotion === level) {
+      pendingPromotion = null;
+      const levels = levelsOf();
+      const next = levels.includes(level) ? levels[levels.indexOf(level) + 1] : null;
+      if (next) {
+        level = next;
+        lastIndex = null;
+        promoted = true;
+      }
+    }
+    
+    const ids = getPatternIds(level);
+    if (ids.length === 0) return null;
+    
+    let candidates = ids.map((_, index) => index);
+    if (ids.length > 1 && lastIndex !== null) {
+      candidates = candidates.filter(index => index !== lastIndex);
+    }
+    
+    const seen = candidates
+      .filter(index => cards.has(ids[index]))
+      .map(index => ({ index, card: cards.get(ids[index]) }));
+    const overdue = seen
+      .filter(({ card }) => card.due <= turn)
+      .sort((a, b) => a.card.due - b.card.due || a.card.easeFactor - b.card.easeFactor || a.index - b.index);
+    const unseen = candidates.filter(index => !cards.has(ids[index]));
+    
+    let index;
+    let reason;
+    if (overdue.length > 0) {
+      index = overdue[0].index;
+      reason = 'review';
+    } else if (unseen.length > 0) {
+      index = unseen[0];
+      reason = 'new';
+    } else {
+      index = [...seen].sort((a, b) => a.card.due - b.card.due || a.index - b.index)[0].index;
+      reason = 'ahead';
+    }
+    return { level, index, reason: promoted ? 'promoted' : reason };
+  }
+  
+  // How much of a level is mastered: { mastered, total, share, isMastered }
+  function getLevelMastery(level) {
+    const ids = getPatternIds(level);
+    const total = ids.length;
+    const mastered = ids.filter(id => {
+      const card = cards.get(id);
+      return card && card.repetitions >= MASTERY_REPETITIONS;
+    }).length;
+    const share = total > 0 ? mastered / total : 0;
+    return { mastered, total, share, isMastered: total > 0 && share >= MASTERY_SHARE };
+  }
+  
+  function isLevelMastered(level) {
+    return getLevelMastery(level).isMastered;
+  }
+  
+  function getCard(patternId) {
+    const card = cards.get(patternId);
+    return card ? { ...card, gamesUntilDue: card.due - turn } : null;
+  }
+  
+  // Replay the history; only games played from now on promote
+  history.forEach(recordResult);
+  pendingPromotion = null;
+  
+  return {
+    recordResult,
+    pickNext,
+    getLevelMastery,
+    getCard,
+    getTurn: () => turn
+  };
+}
+
@@ -0,0 +1,134 @@
+// Tap Alignment Module - Match recorded taps to expected note onsets
+//
+// A pure function (no DOM, no audio, no module state) so it can be run and
+// tested anywhere. Taps and onsets are aligned in order by dynamic
+// programming: every onset is either matched to one tap or missed, every tap
+// is either matched or extra, matches never cross (a later tap never goes to an
+// earlier note), and the alignment with the lowest total cost wins.
+//
+// Cost of a match is how far the tap is from its onset after removing the
+// player's overall bias, so a player who is consistently late still has each
+// tap matched to the note it was meant for rather than to the next one. The
+// bias is searched in steps and chosen together with the alignment; a small
+// penalty keeps it at zero unless shifting really explains the taps better.
+
+export const DEFAULT_ALIGNMENT_OPTIONS = {
+  maxWindow: 300,     // ms - taps further than this from an onset (after the bias) can't match it
+  missCost: 250,      // cost of leaving an onset without a tap
+  extraCost: 250,     // cost of a tap that matches no onset
+  maxBias: 250,       // ms - largest constant early/late bias considered
+  biasStep: 10,       // ms between bias candidates (0 disables the search)
+  biasPenalty: 0.25   // cost per ms of bias, per matched tap
+};
+
+// Align expected onset times with tap times (both in ms, any order).
+// Returns {
+//   matches: [{ onset, tap, offset }] - indices into the inputs, offset is
+//     tapTime - onsetTime (positive = late), in onset order
+//   missed: [onset indices without a tap]
+//   extra: [tap indices that matched nothing]
+//   bias - the constant offset (ms) the alignment assumed for the player
+//   cost - total cost of the alignment
+// }
+export function alignTapsToOnsets(onsetTimes, tapTimes, options = {}) {
+  const settings = { ...DEFAULT_ALIGNMENT_OPTIONS, ...options };
+  const onsets = sortedIndices(onsetTimes);
+  const taps = sortedIndices(tapTimes);
+  
+  let best = alignWithBias(onsets, taps, onsetTimes, tapTimes, 0, settings);
+  
+  if (settings.biasStep > 0) {
+    for (let bias = -settings.maxBias; bias <= settings.maxBias; bias += settings.biasStep) {
+      if (bias === 0) continue;
+      const candidate = alignWithBias(onsets, taps, onsetTimes, tapTimes, bias, settings);
+      if (candidate.cost < best.cost) best = candidate;
+    }
+  }
+  
+  return best;
+}
+
+// Input indices in time order
+function sortedIndices(times) {
+  return times.map((time, index) => index).sort((a, b) => times[a] - times[b] || a - b);
+}
+
+// Optimal order-preserving alignment for one bias
+function alignWithBias(onsets, taps, onsetTimes, tapTimes, bias, settings) {
+  const { maxWindow, missCost, extraCost, biasPenalty } = settings;
+  const rows = onsets.length + 1;
+  const cols = taps.length + 1;
+  
+  // cost[i][j]: cheapest alignment of the first i onsets with the first j taps
+  // step[i][j]: how it got there - 'match', 'miss' (onset i-1) or 'extra' (tap j-1)
+  const cost = Array.from({ length: rows }, () => new Float64Array(cols));
+  const step = Array.from({ length: rows }, () => new Array(cols));
+  
+  for (let i = 1; i < rows; i++) {
+    cost[i][0] = cost[i - 1][0] + missCost;
+    step[i][0] = 'miss';
+  }
+  for (let j = 1; j < cols; j++) {
+    cost[0][j] = cost[0][j - 1] + extraCost;
+    step[0][j] = 'extra';
+  }
+  
+  for (let i = 1; i < rows; i++) {
+    const onsetTime = onsetTimes[onsets[i - 1]];
+    
+    for (let j = 1; j < cols; j++) {
+      const offset = tapTimes[taps[j - 1]] - onsetTime;
+      
+      // Prefer a match, then a miss, then an extra tap when costs are equal
+      let bestCost = Infinity;
+      let bestStep = null;
+      if (Math.abs(offset - bias) <= maxWindow) {
+        bestCost = cost[i - 1][j - 1] + Math.abs(offset - bias) + biasPenalty * Math.abs(bias);
+        bestStep = 'match';
+      }
+      if (cost[i - 1][j] + missCost < bestCost) {
+        bestCost = cost[i - 1][j] + missCost;
+        bestStep = 'miss';
+      }
+      if (cost[i][j - 1] + extraCost < bestCost) {
+        bestCost = cost[i][j - 1] + extraCost;
+        bestStep = 'extra';
+      }
+      
+      cost[i][j] = bestCost;
+      step[i][j] = bestStep;
+    }
+  }
+  
+  // Walk back from the full alignment
+  const matches = [];
+  const missed = [];
+  const extra = [];
+  let i = rows - 1;
+  let j = cols - 1;
+  
+  while (i > 0 || j > 0) {
+    const taken = step[i][j];
+    if (taken === 'match') {
+      const onset = onsets[i - 1];
+      const tap = taps[j - 1];
+      matches.push({ onset, tap, offset: tapTimes[tap] - onsetTimes[onset] });
+      i--;
+      j--;
+    } else if (taken === 'miss') {
+      missed.push(onsets[i - 1]);
+      i--;
+    } else {
+      extra.push(taps[j - 1]);
+      j--;
+    }
+  }
+  
+  return {
+    matches: matches.reverse(),
+    missed: missed.reverse(),
+    extra: extra.reverse(),
+    bias,
+    cost: cost[rows - 1][cols - 1]
+  };
+}
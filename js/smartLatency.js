@@ -1,6 +1,8 @@
 // Smart Audio Latency Compensation
 // More conservative and adaptive approach
 
+import { globalClock } from './utils/Clock.js';
+
 class SmartLatencyCompensator {
   constructor() {
     this.baseCompensation = this.detectBaseLatency();
@@ -58,7 +60,7 @@ class SmartLatencyCompensator {
       expectedTime,
       difference: tapTime - expectedTime,
       wasAccurate,
-      timestamp: Date.now()
+      timestamp: globalClock.wallTime()
     };
 
     this.tapHistory.push(timing);
@@ -150,6 +152,27 @@ class SmartLatencyCompensator {
     this.learningMode = true;
     console.log(`🎵 Latency learning reset`);
   }
+  
+  // Calibration to store with a player profile
+  getCalibration() {
+    return {
+      baseCompensation: this.baseCompensation,
+      adaptiveOffset: this.adaptiveOffset,
+      learningMode: this.learningMode
+    };
+  }
+  
+  // Restore a calibration saved by getCalibration()
+  applyCalibration(calibration) {
+    if (!calibration || !Number.isFinite(calibration.baseCompensation)) return false;
+    
+    this.baseCompensation = calibration.baseCompensation;
+    this.adaptiveOffset = Number.isFinite(calibration.adaptiveOffset) ? calibration.adaptiveOffset : 0;
+    this.learningMode = calibration.learningMode !== false;
+    this.tapHistory = [];
+    console.log(`🎵 Latency calibration restored: ${this.getCurrentCompensation()}ms`);
+    return true;
+  }
 }
 
 export default SmartLatencyCompensator;
@@ -0,0 +1,208 @@
+/**
+ * Clock - Injectable time source for audio, input and scheduling
+ * Modules read the time and set their timers through globalClock instead of
+ * calling performance.now(), Date.now() and setTimeout directly, so a
+ * ManualClock can drive the metronome, count-in, taps and analysis
+ * deterministically - and faster than real time
+ */
+
+/**
+ * The browser's own clock: performance.now() and real timers
+ */
+export class RealClock {
+  constructor() {
+    this.name = 'real';
+    this.isVirtual = false;
+  }
+
+  /**
+   * Current time in ms
+   */
+  now() {
+    return performance.now();
+  }
+
+  /**
+   * Wall-clock time in ms since the epoch (for stored timestamps)
+   */
+  wallTime() {
+    return Date.now();
+  }
+
+  /**
+   * Run a callback after delay ms of this clock's time
+   */
+  setTimeout(callback, delay = 0) {
+    return setTimeout(callback, delay);
+  }
+
+  clearTimeout(id) {
+    clearTimeout(id);
+  }
+}
+
+/**
+ * Time read from an AudioContext, in ms on the audio hardware's timeline.
+ * Taps and beats then share the clock the clicks are played on. Timers are
+ * still real ones; the context must be running for its time to advance.
+ */
+export class AudioContextClock extends RealClock {
+  constructor(audioContext) {
+    super();
+    this.name = 'audio';
+    this.audioContext = audioContext;
+  }
+
+  now() {
+    return this.audioContext.currentTime * 1000;
+  }
+}
+
+/**
+ * A virtual clock that only moves when told to. Timers fire in time order
+ * (then in the order they were set) as advance() passes them, including timers
+ * set by those callbacks, so a whole game can be replayed in one synchronous call.
+ * Nothing is heard while it is in use - audio times have no real meaning.
+ */
+export class ManualClock {
+  constructor(startTime = 0, { epoch = 0 } = {}) {
+    this.name = 'manual';
+    this.isVirtual = true;
+    this.time = startTime;
+    this.epoch = epoch;
+    this.timers = [];
+    this.nextTimerId = 1;
+  }
+
+  now() {
+    return this.time;
+  }
+
+  wallTime() {
+    return this.epoch + this.time;
+  }
+
+  setTimeout(callback, delay = 0) {
+    const id = this.nextTimerId++;
+    this.timers.push({ id, due: this.time + Math.max(0, delay || 0), callback });
+    return id;
+  }
+
+  clearTimeout(id) {
+    this.timers = this.timers.filter(timer => timer.id !== id);
+  }
+
+  /**
+   * Move time forward by ms, firing every timer that comes due on the way.
+   * Returns the number of timers fired.
+   */
+  advance(ms) {
+    return this.advanceTo(this.time + ms);
+  }
+
+  /**
+   * Move time forward to an absolute time (never backwards)
+   */
+  advanceTo(time) {
+    let fired = 0;
+    let next = this.getNextTimer();
+
+    while (next && next.due <= time) {
+      this.timers = this.timers.filter(timer => timer !== next);
+      this.time = Math.max(this.time, next.due);
+      try {
+        next.callback();
+      } catch (error) {
+        console.error('❌ Manual clock timer failed:', error);
+      }
+      fired++;
+      next = this.getNextTimer();
+    }
+
+    this.time = Math.max(this.time, time);
+    return fired;
+  }
+
+  /**
+   * Fire timers until none are left, stopping at maxTime so a timer loop
+   * that reschedules itself (like the metronome) cannot run forever
+   */
+  runUntilIdle(maxTime = this.time + 60000) {
+    let fired = 0;
+    let next = this.getNextTimer();
+
+    while (next && next.due <= maxTime) {
+      fired += this.advanceTo(next.due);
+      next = this.getNextTimer();
+    }
+    return fired;
+  }
+
+  /**
+   * The timer that fires next, or null
+   */
+  getNextTimer() {
+    return this.timers.reduce((first, timer) =>
+      !first || timer.due < first.due || (timer.due === first.due && timer.id < first.id) ? timer : first, null);
+  }
+
+  getPendingTimers() {
+    return this.timers.length;
+  }
+}
+
+/**
+ * The clock service every module consumes. Swap the clock while nothing is
+ * scheduled on it (timers belong to the clock that set them).
+ */
+export class ClockService {
+  constructor(clock = new RealClock()) {
+    this.clock = clock;
+  }
+
+  /**
+   * Make a clock the active one
+   */
+  use(clock) {
+    if (!clock || typeof clock.now !== 'function' || typeof clock.setTimeout !== 'function' || typeof clock.clearTimeout !== 'function') {
+      console.warn('⚠️ A clock needs now(), setTimeout() and clearTimeout():', clock);
+      return false;
+    }
+
+    this.clock = clock;
+    console.log(`🕐 Using the ${clock.name || 'custom'} clock`);
+    return true;
+  }
+
+  /**
+   * Go back to the browser's clock
+   */
+  reset() {
+    return this.use(new RealClock());
+  }
+
+  get isVirtual() {
+    return Boolean(this.clock.isVirtual);
+  }
+
+  now() {
+    return this.clock.now();
+  }
+
+  wallTime() {
+    return typeof this.clock.wallTime === 'function' ? this.clock.wallTime() : Date.now();
+  }
+
+  setTimeout(callback, delay = 0) {
+    return this.clock.setTimeout(callback, delay);
+  }
+
+  clearTimeout(id) {
+    this.clock.clearTimeout(id);
+  }
+}
+
+// Global clock service instance
+export const globalClock = new ClockService();
+
+export default ClockService;
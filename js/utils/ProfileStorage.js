@@ -0,0 +1,235 @@
+/**
+ * ProfileStorage - Local persistence for player profiles, their results and
+ * the custom pattern library
+ * IndexedDB when the browser allows it, localStorage otherwise and plain
+ * memory as a last resort (private windows, Node). Every backend has the same
+ * promise-based API over named stores of records keyed by their `id`.
+ */
+
+import { globalClock } from './Clock.js';
+
+// Version of the stored layout. Bump it and add an upgrade step below (and a
+// record migration in profiles.js if records change shape) - never edit an
+// existing step, old databases still run through it.
+export const STORAGE_SCHEMA_VERSION = 3;
+
+const DB_NAME = 'rhythm-game';
+const KEY_PREFIX = 'rhythmGame';
+export const STORES = ['profiles', 'results', 'meta', 'customPatterns'];
+
+// Structural upgrades of the IndexedDB database, by the version they create
+const DB_UPGRADES = {
+  1: db => {
+    db.createObjectStore('profiles', { keyPath: 'id' });
+    const results = db.createObjectStore('results', { keyPath: 'id' });
+    results.createIndex('profileId', 'profileId');
+    db.createObjectStore('meta', { keyPath: 'id' });
+  },
+  2: db => {
+    db.createObjectStore('customPatterns', { keyPath: 'id' });
+  },
+  // Game results gained a pattern id - migrated as they are read
+  3: () => {}
+};
+
+/**
+ * IndexedDB backend
+ */
+export class IndexedDBStorage {
+  constructor(factory) {
+    this.name = 'indexedDB';
+    this.factory = factory;
+    this.db = null;
+  }
+
+  /**
+   * Open (creating or upgrading) the database
+   */
+  open() {
+    return new Promise((resolve, reject) => {
+      const request = this.factory.open(DB_NAME, STORAGE_SCHEMA_VERSION);
+
+      request.onupgradeneeded = event => {
+        const db = request.result;
+        for (let version = event.oldVersion + 1; version <= STORAGE_SCHEMA_VERSION; version++) {
+          console.log(`🗄️ Upgrading profile database to version ${version}`);
+          DB_UPGRADES[version](db, request.transaction);
+        }
+      };
+      request.onsuccess = () => {
+        this.db = request.result;
+        // Another tab upgrading the database needs this one closed
+        this.db.onversionchange = () => this.db.close();
+        resolve(this);
+      };
+      request.onerror = () => reject(request.error);
+      request.onblocked = () => console.warn('⚠️ Profile database upgrade is waiting for other tabs to close');
+    });
+  }
+
+  getAll(store) {
+    return this.request(store, 'readonly', objectStore => objectStore.getAll());
+  }
+
+  getAllByIndex(store, index, value) {
+    return this.request(store, 'readonly', objectStore => objectStore.index(index).getAll(value));
+  }
+
+  get(store, id) {
+    return this.request(store, 'readonly', objectStore => objectStore.get(id)).then(record => record ?? null);
+  }
+
+  put(store, record) {
+    return this.request(store, 'readwrite', objectStore => objectStore.put(record)).then(() => record);
+  }
+
+  delete(store, id) {
+    return this.request(store, 'readwrite', objectStore => objectStore.delete(id)).then(() => true);
+  }
+
+  /**
+   * Run one request in its own transaction, resolving when it has committed
+   */
+  request(store, mode, makeRequest) {
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction(store, mode);
+      const request = makeRequest(transaction.objectStore(store));
+      transaction.oncomplete = () => resolve(request.result);
+      transaction.onerror = () => reject(transaction.error || request.error);
+      transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+    });
+  }
+}
+
+/**
+ * Backend over a Storage-like object (localStorage, or MemoryStore); each
+ * store is one JSON object of records by id
+ */
+export class KeyValueStorage {
+  constructor(storage, name = 'localStorage') {
+    this.name = name;
+    this.storage = storage;
+  }
+
+  open() {
+    // Stores are created by their first write, so versions up to 2 need no
+    // upgrade; later versions that reshape data upgrade here
+    const key = `${KEY_PREFIX}.schemaVersion`;
+    const version = Number(this.storage.getItem(key)) || 0;
+    if (version < STORAGE_SCHEMA_VERSION) {
+      this.storage.setItem(key, String(STORAGE_SCHEMA_VERSION));
+    }
+    return Promise.resolve(this);
+  }
+
+  getAll(store) {
+    return Promise.resolve(Object.values(this.read(store)));
+  }
+
+  getAllByIndex(store, index, value) {
+    return this.getAll(store).then(records => records.filter(record => record[index] === value));
+  }
+
+  get(store, id) {
+    return Promise.resolve(this.read(store)[id] ?? null);
+  }
+
+  put(store, record) {
+    return this.update(store, records => {
+      records[record.id] = record;
+    }).then(() => record);
+  }
+
+  delete(store, id) {
+    return this.update(store, records => {
+      delete records[id];
+    }).then(() => true);
+  }
+
+  read(store) {
+    try {
+      return JSON.parse(this.storage.getItem(`${KEY_PREFIX}.${store}`)) || {};
+    } catch (error) {
+      console.warn(`⚠️ Stored ${store} could not be read - starting empty:`, error);
+      return {};
+    }
+  }
+
+  update(store, change) {
+    try {
+      const records = this.read(store);
+      change(records);
+      this.storage.setItem(`${KEY_PREFIX}.${store}`, JSON.stringify(records));
+      return Promise.resolve();
+    } catch (error) {
+      // Usually the storage quota
+      return Promise.reject(error);
+    }
+  }
+}
+
+/**
+ * In-memory stand-in for localStorage
+ */
+export class MemoryStore {
+  constructor() {
+    this.items = new Map();
+  }
+
+  getItem(key) {
+    return this.items.has(key) ? this.items.get(key) : null;
+  }
+
+  setItem(key, value) {
+    this.items.set(key, String(value));
+  }
+
+  removeItem(key) {
+    this.items.delete(key);
+  }
+}
+
+/**
+ * Unique id for a stored record
+ */
+export function createRecordId() {
+  if (typeof crypto !== 'undefined' && typeof crypto.randomUUID === 'function') {
+    return crypto.randomUUID();
+  }
+  return `${globalClock.wallTime().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+}
+
+/**
+ * Open the best storage available: IndexedDB, then localStorage, then memory
+ */
+export function openProfileStorage() {
+  const candidates = [];
+  if (typeof indexedDB !== 'undefined') {
+    candidates.push(() => new IndexedDBStorage(indexedDB));
+  }
+  if (typeof localStorage !== 'undefined') {
+    candidates.push(() => new KeyValueStorage(localStorage, 'localStorage'));
+  }
+  candidates.push(() => new KeyValueStorage(new MemoryStore(), 'memory'));
+
+  const tryNext = index => {
+    let backend;
+    try {
+      backend = candidates[index]();
+    } catch (error) {
+      return index + 1 < candidates.length ? tryNext(index + 1) : Promise.reject(error);
+    }
+
+    return Promise.resolve().then(() => backend.open()).catch(error => {
+      console.warn(`⚠️ ${backend.name} storage unavailable:`, error);
+      return tryNext(index + 1);
+    });
+  };
+
+  return tryNext(0).then(backend => {
+    console.log(`🗄️ Profiles stored in ${backend.name} (schema v${STORAGE_SCHEMA_VERSION})`);
+    return backend;
+  });
+}
+
+export default openProfileStorage;
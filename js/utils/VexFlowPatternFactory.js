@@ -27,6 +27,7 @@ export class VexFlowPatternFactory {
     const note = new Vex.Flow.StaveNote({
       keys: keys,
       duration: rest ? `${duration}r` : duration,
+      dots: dotted ? 1 : 0, // Dotted notes need the extra ticks, not just the dot glyph
       auto_stem: true // Let VexFlow determine stem direction
     });
 
@@ -44,20 +45,20 @@ export class VexFlowPatternFactory {
    * Clone a StaveNote for reuse (prevents state sharing)
    */
   cloneStaveNote(originalNote) {
+    // Match modifiers by category - class names are mangled in the minified build
+    const dotted = originalNote.getModifiersByType(Vex.Flow.Dot.CATEGORY).length > 0;
+    
     // Create new note with same properties
     const cloned = new Vex.Flow.StaveNote({
       keys: originalNote.keys,
-      duration: originalNote.duration,
-      auto_stem: originalNote.auto_stem
+      duration: originalNote.isRest() ? `${originalNote.duration}r` : originalNote.duration,
+      dots: dotted ? 1 : 0,
+      auto_stem: true
     });
     
     // Copy modifiers if any
-    if (originalNote.modifiers) {
-      originalNote.modifiers.forEach(modifier => {
-        if (modifier.constructor.name === 'Dot') {
-          Vex.Flow.Dot.buildAndAttach([cloned], { all: true });
-        }
-      });
+    if (dotted) {
+      Vex.Flow.Dot.buildAndAttach([cloned], { all: true });
     }
     
     return cloned;
@@ -65,39 +66,80 @@ export class VexFlowPatternFactory {
 
   /**
    * Optimized pattern conversion with caching
+   * @param {Array} flatPattern - Flattened pattern elements
+   * @param {Object} [meter] - Meter from patterns.getMeter() (defaults to 4/4)
    */
-  convertPatternToVexFlow(flatPattern) {
-    const cacheKey = this.createPatternCacheKey(flatPattern);
+  convertPatternToVexFlow(flatPattern, meter = null) {
+    const cacheKey = `${meter ? meter.timeSignature : '4/4'}#${this.createPatternCacheKey(flatPattern)}`;
     
     if (this.formatCache.has(cacheKey)) {
       return this.formatCache.get(cacheKey);
     }
 
     const notes = [];
+    const bars = [{ notes: [] }]; // The same notes split at the barlines
     const restPositions = new Set();
+    const tupletGroups = [];
+    const ties = [];
+    let tiedFrom = null; // Note (and its keys) the previous element ties on from
 
     // Convert pattern to notes efficiently
     for (let i = 0; i < flatPattern.length; i++) {
       const element = flatPattern[i];
       
-      // Skip barlines
-      if (element.isBarline) continue;
+      // Barlines start the next bar
+      if (element.isBarline) {
+        bars.push({ notes: [] });
+        continue;
+      }
 
       const noteConfig = this.createNoteConfig(element, i);
+      // A tied note continues the same pitch
+      if (tiedFrom && !element.rest) {
+        noteConfig.keys = tiedFrom.keys;
+      }
       const note = this.createStaveNote(noteConfig);
       
       notes.push(note);
+      bars[bars.length - 1].notes.push(note);
+      
+      if (tiedFrom && !element.rest) {
+        ties.push(this.createTie(tiedFrom.note, note));
+      }
+      tiedFrom = element.tieToNext && !element.rest ? { note, keys: noteConfig.keys } : null;
+      
+      // Collect tuplet groups - a group starts at its first note (index 0)
+      if (element.tuplet) {
+        const group = tupletGroups[tupletGroups.length - 1];
+        if (!group || !element.tuplet.index || group.notes.length >= (group.tuplet.size || group.tuplet.num)) {
+          tupletGroups.push({ tuplet: element.tuplet, notes: [note] });
+        } else {
+          group.notes.push(note);
+        }
+      }
       
       if (element.rest) {
         restPositions.add(i);
       }
     }
 
+    // Tuplets scale their notes' ticks, so create them before beaming and voicing
+    const tuplets = this.createTuplets(tupletGroups);
+    
+    // Beams and voices never cross a barline
+    bars.forEach(bar => {
+      bar.beams = this.createOptimizedBeams(bar.notes, meter);
+      bar.voices = this.createOptimizedVoices(bar.notes, meter);
+    });
+    
     const result = {
       notes,
+      bars,
       restPositions,
-      beams: this.createOptimizedBeams(notes),
-      voices: this.createOptimizedVoices(notes)
+      tuplets,
+      ties,
+      beams: bars.flatMap(bar => bar.beams),
+      voices: bars.flatMap(bar => bar.voices)
     };
 
     // Cache the result
@@ -108,13 +150,14 @@ export class VexFlowPatternFactory {
   /**
    * Create optimized beams using VexFlow's automatic beaming
    */
-  createOptimizedBeams(notes) {
+  createOptimizedBeams(notes, meter = null) {
     try {
       // Use VexFlow's automatic beam generation (most efficient)
       return Vex.Flow.Beam.generateBeams(notes, {
         beam_rests: false,
         beam_middle_only: true,
-        show_stemlets: false
+        show_stemlets: false,
+        groups: this.getBeamGroups(meter)
       });
     } catch (error) {
       console.warn('Automatic beaming failed, falling back to manual:', error);
@@ -153,17 +196,76 @@ export class VexFlowPatternFactory {
   }
 
   /**
-   * Create optimized voices
+   * Tie two notes of the same pitch
+   */
+  createTie(firstNote, lastNote) {
+    return new Vex.Flow.StaveTie({
+      first_note: firstNote,
+      last_note: lastNote,
+      first_indices: [0],
+      last_indices: [0]
+    });
+  }
+  
+  /**
+   * Draw a tie, split into two open-ended halves when its notes are on
+   * different systems
+   */
+  drawTie(context, tie) {
+    const { first_note: firstNote, last_note: lastNote } = tie.getNotes();
+    
+    if (firstNote.getStave().getY() === lastNote.getStave().getY()) {
+      tie.setContext(context).draw();
+      return;
+    }
+    
+    new Vex.Flow.StaveTie({ first_note: firstNote, first_indices: [0] }).setContext(context).draw();
+    new Vex.Flow.StaveTie({ last_note: lastNote, last_indices: [0] }).setContext(context).draw();
+  }
+  
+  /**
+   * Create tuplet brackets (e.g. the "3" over triplets)
+   */
+  createTuplets(tupletGroups) {
+    return tupletGroups.map(({ tuplet, notes }) => new Vex.Flow.Tuplet(notes, {
+      num_notes: tuplet.num,
+      notes_occupied: tuplet.inSpaceOf,
+      ratioed: false
+    }));
+  }
+  
+  /**
+   * Beam groups for a meter: one group per beat (dotted quarters in compound
+   * meters), or per beat group in eighth-note meters such as 7/8 (2+2+3)
+   */
+  getBeamGroups(meter) {
+    if (!meter) {
+      return Vex.Flow.Beam.getDefaultBeamGroups('4/4');
+    }
+    
+    if (meter.denominator === 8 && meter.beatGroups) {
+      const eighthsPerBeat = meter.beatLength * 2;
+      return meter.beatGroups.map(size => new Vex.Flow.Fraction(size * eighthsPerBeat, 8));
+    }
+    
+    const unitsPerBeat = meter.beatLength * meter.denominator / 4;
+    return [new Vex.Flow.Fraction(unitsPerBeat, meter.denominator)];
+  }
+  
+  /**
+   * Create optimized voices (one bar of notes)
    */
-  createOptimizedVoices(notes) {
+  createOptimizedVoices(notes, meter = null) {
     if (notes.length === 0) return [];
 
     const voice = new Vex.Flow.Voice({
-      num_beats: 4,
-      beat_value: 4,
+      num_beats: meter ? meter.numerator : 4,
+      beat_value: meter ? meter.denominator : 4,
       resolution: Vex.Flow.RESOLUTION
     });
 
+    // Bars being edited may be short, so don't insist on exactly one bar of ticks
+    voice.setMode(Vex.Flow.Voice.Mode.SOFT);
     voice.addTickables(notes);
     return [voice];
   }
@@ -173,8 +275,7 @@ export class VexFlowPatternFactory {
    */
   createPatternCacheKey(pattern) {
     return pattern
-      .filter(el => !el.isBarline)
-      .map(el => `${el.type}:${el.rest}:${el.dotted}`)
+      .map(el => el.isBarline ? 'bar' : `${el.type}:${el.rest}:${el.dotted}${el.tieToNext ? ':tie' : ''}${el.tuplet ? `:${el.tuplet.num}/${el.tuplet.inSpaceOf}/${el.tuplet.index}` : ''}`)
       .join('|');
   }
 
@@ -220,23 +321,41 @@ export class VexFlowPatternFactory {
 
   /**
    * Render pattern with optimized formatting
+   * @param {Object|Array} staves - One stave per bar, or a single stave for all notes
    */
-  renderOptimized(context, stave, vexflowData) {
+  renderOptimized(context, staves, vexflowData) {
     try {
       // Clear context efficiently
       context.clear();
       
-      // Draw stave
-      stave.setContext(context).draw();
+      const staveList = Array.isArray(staves) ? staves : [staves];
+      const barNotes = staveList.length === 1 ? [vexflowData.notes] : vexflowData.bars.map(bar => bar.notes);
       
-      // Use VexFlow's optimized formatter
-      Vex.Flow.Formatter.FormatAndDraw(context, stave, vexflowData.notes);
+      // Draw each bar's stave and notes, in order, so the notes' SVG groups
+      // keep the pattern's note order
+      staveList.forEach((stave, i) => {
+        stave.setContext(context).draw();
+        
+        // Use VexFlow's optimized formatter
+        if (barNotes[i] && barNotes[i].length > 0) {
+          Vex.Flow.Formatter.FormatAndDraw(context, stave, barNotes[i]);
+        }
+      });
       
       // Draw beams efficiently
       vexflowData.beams.forEach(beam => {
         beam.setContext(context).draw();
       });
       
+      // Tuplet brackets go over the beams
+      (vexflowData.tuplets || []).forEach(tuplet => {
+        tuplet.setContext(context).draw();
+      });
+      
+      (vexflowData.ties || []).forEach(tie => {
+        this.drawTie(context, tie);
+      });
+      
       return true;
     } catch (error) {
       console.error('VexFlow rendering failed:', error);
@@ -0,0 +1,21 @@
+// Report built-in patterns whose difficulty rating falls outside the range of
+// their hand-labelled level (see validateLevelLabels and LEVEL_RATINGS in
+// difficulty.js). The labels are the teacher's call, so a mismatch is listed
+// for review rather than treated as an error.
+//
+// Run from the repository root: node scripts/check-level-labels.mjs
+
+import { patterns } from '../js/modules/patterns.js';
+import { validateLevelLabels, LEVEL_RATINGS } from '../js/modules/difficulty.js';
+
+const { valid, issues } = validateLevelLabels(patterns);
+const ranges = Object.entries(LEVEL_RATINGS)
+  .map(([level, [min, max]]) => `${level} ${min}-${max === Infinity ? '10' : max}`)
+  .join(', ');
+
+if (valid) {
+  console.log(`✅ All ${patterns.length} built-in patterns rate inside their level (${ranges})`);
+} else {
+  console.log(`⚠️ ${issues.length} of ${patterns.length} built-in patterns rate outside their level (${ranges}):`);
+  issues.forEach(issue => console.log(`   ${issue}`));
+}
@@ -0,0 +1,38 @@
+// Check how taps are matched to note onsets (see alignTapsToOnsets in
+// tapAlignment.js): on time, with missed notes and extra taps, and for a
+// player who is consistently late by more than the match window.
+//
+// Run from the repository root: node scripts/check-tap-alignment.mjs
+
+import assert from 'node:assert/strict';
+import { alignTapsToOnsets, DEFAULT_ALIGNMENT_OPTIONS } from '../js/modules/tapAlignment.js';
+
+const onsets = [0, 500, 1000, 1500, 2000];
+const shifted = by => onsets.map(time => time + by);
+const pairs = alignment => alignment.matches.map(({ onset, tap }) => [onset, tap]);
+const inOrder = onsets.map((_, i) => [i, i]);
+
+// On time: every tap goes to its own note
+const onTime = alignTapsToOnsets(onsets, shifted(10));
+assert.deepEqual(pairs(onTime), inOrder);
+assert.deepEqual(onTime.missed, []);
+assert.deepEqual(onTime.extra, []);
+
+// A note left out is missed and an extra tap is left over, the rest still match
+const gaps = alignTapsToOnsets(onsets, [0, 1000, 1250, 1500, 2000]);
+assert.deepEqual(gaps.missed, [1]);
+assert.deepEqual(gaps.extra, [2]);
+
+// Consistently late by more than the match window: the bias brings each tap
+// back to its own note instead of the next one
+const lag = DEFAULT_ALIGNMENT_OPTIONS.maxWindow + 20;
+const late = alignTapsToOnsets(onsets, shifted(lag));
+assert.deepEqual(pairs(late), inOrder);
+assert.ok(late.bias > 0);
+assert.ok(late.matches.every(match => match.offset === lag));
+
+// Taps are given in any order
+const shuffled = alignTapsToOnsets(onsets, [2000, 0, 1500, 500, 1000]);
+assert.deepEqual(shuffled.matches.map(({ onset, tap }) => [onset, tap]), [[0, 1], [1, 3], [2, 4], [3, 2], [4, 0]]);
+
+console.log('✅ Taps aligned to their notes as expected');
@@ -0,0 +1,56 @@
+// Play rounds of a built-in pattern without a browser and check how they are
+// scored (see runHeadlessRound in rhythmEngine.js). The taps are scripted in
+// ms from the pattern's downbeat, so every run gives the same result.
+//
+// Run from the repository root: node scripts/headless-round.mjs
+
+import assert from 'node:assert/strict';
+import { patterns, flattenPattern, getPatternOnsets, DEFAULT_TIME_SIGNATURE } from '../js/modules/patterns.js';
+import { runHeadlessRound } from '../js/modules/rhythmEngine.js';
+
+const BPM = 100;
+const beatInterval = 60000 / BPM;
+
+// The first beginner pattern with a rest in it
+const entry = patterns.find(p => p.level === 'beginner' && flattenPattern(p.bars).some(note => note.rest));
+const pattern = flattenPattern(entry.bars);
+const timeSignature = entry.timeSignature || DEFAULT_TIME_SIGNATURE;
+
+// One tap per note, held for the note's length, shifted by offset(i) ms
+const notes = getPatternOnsets(pattern, timeSignature).filter(onset => !onset.element.rest);
+const tapsFor = (offset = () => 0) => notes.map((onset, i) => ({
+  at: onset.start * beatInterval + offset(i),
+  duration: onset.hold * beatInterval * 0.9
+}));
+
+function play(name, taps) {
+  const round = runHeadlessRound({ pattern, timeSignature, bpm: BPM, taps });
+  console.log(`\n▶️ ${name}: ${round.overallResult} - ${round.results.map(result => `${result.count}:${result.result}`).join(' ')}`);
+  return round;
+}
+
+// On time: every note and rest is perfect
+const onTime = play('On time', tapsFor());
+assert.equal(onTime.overallResult, 'perfect');
+assert.equal(onTime.extraTaps, 0);
+
+// The first note a little early still counts (taps are recorded from just
+// before the downbeat), and so does one a little late
+const early = play('First note 20ms early', tapsFor(i => (i === 0 ? -20 : 0)));
+assert.equal(early.results[0].result, 'perfect');
+assert.ok(early.results[0].actualTime < early.results[0].expectedTime);
+const late = play('Last note 40ms late', tapsFor(i => (i === notes.length - 1 ? 40 : 0)));
+assert.equal(late.overallResult, 'perfect');
+
+// A note left out is missed, an extra tap in the rest breaks it
+const missed = play('Second note left out', tapsFor().filter((_, i) => i !== 1));
+assert.equal(missed.metrics.missed, 1);
+const rest = getPatternOnsets(pattern, timeSignature).find(onset => onset.element.rest);
+const intoRest = play('Extra tap in the rest', [...tapsFor(), { at: rest.start * beatInterval, duration: 100 }]);
+assert.equal(intoRest.extraTaps, 1);
+assert.equal(intoRest.results.find(result => result.isRest).result, 'miss');
+
+// The same taps always give the same result
+assert.deepEqual(play('On time again', tapsFor()).results, onTime.results);
+
+console.log('\n✅ Headless rounds scored as expected');